@@ -0,0 +1,75 @@
+/**
+ * Step-up authentication against DEFRA ID assurance levels
+ *
+ * DEFRA ID tokens carry the Authenticator Assurance Level (aal, how strongly the
+ * user proved who they are this sign in) and Level of Assurance (loa, how well
+ * their identity has been verified). Routes can require a minimum of either;
+ * a session below it is sent back through DEFRA ID to step up.
+ *
+ * The step-up sign in carries the required levels in its /auth/login query.
+ * Bell keeps that query through to the callback, which checks the upgraded
+ * claims against it. Routes check their requirement on every request, so a
+ * user who removes the levels from the URL gains nothing.
+ */
+
+const levelPattern = /^\d+$/
+
+/**
+ * @param {Object} credentials - Session credentials (auth data from /auth/callback)
+ * @param {Object} required - { aal, loa } minimum levels, either optional
+ * @returns {boolean} True if the session's claims meet every required level
+ */
+export function meetsAssurance(credentials, { aal, loa } = {}) {
+  const atLeast = (claim, minimum) =>
+    minimum === undefined || Number(claim) >= Number(minimum)
+
+  return atLeast(credentials?.aal, aal) && atLeast(credentials?.loa, loa)
+}
+
+/**
+ * Sign in URL that steps the session up to the required levels
+ * @param {string} next - Path to return to afterwards
+ * @param {Object} required - { aal, loa } minimum levels
+ * @returns {string} /auth/login URL
+ */
+export function stepUpLoginUrl(next, { aal, loa }) {
+  const query = new URLSearchParams({ next })
+
+  if (aal !== undefined) {
+    query.set('aal', aal)
+  }
+
+  if (loa !== undefined) {
+    query.set('loa', loa)
+  }
+
+  return `/auth/login?${query}`
+}
+
+/**
+ * Levels a sign in was started to step up to
+ * @param {Object} [query] - /auth/login query (credentials.query in the callback)
+ * @returns {Object|null} { aal, loa } (either may be undefined), or null if not a step-up
+ */
+export function requestedAssurance(query) {
+  const level = (value) => (levelPattern.test(value) ? value : undefined)
+  const aal = level(query?.aal)
+  const loa = level(query?.loa)
+
+  return aal || loa ? { aal, loa } : null
+}
+
+/**
+ * Authorisation request parameters asking DEFRA ID for a step-up
+ * prompt=login makes DEFRA ID authenticate the user again rather than reuse
+ * their DEFRA ID session at the lower level
+ * @param {Object} required - { aal, loa } levels from requestedAssurance
+ * @returns {Object} Provider params
+ */
+export function stepUpParams({ aal, loa }) {
+  return {
+    prompt: 'login',
+    ...(aal && { aal }),
+    ...(loa && { loa })
+  }
+}
@@ -0,0 +1,66 @@
+import {
+  meetsAssurance,
+  requestedAssurance,
+  stepUpLoginUrl,
+  stepUpParams
+} from './assurance.js'
+
+describe('#assurance', () => {
+  describe('meetsAssurance', () => {
+    test('Should compare claims to the required levels as numbers', () => {
+      expect(meetsAssurance({ aal: '2', loa: '1' }, { aal: 2 })).toBe(true)
+      expect(meetsAssurance({ aal: '1', loa: '1' }, { aal: 2 })).toBe(false)
+      expect(meetsAssurance({ aal: '2', loa: '0' }, { aal: 2, loa: 1 })).toBe(
+        false
+      )
+    })
+
+    test('Should not meet a level the session has no claim for', () => {
+      expect(meetsAssurance({}, { loa: 1 })).toBe(false)
+      expect(meetsAssurance(undefined, { aal: 1 })).toBe(false)
+    })
+
+    test('Should meet an empty requirement', () => {
+      expect(meetsAssurance({ aal: '1' }, {})).toBe(true)
+    })
+  })
+
+  describe('stepUpLoginUrl', () => {
+    test('Should carry the return path and required levels', () => {
+      expect(stepUpLoginUrl('/example/1/delete?x=1', { aal: 2, loa: 1 })).toBe(
+        '/auth/login?next=%2Fexample%2F1%2Fdelete%3Fx%3D1&aal=2&loa=1'
+      )
+      expect(stepUpLoginUrl('/dashboard', { loa: 2 })).toBe(
+        '/auth/login?next=%2Fdashboard&loa=2'
+      )
+    })
+  })
+
+  describe('requestedAssurance', () => {
+    test('Should read the levels a step-up sign in asked for', () => {
+      expect(requestedAssurance({ next: '/', aal: '2' })).toEqual({
+        aal: '2',
+        loa: undefined
+      })
+    })
+
+    test('Should ignore sign ins that are not a step-up', () => {
+      expect(requestedAssurance({ next: '/' })).toBeNull()
+      expect(requestedAssurance(undefined)).toBeNull()
+    })
+
+    test('Should ignore levels that are not whole numbers', () => {
+      expect(requestedAssurance({ aal: '2&prompt=none', loa: '-1' })).toBeNull()
+      expect(requestedAssurance({ aal: ['2', '3'] })).toBeNull()
+    })
+  })
+
+  describe('stepUpParams', () => {
+    test('Should ask DEFRA ID to authenticate again at the required levels', () => {
+      expect(stepUpParams({ aal: '2', loa: undefined })).toEqual({
+        prompt: 'login',
+        aal: '2'
+      })
+    })
+  })
+})
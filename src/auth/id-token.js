@@ -0,0 +1,248 @@
+import { createPublicKey } from 'node:crypto'
+import jwt from '@hapi/jwt'
+import fetch from 'node-fetch'
+import { getOidcEndpoints } from './oidc-well-known-discovery.js'
+
+// Allowance for clock drift between us and DEFRA ID when checking exp and nbf
+export const clockSkewSec = 60
+
+// Least time between JWKS fetches, so tokens with made-up key IDs cannot make
+// us fetch the JWKS on every request
+const jwksRefetchIntervalMs = 30 * 1000
+
+// Longest wait for the JWKS, so sign in and back-channel logout fail rather
+// than hang when DEFRA ID does not answer
+const jwksTimeoutMs = 5 * 1000
+
+const backChannelLogoutEvent =
+  'http://schemas.openid.net/event/backchannel-logout'
+
+/**
+ * ID or logout token failed verification - it must not be acted on
+ */
+export class IdTokenError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause })
+    this.name = 'IdTokenError'
+  }
+}
+
+// Provider signing keys by key ID (kid), fetched from jwks_uri
+let signingKeys = new Map()
+let pendingKeysRequest = null
+let lastKeysRequestAt = null
+
+/**
+ * Request the JWKS, giving up after jwksTimeoutMs
+ * @param {string} jwksUri - jwks_uri from the OIDC discovery document
+ * @returns {Promise<object>} JWK set
+ * @throws {IdTokenError} If the JWKS cannot be fetched in time
+ */
+async function requestJwks(jwksUri) {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), jwksTimeoutMs)
+
+  try {
+    const response = await fetch(jwksUri, { signal: controller.signal })
+
+    if (!response.ok) {
+      throw new IdTokenError(
+        `JWKS request failed: ${response.status} ${response.statusText}`
+      )
+    }
+
+    return await response.json()
+  } catch (error) {
+    if (error instanceof IdTokenError) {
+      throw error
+    }
+
+    const message =
+      error.name === 'AbortError'
+        ? `JWKS request timed out after ${jwksTimeoutMs}ms`
+        : `JWKS request failed: ${error.message}`
+    throw new IdTokenError(message, { cause: error })
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Fetch the provider's signing keys from the jwks_uri in the OIDC discovery
+ * document. The cached keys are replaced only once the fetch has succeeded, so
+ * keys the provider has retired are dropped but a failed fetch loses nothing.
+ * @returns {Promise<void>}
+ * @throws {IdTokenError} If the JWKS cannot be fetched
+ */
+async function fetchSigningKeys() {
+  const { jwks_uri: jwksUri } = await getOidcEndpoints()
+  const { keys = [] } = await requestJwks(jwksUri)
+  const fetchedKeys = new Map()
+
+  for (const jwk of keys) {
+    if (!jwk.kid || jwk.use === 'enc') {
+      continue
+    }
+
+    try {
+      fetchedKeys.set(jwk.kid, createPublicKey({ key: jwk, format: 'jwk' }))
+    } catch {
+      // Key type we cannot use - tokens signed with it are rejected as unknown
+    }
+  }
+
+  signingKeys = fetchedKeys
+}
+
+/**
+ * @returns {boolean} True if the JWKS may be fetched again yet
+ */
+function canRefetchKeys() {
+  return (
+    lastKeysRequestAt === null ||
+    Date.now() - lastKeysRequestAt >= jwksRefetchIntervalMs
+  )
+}
+
+/**
+ * Public key for a kid, refetching the JWKS when the kid is not cached (the
+ * provider may have rotated its keys). Concurrent lookups share one fetch, and
+ * the JWKS is fetched at most once every jwksRefetchIntervalMs; until then an
+ * unknown kid is rejected without asking the provider.
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<KeyObject>} Public key
+ * @throws {IdTokenError} If no key has this kid
+ */
+async function signingKey(kid) {
+  if (!kid) {
+    throw new IdTokenError('Token header has no key ID')
+  }
+
+  if (!signingKeys.has(kid)) {
+    if (!pendingKeysRequest && canRefetchKeys()) {
+      lastKeysRequestAt = Date.now()
+      pendingKeysRequest = fetchSigningKeys().finally(() => {
+        pendingKeysRequest = null
+      })
+    }
+
+    await pendingKeysRequest
+  }
+
+  const key = signingKeys.get(kid)
+
+  if (!key) {
+    throw new IdTokenError(`No signing key found for key ID ${kid}`)
+  }
+
+  return key
+}
+
+/**
+ * Check a token's signature against the provider JWKS, then its issuer,
+ * audience and expiry (and nonce, when given)
+ * @param {string} token - Signed JWT from DEFRA ID
+ * @param {string} label - Token type for error messages
+ * @param {Object} options - { issuer, audience, nonce }
+ * @returns {Promise<Object>} Verified token claims
+ * @throws {IdTokenError} If the token is malformed or fails any check
+ */
+async function verifyProviderToken(token, label, { issuer, audience, nonce }) {
+  let artifacts
+
+  try {
+    artifacts = jwt.token.decode(token)
+  } catch (error) {
+    throw new IdTokenError(`${label} could not be decoded: ${error.message}`, {
+      cause: error
+    })
+  }
+
+  const { header, payload } = artifacts.decoded
+  const key = await signingKey(header.kid)
+
+  if (typeof payload.exp !== 'number') {
+    throw new IdTokenError(`${label} has no expiry`)
+  }
+
+  try {
+    jwt.token.verify(artifacts, key, {
+      iss: issuer,
+      aud: audience,
+      nonce,
+      timeSkewSec: clockSkewSec
+    })
+  } catch (error) {
+    throw new IdTokenError(`${label} rejected: ${error.message}`, {
+      cause: error
+    })
+  }
+
+  return payload
+}
+
+/**
+ * Verify an ID token and return its claims
+ *
+ * Checks the signature against the provider JWKS, then the issuer, audience,
+ * expiry and (when given) the nonce sent with the authorisation request.
+ *
+ * @param {string} idToken - ID token from the token response
+ * @param {Object} options
+ * @param {string} options.issuer - Expected iss (issuer from OIDC discovery)
+ * @param {string} options.audience - Expected aud (our client ID)
+ * @param {string} [options.nonce] - Expected nonce
+ * @returns {Promise<Object>} Verified token claims
+ * @throws {IdTokenError} If the token is missing, malformed or fails any check
+ */
+export async function verifyIdToken(idToken, { issuer, audience, nonce }) {
+  if (!idToken) {
+    throw new IdTokenError('Token response did not include an ID token')
+  }
+
+  return verifyProviderToken(idToken, 'ID token', { issuer, audience, nonce })
+}
+
+/**
+ * Verify an OIDC back-channel logout token and return its claims
+ *
+ * As well as the checks made on ID tokens, a logout token must carry the
+ * back-channel logout event, a jti, and a sid or sub saying whose sessions
+ * to end. It must not carry a nonce, so it cannot be mistaken for an ID token.
+ *
+ * @see https://openid.net/specs/openid-connect-backchannel-1_0.html#Validation
+ * @param {string} logoutToken - logout_token posted by DEFRA ID
+ * @param {Object} options
+ * @param {string} options.issuer - Expected iss (issuer from OIDC discovery)
+ * @param {string} options.audience - Expected aud (our client ID)
+ * @returns {Promise<Object>} Verified token claims
+ * @throws {IdTokenError} If the token is missing, malformed or fails any check
+ */
+export async function verifyLogoutToken(logoutToken, { issuer, audience }) {
+  if (!logoutToken) {
+    throw new IdTokenError('Request did not include a logout token')
+  }
+
+  const claims = await verifyProviderToken(logoutToken, 'Logout token', {
+    issuer,
+    audience
+  })
+
+  if (typeof claims.events?.[backChannelLogoutEvent] !== 'object') {
+    throw new IdTokenError('Logout token has no back-channel logout event')
+  }
+
+  if (!claims.jti) {
+    throw new IdTokenError('Logout token has no jti')
+  }
+
+  if (!claims.sid && !claims.sub) {
+    throw new IdTokenError('Logout token has neither a sid nor a sub')
+  }
+
+  if (claims.nonce !== undefined) {
+    throw new IdTokenError('Logout token must not contain a nonce')
+  }
+
+  return claims
+}
@@ -0,0 +1,292 @@
+import { generateKeyPairSync } from 'node:crypto'
+import jwt from '@hapi/jwt'
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+
+vi.mock('./oidc-well-known-discovery.js', () => ({
+  getOidcEndpoints: vi.fn().mockResolvedValue({
+    issuer: 'https://defra-id.example',
+    jwks_uri: 'https://defra-id.example/jwks'
+  })
+}))
+
+const mockFetch = vi.fn()
+
+vi.mock('node-fetch', () => ({
+  default: (...args) => mockFetch(...args)
+}))
+
+function signingKeyPair(kid) {
+  const { publicKey, privateKey } = generateKeyPairSync('rsa', {
+    modulusLength: 2048
+  })
+
+  return {
+    kid,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig' }
+  }
+}
+
+function jwksResponse(...keyPairs) {
+  return {
+    ok: true,
+    json: async () => ({ keys: keyPairs.map(({ jwk }) => jwk) })
+  }
+}
+
+function idToken(keyPair, claims = {}) {
+  return jwt.token.generate(
+    {
+      iss: 'https://defra-id.example',
+      aud: 'client-id',
+      contactId: 'contact-1',
+      nonce: 'nonce-1',
+      ...claims
+    },
+    { key: keyPair.privateKey, algorithm: 'RS256' },
+    { ttlSec: 300, header: { kid: keyPair.kid } }
+  )
+}
+
+const expected = { issuer: 'https://defra-id.example', audience: 'client-id' }
+
+describe('#verifyIdToken', () => {
+  const current = signingKeyPair('key-1')
+  const rotated = signingKeyPair('key-2')
+  let verifyIdToken
+
+  beforeEach(async () => {
+    // Fresh module for an empty key cache
+    vi.resetModules()
+    mockFetch.mockReset()
+
+    const module = await import('./id-token.js')
+    verifyIdToken = module.verifyIdToken
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('Should return the claims of a valid token', async () => {
+    mockFetch.mockResolvedValueOnce(jwksResponse(current))
+
+    const claims = await verifyIdToken(idToken(current), {
+      ...expected,
+      nonce: 'nonce-1'
+    })
+
+    expect(claims.contactId).toBe('contact-1')
+    expect(mockFetch).toHaveBeenCalledWith('https://defra-id.example/jwks', {
+      signal: expect.any(AbortSignal)
+    })
+  })
+
+  test('Should give up on a JWKS request that does not answer', async () => {
+    vi.useFakeTimers()
+    mockFetch.mockImplementationOnce(
+      (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () =>
+            reject(Object.assign(new Error('aborted'), { name: 'AbortError' }))
+          )
+        })
+    )
+
+    const verifying = verifyIdToken(idToken(current), expected)
+    const rejected = expect(verifying).rejects.toThrow(
+      'JWKS request timed out after 5000ms'
+    )
+    await vi.advanceTimersByTimeAsync(5000)
+
+    await rejected
+  })
+
+  test('Should cache signing keys', async () => {
+    mockFetch.mockResolvedValueOnce(jwksResponse(current))
+
+    await verifyIdToken(idToken(current), expected)
+    await verifyIdToken(idToken(current), expected)
+
+    expect(mockFetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('Should refetch the keys for an unknown key ID', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    mockFetch
+      .mockResolvedValueOnce(jwksResponse(current))
+      .mockResolvedValueOnce(jwksResponse(current, rotated))
+
+    await verifyIdToken(idToken(current), expected)
+    vi.advanceTimersByTime(30 * 1000)
+    const claims = await verifyIdToken(idToken(rotated), expected)
+
+    expect(claims.contactId).toBe('contact-1')
+    expect(mockFetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('Should reject a key ID the provider does not have', async () => {
+    mockFetch.mockResolvedValue(jwksResponse(current))
+
+    await expect(verifyIdToken(idToken(rotated), expected)).rejects.toThrow(
+      'No signing key found for key ID key-2'
+    )
+  })
+
+  test('Should not refetch the keys again within the refetch interval', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    mockFetch.mockResolvedValue(jwksResponse(current))
+
+    await verifyIdToken(idToken(current), expected)
+
+    for (const kid of ['made-up-1', 'made-up-2']) {
+      await expect(
+        verifyIdToken(idToken({ ...rotated, kid }), expected)
+      ).rejects.toThrow(`No signing key found for key ID ${kid}`)
+    }
+
+    expect(mockFetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('Should share one JWKS fetch between concurrent lookups', async () => {
+    mockFetch.mockResolvedValueOnce(jwksResponse(current))
+
+    await Promise.all([
+      verifyIdToken(idToken(current), expected),
+      verifyIdToken(idToken(current), expected)
+    ])
+
+    expect(mockFetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('Should keep the cached keys when a refetch fails', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    mockFetch
+      .mockResolvedValueOnce(jwksResponse(current))
+      .mockResolvedValueOnce({ ok: false, status: 503, statusText: 'Down' })
+
+    await verifyIdToken(idToken(current), expected)
+    vi.advanceTimersByTime(30 * 1000)
+    await expect(verifyIdToken(idToken(rotated), expected)).rejects.toThrow(
+      'JWKS request failed: 503 Down'
+    )
+    const claims = await verifyIdToken(idToken(current), expected)
+
+    expect(claims.contactId).toBe('contact-1')
+    expect(mockFetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('Should reject a token signed with another key', async () => {
+    const forged = { ...rotated, kid: 'key-1' }
+    mockFetch.mockResolvedValueOnce(jwksResponse(current))
+
+    await expect(verifyIdToken(idToken(forged), expected)).rejects.toThrow(
+      'Invalid token signature'
+    )
+  })
+
+  test.each([
+    ['issuer', { iss: 'https://evil.example' }, 'iss'],
+    ['audience', { aud: 'another-client' }, 'aud'],
+    ['expiry', { exp: Math.floor(Date.now() / 1000) - 3600 }, 'expired']
+  ])('Should reject the wrong %s', async (_name, claims, message) => {
+    mockFetch.mockResolvedValueOnce(jwksResponse(current))
+
+    await expect(
+      verifyIdToken(idToken(current, claims), expected)
+    ).rejects.toThrow(message)
+  })
+
+  test('Should reject the wrong nonce', async () => {
+    mockFetch.mockResolvedValueOnce(jwksResponse(current))
+
+    await expect(
+      verifyIdToken(idToken(current), { ...expected, nonce: 'nonce-2' })
+    ).rejects.toThrow('nonce')
+  })
+
+  test('Should reject malformed tokens', async () => {
+    await expect(verifyIdToken('not-a-token', expected)).rejects.toMatchObject({
+      name: 'IdTokenError'
+    })
+    await expect(verifyIdToken(undefined, expected)).rejects.toThrow(
+      'Token response did not include an ID token'
+    )
+  })
+
+  test('Should report a failed JWKS request', async () => {
+    mockFetch.mockResolvedValueOnce({
+      ok: false,
+      status: 503,
+      statusText: 'Service Unavailable'
+    })
+
+    await expect(verifyIdToken(idToken(current), expected)).rejects.toThrow(
+      'JWKS request failed: 503 Service Unavailable'
+    )
+  })
+})
+
+describe('#verifyLogoutToken', () => {
+  const current = signingKeyPair('key-1')
+  let verifyLogoutToken
+
+  function logoutToken(claims = {}) {
+    return jwt.token.generate(
+      {
+        iss: 'https://defra-id.example',
+        aud: 'client-id',
+        sub: 'contact-1',
+        sid: 'sid-1',
+        jti: 'jti-1',
+        events: { 'http://schemas.openid.net/event/backchannel-logout': {} },
+        ...claims
+      },
+      { key: current.privateKey, algorithm: 'RS256' },
+      { ttlSec: 120, header: { kid: current.kid } }
+    )
+  }
+
+  beforeEach(async () => {
+    vi.resetModules()
+    mockFetch.mockReset()
+    mockFetch.mockResolvedValue(jwksResponse(current))
+
+    const module = await import('./id-token.js')
+    verifyLogoutToken = module.verifyLogoutToken
+  })
+
+  test('Should return the claims of a valid logout token', async () => {
+    const claims = await verifyLogoutToken(logoutToken(), expected)
+
+    expect(claims).toMatchObject({ sub: 'contact-1', sid: 'sid-1' })
+  })
+
+  test.each([
+    ['the logout event', { events: {} }, 'no back-channel logout event'],
+    ['a jti', { jti: undefined }, 'no jti'],
+    ['a sid or sub', { sid: undefined, sub: undefined }, 'neither a sid']
+  ])('Should reject a token without %s', async (_name, claims, message) => {
+    await expect(
+      verifyLogoutToken(logoutToken(claims), expected)
+    ).rejects.toThrow(message)
+  })
+
+  test('Should reject a token with a nonce', async () => {
+    await expect(
+      verifyLogoutToken(logoutToken({ nonce: 'nonce-1' }), expected)
+    ).rejects.toThrow('must not contain a nonce')
+  })
+
+  test('Should reject a token for another client', async () => {
+    await expect(
+      verifyLogoutToken(logoutToken({ aud: 'another-client' }), expected)
+    ).rejects.toThrow('aud')
+  })
+
+  test('Should reject a missing token', async () => {
+    await expect(verifyLogoutToken(undefined, expected)).rejects.toThrow(
+      'Request did not include a logout token'
+    )
+  })
+})
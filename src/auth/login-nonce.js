@@ -0,0 +1,50 @@
+/**
+ * OIDC nonce for the DEFRA ID login flow
+ *
+ * Each authorisation request carries a fresh nonce, which is also kept in the
+ * session. DEFRA ID copies it into the ID token, so /auth/callback can check the
+ * token was issued for this browser's sign in and not replayed from another.
+ */
+
+import { randomBytes, timingSafeEqual } from 'node:crypto'
+import {
+  getSessionValue,
+  setSessionValue
+} from '../server/common/helpers/session-helpers.js'
+
+export const loginNonceSessionKey = 'loginNonce'
+
+/**
+ * Create a nonce for a new authorisation request and keep it in the session
+ * Replaces any nonce from an earlier, unfinished sign in
+ * @param {Object} request - Hapi request object
+ * @returns {string} Nonce to send as the nonce parameter
+ */
+export function createLoginNonce(request) {
+  const nonce = randomBytes(32).toString('base64url')
+  setSessionValue(request, loginNonceSessionKey, nonce)
+  return nonce
+}
+
+/**
+ * Check an ID token's nonce against the one sent, clearing it from the session
+ * so it can only be used once
+ * @param {Object} request - Hapi request object
+ * @param {Object} claims - Verified ID token claims
+ * @returns {boolean} True if the token carries the nonce sent for this session
+ */
+export function checkLoginNonce(request, claims) {
+  const expected = getSessionValue(request, loginNonceSessionKey, true)
+
+  if (typeof expected !== 'string' || typeof claims?.nonce !== 'string') {
+    return false
+  }
+
+  const expectedBuffer = Buffer.from(expected)
+  const actualBuffer = Buffer.from(claims.nonce)
+
+  return (
+    expectedBuffer.length === actualBuffer.length &&
+    timingSafeEqual(expectedBuffer, actualBuffer)
+  )
+}
@@ -0,0 +1,59 @@
+import {
+  checkLoginNonce,
+  createLoginNonce,
+  loginNonceSessionKey
+} from './login-nonce.js'
+
+function mockRequest(session = {}) {
+  return {
+    yar: {
+      get: (key, clear) => {
+        const value = session[key] ?? null
+        if (clear) {
+          delete session[key]
+        }
+        return value
+      },
+      set: (key, value) => {
+        session[key] = value
+        return value
+      }
+    }
+  }
+}
+
+describe('#loginNonce', () => {
+  test('Should keep a new nonce in the session for each sign in', () => {
+    const session = {}
+    const request = mockRequest(session)
+
+    const first = createLoginNonce(request)
+    const second = createLoginNonce(request)
+
+    expect(first).toMatch(/^[\w-]{43}$/)
+    expect(second).not.toBe(first)
+    expect(session[loginNonceSessionKey]).toBe(second)
+  })
+
+  test('Should accept a token carrying the nonce sent, only once', () => {
+    const request = mockRequest()
+    const nonce = createLoginNonce(request)
+
+    expect(checkLoginNonce(request, { nonce })).toBe(true)
+    expect(checkLoginNonce(request, { nonce })).toBe(false)
+  })
+
+  test('Should reject a token with a different or missing nonce', () => {
+    const request = mockRequest()
+    createLoginNonce(request)
+
+    expect(checkLoginNonce(request, { nonce: 'other' })).toBe(false)
+
+    createLoginNonce(request)
+    expect(checkLoginNonce(request, {})).toBe(false)
+  })
+
+  test('Should reject a token when no sign in was started', () => {
+    expect(checkLoginNonce(mockRequest(), { nonce: 'any' })).toBe(false)
+  })
+})
@@ -0,0 +1,38 @@
+/**
+ * Back-channel logout tokens already acted on
+ *
+ * A logout token must only be used once: each token's jti is recorded until
+ * the token expires (it is rejected as expired after that), so a token
+ * captured in transit or logs cannot be posted again.
+ *
+ * @see https://openid.net/specs/openid-connect-backchannel-1_0.html#Validation
+ */
+
+import { clockSkewSec } from './id-token.js'
+
+/**
+ * Create a record of used logout tokens on top of a catbox policy
+ * @param {object} cache - Policy from server.cache()
+ * @returns {object} Logout token record
+ */
+export function createLogoutTokens(cache) {
+  return {
+    /**
+     * Record a verified logout token as used
+     * @param {object} claims - Verified logout token claims
+     * @param {string} claims.jti - Token ID
+     * @param {number} claims.exp - Expiry, in seconds since the epoch
+     * @returns {Promise<boolean>} False if the token has been used before
+     */
+    async use({ jti, exp }) {
+      if (await cache.get(jti)) {
+        return false
+      }
+
+      // Kept for as long as id-token.js would still accept the token
+      const ttl = Math.max(exp * 1000 + clockSkewSec * 1000 - Date.now(), 1)
+      await cache.set(jti, true, ttl)
+      return true
+    }
+  }
+}
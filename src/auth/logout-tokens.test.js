@@ -0,0 +1,46 @@
+import { describe, expect, test, vi } from 'vitest'
+
+import { createLogoutTokens } from './logout-tokens.js'
+
+function fakeCache() {
+  const store = new Map()
+
+  return {
+    store,
+    get: vi.fn(async (key) => store.get(key) ?? null),
+    set: vi.fn(async (key, value) => {
+      store.set(key, value)
+    })
+  }
+}
+
+describe('#logoutTokens', () => {
+  const exp = Math.floor(Date.now() / 1000) + 120
+
+  test('Should accept a token the first time', async () => {
+    const logoutTokens = createLogoutTokens(fakeCache())
+
+    await expect(logoutTokens.use({ jti: 'jti-1', exp })).resolves.toBe(true)
+  })
+
+  test('Should reject a token used before', async () => {
+    const logoutTokens = createLogoutTokens(fakeCache())
+
+    await logoutTokens.use({ jti: 'jti-1', exp })
+
+    await expect(logoutTokens.use({ jti: 'jti-1', exp })).resolves.toBe(false)
+    await expect(logoutTokens.use({ jti: 'jti-2', exp })).resolves.toBe(true)
+  })
+
+  test('Should keep the token ID until the token expires', async () => {
+    const cache = fakeCache()
+    const logoutTokens = createLogoutTokens(cache)
+
+    await logoutTokens.use({ jti: 'jti-1', exp })
+
+    const [[, , ttl]] = cache.set.mock.calls
+    // 120s to expiry plus the 60s clock skew allowance
+    expect(ttl).toBeGreaterThan(170 * 1000)
+    expect(ttl).toBeLessThanOrEqual(180 * 1000)
+  })
+})
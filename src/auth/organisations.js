@@ -0,0 +1,74 @@
+/**
+ * Organisations a DEFRA ID user can act on behalf of
+ *
+ * Each DEFRA ID relationship links the user to an organisation:
+ * "relationshipId:organisationId:organisationName:organisationLoa:relationship:relationshipLoa"
+ *
+ * The relationship chosen on the "act on behalf of" page is kept in the session
+ * under its own key, so it survives the auth data being replaced on refresh or
+ * re-authentication. Without a choice the token's currentRelationshipId is used,
+ * or the only organisation when the user has just one.
+ */
+
+import { getSessionValue } from '../server/common/helpers/session-helpers.js'
+
+export const organisationSessionKey = 'relationshipId'
+
+/**
+ * Parse a DEFRA ID relationship claim
+ * @param {string} relationship - Relationship from the token
+ * @returns {Object|null} { relationshipId, organisationId, organisationName, relationship }, or null if not an organisation relationship
+ */
+export function parseRelationship(relationship) {
+  const parts = String(relationship).split(':')
+
+  if (parts.length < 6 || !parts[1]) {
+    return null
+  }
+
+  const [relationshipId, organisationId, organisationName, , type] = parts
+
+  return {
+    relationshipId,
+    organisationId,
+    organisationName,
+    relationship: type
+  }
+}
+
+/**
+ * Organisations in the user's relationships
+ * @param {Object} credentials - Session auth data
+ * @returns {Array<Object>} Parsed relationships, in token order
+ */
+export function organisationsFor(credentials) {
+  return (credentials?.relationships ?? [])
+    .map(parseRelationship)
+    .filter(Boolean)
+}
+
+/**
+ * Organisation the user is currently acting for
+ * @param {Object} request - Hapi request object
+ * @param {Object} [authData] - Signed-in user's credentials, defaults to the
+ * session's auth data
+ * @returns {Object|null} Parsed relationship, or null when none applies
+ */
+export function currentOrganisation(
+  request,
+  authData = getSessionValue(request, 'auth')
+) {
+  const organisations = organisationsFor(authData)
+  const byId = (id) =>
+    organisations.find(({ relationshipId }) => relationshipId === id)
+
+  const organisation =
+    byId(getSessionValue(request, organisationSessionKey)) ??
+    byId(authData?.currentRelationshipId)
+
+  if (organisation) {
+    return organisation
+  }
+
+  return organisations.length === 1 ? organisations[0] : null
+}
@@ -0,0 +1,74 @@
+import {
+  currentOrganisation,
+  organisationsFor,
+  parseRelationship
+} from './organisations.js'
+
+const farm = 'rel-1:org-1:Green Farm Ltd:1:Employee:0'
+const agency = 'rel-2:org-2:Import Agents plc:1:Agent:0'
+
+function mockRequest(session) {
+  return { yar: { get: (key) => session[key] ?? null } }
+}
+
+describe('#organisations', () => {
+  test('Should parse DEFRA ID relationships', () => {
+    expect(parseRelationship(farm)).toEqual({
+      relationshipId: 'rel-1',
+      organisationId: 'org-1',
+      organisationName: 'Green Farm Ltd',
+      relationship: 'Employee'
+    })
+  })
+
+  test('Should ignore relationships without an organisation', () => {
+    expect(parseRelationship('Citizen')).toBeNull()
+    expect(organisationsFor({ relationships: ['Citizen', farm] })).toEqual([
+      expect.objectContaining({ organisationId: 'org-1' })
+    ])
+    expect(organisationsFor(null)).toEqual([])
+  })
+
+  describe('#currentOrganisation', () => {
+    const auth = {
+      relationships: [farm, agency],
+      currentRelationshipId: 'rel-1'
+    }
+
+    test('Should use the organisation chosen in the session', () => {
+      const request = mockRequest({ auth, relationshipId: 'rel-2' })
+
+      expect(currentOrganisation(request).organisationName).toBe(
+        'Import Agents plc'
+      )
+    })
+
+    test("Should fall back to the token's current relationship", () => {
+      expect(currentOrganisation(mockRequest({ auth })).organisationName).toBe(
+        'Green Farm Ltd'
+      )
+    })
+
+    test('Should ignore a choice that is no longer in the relationships', () => {
+      const request = mockRequest({ auth, relationshipId: 'rel-9' })
+
+      expect(currentOrganisation(request).relationshipId).toBe('rel-1')
+    })
+
+    test('Should use the only organisation when there is one', () => {
+      const request = mockRequest({ auth: { relationships: [agency] } })
+
+      expect(currentOrganisation(request).relationshipId).toBe('rel-2')
+    })
+
+    test('Should return null when the user has to choose', () => {
+      const request = mockRequest({ auth: { relationships: [farm, agency] } })
+
+      expect(currentOrganisation(request)).toBeNull()
+    })
+
+    test('Should return null when signed out', () => {
+      expect(currentOrganisation({})).toBeNull()
+    })
+  })
+})
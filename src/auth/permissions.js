@@ -0,0 +1,90 @@
+/**
+ * Role and relationship checks against DEFRA ID session credentials
+ *
+ * DEFRA ID puts colon separated strings in the token:
+ * - roles: "relationshipId:roleName:roleStatus"
+ * - relationships: "relationshipId:organisationId:organisationName:organisationLoa:relationship:relationshipLoa"
+ *
+ * A DEFRA ID role or relationship only counts for the organisation the user is
+ * acting for (see currentOrganisation), and a role only while its status is
+ * active (defraId.activeRoleStatuses). Plain names (e.g. 'Admin') are accepted
+ * as well, as used by test sessions.
+ */
+
+import { config } from '../config/config.js'
+import { parseRelationship } from './organisations.js'
+
+/**
+ * Role names held by the signed-in user for a relationship
+ * @param {Object} credentials - Session credentials (auth data from /auth/callback)
+ * @param {string|null} [relationshipId] - Relationship acted for, none counts no DEFRA ID roles
+ * @returns {string[]} Role names
+ */
+export function roleNames(credentials, relationshipId = null) {
+  const activeStatuses = config.get('defraId.activeRoleStatuses')
+
+  return (credentials?.roles ?? []).flatMap((role) => {
+    const parts = String(role).split(':')
+
+    if (parts.length < 3) {
+      return [parts[0]]
+    }
+
+    const [roleRelationshipId, roleName, roleStatus] = parts
+    const counts =
+      roleRelationshipId === relationshipId &&
+      activeStatuses.includes(roleStatus)
+
+    return counts ? [roleName] : []
+  })
+}
+
+/**
+ * Relationship types (e.g. 'Employee', 'Agent') held by the signed-in user for
+ * a relationship
+ * @param {Object} credentials - Session credentials (auth data from /auth/callback)
+ * @param {string|null} [relationshipId] - Relationship acted for, none counts no DEFRA ID relationships
+ * @returns {string[]} Relationship types
+ */
+export function relationshipTypes(credentials, relationshipId = null) {
+  return (credentials?.relationships ?? []).flatMap((relationship) => {
+    const parsed = parseRelationship(relationship)
+
+    if (!parsed) {
+      return [String(relationship)]
+    }
+
+    return parsed.relationshipId === relationshipId ? [parsed.relationship] : []
+  })
+}
+
+/**
+ * Check credentials against a route's requirement
+ *
+ * The user needs at least one of the listed roles and at least one of the
+ * listed relationship types. An empty or missing list is not checked.
+ *
+ * @param {Object|null} credentials - Session credentials, null when signed out
+ * @param {Object} requirement
+ * @param {string[]} [requirement.roles] - Any one of these roles
+ * @param {string[]} [requirement.relationships] - Any one of these relationship types
+ * @param {string|null} [relationshipId] - Relationship the user is acting for
+ * @returns {boolean} True when the user meets the requirement
+ */
+export function isPermitted(
+  credentials,
+  { roles = [], relationships = [] },
+  relationshipId = null
+) {
+  if (!credentials) {
+    return false
+  }
+
+  const held = (required, names) =>
+    required.length === 0 || required.some((name) => names.includes(name))
+
+  return (
+    held(roles, roleNames(credentials, relationshipId)) &&
+    held(relationships, relationshipTypes(credentials, relationshipId))
+  )
+}
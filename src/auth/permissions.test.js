@@ -0,0 +1,99 @@
+import { isPermitted, relationshipTypes, roleNames } from './permissions.js'
+
+const relationshipId = '5b5f1f6a'
+const otherRelationshipId = '9d8e7f6a'
+const credentials = {
+  roles: [
+    '5b5f1f6a:Admin:3',
+    '9d8e7f6a:Editor:3',
+    '5b5f1f6a:Approver:2',
+    'Viewer'
+  ],
+  relationships: [
+    '5b5f1f6a:c7a1b2d3:Test Organisation:1:Employee:0',
+    '9d8e7f6a:e4f5a6b7:Other Organisation:1:Agent:0',
+    'Citizen'
+  ]
+}
+
+describe('#permissions', () => {
+  test('Should read role names from DEFRA ID and plain roles', () => {
+    expect(roleNames(credentials, relationshipId)).toEqual(['Admin', 'Viewer'])
+  })
+
+  test('Should only count active DEFRA ID roles for the relationship', () => {
+    expect(roleNames(credentials, otherRelationshipId)).toEqual([
+      'Editor',
+      'Viewer'
+    ])
+    expect(roleNames(credentials)).toEqual(['Viewer'])
+  })
+
+  test('Should read relationship types from DEFRA ID and plain relationships', () => {
+    expect(relationshipTypes(credentials, relationshipId)).toEqual([
+      'Employee',
+      'Citizen'
+    ])
+    expect(relationshipTypes(credentials, otherRelationshipId)).toEqual([
+      'Agent',
+      'Citizen'
+    ])
+  })
+
+  test('Should treat missing claims as none held', () => {
+    expect(roleNames({})).toEqual([])
+    expect(relationshipTypes(null)).toEqual([])
+  })
+
+  describe('#isPermitted', () => {
+    test('Should permit users holding any one of the roles', () => {
+      expect(
+        isPermitted(credentials, { roles: ['Editor', 'Admin'] }, relationshipId)
+      ).toBe(true)
+      expect(
+        isPermitted(credentials, { roles: ['Owner'] }, relationshipId)
+      ).toBe(false)
+    })
+
+    test('Should refuse a role held for another relationship', () => {
+      expect(
+        isPermitted(credentials, { roles: ['Editor'] }, relationshipId)
+      ).toBe(false)
+      expect(isPermitted(credentials, { roles: ['Admin'] })).toBe(false)
+    })
+
+    test('Should refuse a role that is not active', () => {
+      expect(
+        isPermitted(credentials, { roles: ['Approver'] }, relationshipId)
+      ).toBe(false)
+    })
+
+    test('Should require both a role and a relationship when both are listed', () => {
+      expect(
+        isPermitted(
+          credentials,
+          { roles: ['Admin'], relationships: ['Employee'] },
+          relationshipId
+        )
+      ).toBe(true)
+      expect(
+        isPermitted(
+          credentials,
+          { roles: ['Admin'], relationships: ['Agent'] },
+          relationshipId
+        )
+      ).toBe(false)
+    })
+
+    test('Should not check empty lists', () => {
+      expect(isPermitted(credentials, {})).toBe(true)
+      expect(isPermitted(credentials, { roles: [], relationships: [] })).toBe(
+        true
+      )
+    })
+
+    test('Should refuse signed out users', () => {
+      expect(isPermitted(null, {})).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,54 @@
+/**
+ * Redirect target validation
+ *
+ * Paths to return to after sign in, sign out or a step-up arrive in query
+ * strings and Referer headers, so anyone can craft them. Only same-origin
+ * relative paths are followed; anything else would make the app an open
+ * redirect to another site.
+ */
+
+export const defaultRedirectTarget = '/dashboard'
+
+const appOrigin = 'http://app.invalid'
+const controlCharacter = /\p{Cc}/u
+
+/**
+ * @param {*} target - Candidate redirect target
+ * @returns {boolean} True if target is a relative path on this site
+ */
+export function isSafeRedirectTarget(target) {
+  // '//host' is protocol-relative and browsers read '\' as '/'. Browsers also
+  // strip tabs and newlines, so '/\t/host' would become '//host'
+  if (
+    typeof target !== 'string' ||
+    !target.startsWith('/') ||
+    target.startsWith('//') ||
+    target.includes('\\') ||
+    controlCharacter.test(target)
+  ) {
+    return false
+  }
+
+  return new URL(target, appOrigin).origin === appOrigin
+}
+
+/**
+ * Redirect target to follow, logging and replacing any that is not safe
+ * @param {Object} request - Hapi request object
+ * @param {*} target - Candidate redirect target, e.g. the next query parameter
+ * @returns {string} target, or /dashboard if it is missing or not safe
+ */
+export function safeRedirectTarget(request, target) {
+  if (isSafeRedirectTarget(target)) {
+    return target
+  }
+
+  if (target !== undefined && target !== '') {
+    request.logger.warn(
+      { path: request.path, target: String(target).slice(0, 200) },
+      'Rejected unsafe redirect target'
+    )
+  }
+
+  return defaultRedirectTarget
+}
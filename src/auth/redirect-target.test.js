@@ -0,0 +1,64 @@
+import { vi } from 'vitest'
+
+import { isSafeRedirectTarget, safeRedirectTarget } from './redirect-target.js'
+
+describe('#redirectTarget', () => {
+  describe('isSafeRedirectTarget', () => {
+    test.each([
+      '/',
+      '/dashboard',
+      '/example/1/delete?page=2#details',
+      '/search?q=http://example.com'
+    ])('Should allow the relative path %s', (target) => {
+      expect(isSafeRedirectTarget(target)).toBe(true)
+    })
+
+    test.each([
+      ['an absolute URL', 'https://evil.example/dashboard'],
+      ['a protocol-relative URL', '//evil.example'],
+      ['a backslash', '/\\evil.example'],
+      ['a tab', '/\t/evil.example'],
+      ['a newline', '/\n/evil.example'],
+      ['a scheme', 'javascript:alert(1)'],
+      ['a path relative to the current page', 'dashboard'],
+      ['an empty string', ''],
+      ['an array', ['/dashboard', '//evil.example']],
+      ['undefined', undefined]
+    ])('Should reject %s', (_description, target) => {
+      expect(isSafeRedirectTarget(target)).toBe(false)
+    })
+  })
+
+  describe('safeRedirectTarget', () => {
+    const mockRequest = () => ({
+      path: '/auth/callback',
+      logger: { warn: vi.fn() }
+    })
+
+    test('Should return a safe target', () => {
+      const request = mockRequest()
+
+      expect(safeRedirectTarget(request, '/examples?page=2')).toBe(
+        '/examples?page=2'
+      )
+      expect(request.logger.warn).not.toHaveBeenCalled()
+    })
+
+    test('Should log an unsafe target and use the dashboard', () => {
+      const request = mockRequest()
+
+      expect(safeRedirectTarget(request, '//evil.example')).toBe('/dashboard')
+      expect(request.logger.warn).toHaveBeenCalledWith(
+        { path: '/auth/callback', target: '//evil.example' },
+        'Rejected unsafe redirect target'
+      )
+    })
+
+    test('Should use the dashboard without logging when there is no target', () => {
+      const request = mockRequest()
+
+      expect(safeRedirectTarget(request, undefined)).toBe('/dashboard')
+      expect(request.logger.warn).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -42,3 +42,19 @@ export async function refreshTokens(refreshToken, traceId) {
 
   return await response.json()
 }
+
+/**
+ * Apply a token refresh response to the 'auth' session data
+ *
+ * @param {Object} authData - Current auth session data
+ * @param {Object} tokens - Response from refreshTokens() { access_token, refresh_token, expires_in }
+ * @returns {Object} Updated auth session data
+ */
+export function applyRefreshedTokens(authData, tokens) {
+  return {
+    ...authData,
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token,
+    expiresAt: new Date(Date.now() + tokens.expires_in * 1000).toISOString()
+  }
+}
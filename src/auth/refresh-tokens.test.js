@@ -149,3 +149,25 @@ describe('Token Refresh', () => {
     ).rejects.toThrow('ECONNREFUSED')
   })
 })
+
+describe('Apply Refreshed Tokens', () => {
+  test('Should replace tokens and expiry but keep the rest of the session', async () => {
+    const { applyRefreshedTokens } = await import('./refresh-tokens.js')
+    const authData = {
+      contactId: 'contact-1',
+      accessToken: 'old-access-token',
+      refreshToken: 'old-refresh-token',
+      expiresAt: '2020-01-01T00:00:00.000Z'
+    }
+
+    const updated = applyRefreshedTokens(authData, mockTokenRefreshResponse)
+
+    expect(updated).toEqual({
+      contactId: 'contact-1',
+      accessToken: 'new-mock-access-token',
+      refreshToken: 'new-mock-refresh-token',
+      expiresAt: expect.any(String)
+    })
+    expect(new Date(updated.expiresAt).getTime()).toBeGreaterThan(Date.now())
+  })
+})
@@ -0,0 +1,82 @@
+/**
+ * Session ID rotation
+ *
+ * A session ID known before the user signs in - for example one planted in
+ * their browser by an attacker (session fixation) - must not be the ID that
+ * ends up signed in. The session gets a new ID, and the old one is dropped,
+ * whenever what it is allowed to do changes: sign in, step-up and a change of
+ * organisation.
+ *
+ * Data put in the session before a fresh sign in may have been planted, so
+ * only an allowlist is carried over to it from a signed out session: the
+ * answers of journeys in progress, so a journey started before signing in can
+ * be finished. Never auth data, the organisation or a draft being resumed, and
+ * nothing from a session signed in as another user. Journeys and the
+ * organisation being acted for are kept as they are when the session is
+ * already signed in as the same user - a step-up, or signing in again for
+ * another organisation - or the user stays signed in (a change of organisation
+ * with the same token). Return URLs travel in the sign in query (see
+ * /auth/callback), not the session.
+ */
+
+import { organisationSessionKey } from './organisations.js'
+import {
+  journeyAnswersIn,
+  journeySessionKeysIn
+} from '../server/common/helpers/journey/journey.js'
+import {
+  getSessionValue,
+  rotateSession
+} from '../server/common/helpers/session-helpers.js'
+
+/**
+ * Give the session a new ID, updating the session index to match
+ * Logged with the request's trace ID, which the logger adds to every entry
+ * @param {object} request - Hapi request object
+ * @param {string} reason - Why, for the log: 'sign-in', 'step-up' or 'organisation'
+ * @param {object} [options]
+ * @param {boolean} [options.keepAuth] - The user stays signed in with the same
+ *   auth data; otherwise the caller stores new auth data afterwards
+ * @param {string} [options.contactId] - User signing in, when not keepAuth
+ * @returns {Promise<string>} New session ID
+ */
+export async function rotateSessionId(
+  request,
+  reason,
+  { keepAuth = false, contactId } = {}
+) {
+  const authData = getSessionValue(request, 'auth')
+  const sameUser =
+    keepAuth || (Boolean(contactId) && authData?.contactId === contactId)
+  const get = (key) => request.yar.get(key)
+
+  const carriedOver = sameUser
+    ? [organisationSessionKey, ...journeySessionKeysIn(get)]
+    : []
+  // Another user's answers stay with them
+  const answers = sameUser || authData ? {} : journeyAnswersIn(get)
+  const { previousId, sessionId } = rotateSession(
+    request,
+    keepAuth ? ['auth', ...carriedOver] : carriedOver,
+    answers
+  )
+
+  if (authData?.contactId) {
+    if (keepAuth) {
+      await request.sessionIndex.move(authData.contactId, previousId, sessionId)
+    } else {
+      await request.sessionIndex.remove(authData.contactId, previousId)
+    }
+  }
+
+  request.logger.info(
+    {
+      reason,
+      contactId: contactId ?? authData?.contactId,
+      carriedOver: sameUser ? carriedOver : Object.keys(answers)
+    },
+    'Session ID rotated'
+  )
+
+  return sessionId
+}
@@ -0,0 +1,129 @@
+import { vi } from 'vitest'
+
+import { rotateSessionId } from './session-rotation.js'
+import { createJourney } from '../server/common/helpers/journey/journey.js'
+
+const journeyId = '0b6f3bb6-2a3e-4a7c-9a65-1c5c1d0f2f11'
+
+createJourney({
+  name: 'rotation-test',
+  basePath: '/rotation-test',
+  sessionKey: 'rotation',
+  pages: [],
+  check: {}
+})
+
+function mockRequest(values) {
+  let nextId = 1
+
+  const yar = {
+    id: 'session-old',
+    values,
+    get: (key) => yar.values[key] ?? null,
+    set: (changes) => Object.assign(yar.values, changes),
+    reset: vi.fn(() => {
+      yar.id = `session-new-${nextId++}`
+      yar.values = {}
+    })
+  }
+
+  return {
+    yar,
+    logger: { info: vi.fn() },
+    sessionIndex: { move: vi.fn(), remove: vi.fn() }
+  }
+}
+
+describe('#rotateSessionId', () => {
+  const authData = { contactId: 'contact-1' }
+  const journeyState = {
+    'rotation.open': { [journeyId]: 1000 },
+    [`rotation.${journeyId}`]: { answers: { name: 'Draft' } }
+  }
+
+  test('Should carry only journey answers over to a fresh sign in', async () => {
+    const request = mockRequest({
+      'rotation.open': { [journeyId]: 1000 },
+      [`rotation.${journeyId}`]: {
+        answers: { name: 'Draft' },
+        draftId: 'planted-draft'
+      },
+      relationshipId: 'rel-2',
+      loginNonce: 'nonce',
+      somethingElse: 'planted'
+    })
+
+    const sessionId = await rotateSessionId(request, 'sign-in', {
+      contactId: 'contact-1'
+    })
+
+    expect(sessionId).toBe('session-new-1')
+    expect(request.yar.values).toEqual(journeyState)
+    expect(request.logger.info).toHaveBeenCalledWith(
+      {
+        reason: 'sign-in',
+        contactId: 'contact-1',
+        carriedOver: ['rotation.open', `rotation.${journeyId}`]
+      },
+      'Session ID rotated'
+    )
+  })
+
+  test('Should carry journeys and the organisation over a step-up', async () => {
+    const request = mockRequest({
+      auth: authData,
+      ...journeyState,
+      relationshipId: 'rel-2',
+      loginNonce: 'nonce'
+    })
+
+    await rotateSessionId(request, 'step-up', { contactId: 'contact-1' })
+
+    expect(request.yar.values).toEqual({
+      ...journeyState,
+      relationshipId: 'rel-2'
+    })
+    expect(request.sessionIndex.remove).toHaveBeenCalledWith(
+      'contact-1',
+      'session-old'
+    )
+  })
+
+  test('Should carry nothing over when another user signs in', async () => {
+    const request = mockRequest({
+      auth: authData,
+      ...journeyState,
+      relationshipId: 'rel-2'
+    })
+
+    await rotateSessionId(request, 'sign-in', { contactId: 'contact-2' })
+
+    expect(request.yar.values).toEqual({})
+    expect(request.sessionIndex.remove).toHaveBeenCalledWith(
+      'contact-1',
+      'session-old'
+    )
+  })
+
+  test('Should keep the user signed in when changing organisation', async () => {
+    const request = mockRequest({
+      auth: authData,
+      ...journeyState,
+      relationshipId: 'rel-3'
+    })
+
+    await rotateSessionId(request, 'organisation', { keepAuth: true })
+
+    expect(request.yar.values).toEqual({
+      auth: authData,
+      ...journeyState,
+      relationshipId: 'rel-3'
+    })
+    expect(request.sessionIndex.move).toHaveBeenCalledWith(
+      'contact-1',
+      'session-old',
+      'session-new-1'
+    )
+    expect(request.sessionIndex.remove).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,64 @@
+/**
+ * Idle and absolute session timeouts
+ *
+ * A signed-in session ends after session.idleTimeout without activity, or
+ * session.absoluteTimeout after sign in however active the user is. Both are
+ * enforced by the session strategy's validate, where every request that
+ * authenticates counts as activity. Times are kept in the 'auth' session data.
+ */
+
+import { config } from '../config/config.js'
+import { setSessionValue } from '../server/common/helpers/session-helpers.js'
+
+/**
+ * Start the session clocks for a new sign in
+ * @param {Object} authData - Auth session data being created
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} Auth session data with signedInAt and lastActiveAt
+ */
+export function startSessionClock(authData, now = Date.now()) {
+  const signedInAt = new Date(now).toISOString()
+  return { ...authData, signedInAt, lastActiveAt: signedInAt }
+}
+
+/**
+ * When the session ends if there is no more activity
+ * @param {Object} authData - Auth session data
+ * @returns {number} Time in ms, the earlier of the idle and absolute limits
+ */
+export function sessionExpiresAt(authData) {
+  const idleExpiresAt =
+    Date.parse(authData.lastActiveAt) + config.get('session.idleTimeout')
+  const absoluteExpiresAt =
+    Date.parse(authData.signedInAt) + config.get('session.absoluteTimeout')
+
+  // Sessions from before the clocks were kept have no times - not expired
+  return Math.min(idleExpiresAt, absoluteExpiresAt) || Infinity
+}
+
+/**
+ * @param {Object} authData - Auth session data
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} True once the idle or absolute limit has passed
+ */
+export function isSessionExpired(authData, now = Date.now()) {
+  return now >= sessionExpiresAt(authData)
+}
+
+/**
+ * Record activity, restarting the idle clock
+ * @param {Object} request - Hapi request object
+ * @param {Object} authData - Auth session data
+ * @returns {Object} Updated auth session data
+ */
+export function touchSession(request, authData) {
+  const lastActiveAt = new Date().toISOString()
+  const updatedAuth = {
+    ...authData,
+    signedInAt: authData.signedInAt ?? lastActiveAt,
+    lastActiveAt
+  }
+
+  setSessionValue(request, 'auth', updatedAuth)
+  return updatedAuth
+}
@@ -0,0 +1,67 @@
+import { vi } from 'vitest'
+
+import {
+  isSessionExpired,
+  sessionExpiresAt,
+  startSessionClock,
+  touchSession
+} from './session-timeout.js'
+import { config } from '../config/config.js'
+
+const minuteMs = 60 * 1000
+const signInTime = Date.parse('2025-01-15T09:00:00.000Z')
+
+describe('#sessionTimeout', () => {
+  beforeEach(() => {
+    config.set('session.idleTimeout', 30 * minuteMs)
+    config.set('session.absoluteTimeout', 240 * minuteMs)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('Should start both clocks at sign in', () => {
+    expect(startSessionClock({ contactId: 'contact-1' }, signInTime)).toEqual({
+      contactId: 'contact-1',
+      signedInAt: '2025-01-15T09:00:00.000Z',
+      lastActiveAt: '2025-01-15T09:00:00.000Z'
+    })
+  })
+
+  test('Should end an idle session', () => {
+    const authData = startSessionClock({}, signInTime)
+
+    expect(sessionExpiresAt(authData)).toBe(signInTime + 30 * minuteMs)
+    expect(isSessionExpired(authData, signInTime + 29 * minuteMs)).toBe(false)
+    expect(isSessionExpired(authData, signInTime + 30 * minuteMs)).toBe(true)
+  })
+
+  test('Should end an active session at the absolute limit', () => {
+    const authData = {
+      signedInAt: new Date(signInTime).toISOString(),
+      lastActiveAt: new Date(signInTime + 235 * minuteMs).toISOString()
+    }
+
+    expect(sessionExpiresAt(authData)).toBe(signInTime + 240 * minuteMs)
+    expect(isSessionExpired(authData, signInTime + 240 * minuteMs)).toBe(true)
+  })
+
+  test('Should not expire sessions from before the clocks were kept', () => {
+    expect(isSessionExpired({ contactId: 'contact-1' })).toBe(false)
+  })
+
+  test('Should restart the idle clock on activity', () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(signInTime + 20 * minuteMs)
+    const request = { yar: { set: vi.fn() } }
+
+    const updatedAuth = touchSession(request, startSessionClock({}, signInTime))
+
+    expect(updatedAuth).toEqual({
+      signedInAt: '2025-01-15T09:00:00.000Z',
+      lastActiveAt: '2025-01-15T09:20:00.000Z'
+    })
+    expect(request.yar.set).toHaveBeenCalledWith('auth', updatedAuth)
+  })
+})
@@ -0,0 +1,187 @@
+/**
+ * Single-flight token refresh
+ *
+ * DEFRA ID rotates refresh tokens, so each one can only be used once. When
+ * parallel requests for a session (assets, XHR, several tabs) all find the
+ * access token expired, only one may refresh; the others reuse its result.
+ *
+ * - In-process: callers holding the same refresh token share one promise
+ * - Across instances (Redis session cache): a Redis lock (SET NX PX) elects one
+ *   instance to refresh. It publishes the result, which the others poll for.
+ *   The lock holds a token unique to the holder, and is only released by it -
+ *   if a slow refresh outlives the lock, another instance's lock is left alone.
+ *
+ * Keys are a hash of the refresh token being replaced, so they are specific to
+ * one session's current token and never contain the token itself. Published
+ * tokens are encrypted like those in the session (see session-cipher.js).
+ */
+
+import { createHash, randomUUID } from 'node:crypto'
+import { setTimeout as sleep } from 'node:timers/promises'
+
+import { config } from '../config/config.js'
+import { applyRefreshedTokens, refreshTokens } from './refresh-tokens.js'
+import { setSessionValue } from '../server/common/helpers/session-helpers.js'
+import {
+  openValue,
+  sealValue
+} from '../server/common/helpers/session-cache/session-cipher.js'
+
+// Refreshes in progress (or recently finished) in this process, by key
+const refreshes = new Map()
+
+// Redis client shared by all instances, set by the token-refresh plugin
+let redisClient = null
+
+// Delete KEYS[1] only if it still holds ARGV[1], our lock token
+const releaseLockScript = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`
+
+/**
+ * Coordinate refreshes across instances through Redis
+ * @param {Object|null} client - ioredis client, or null for in-process only
+ */
+export function useRedisForTokenRefresh(client) {
+  redisClient = client
+}
+
+function refreshKey(refreshToken) {
+  return `token-refresh:${createHash('sha256').update(refreshToken).digest('hex')}`
+}
+
+async function readResult(resultKey) {
+  const result = await redisClient.get(resultKey)
+
+  if (!result) {
+    return null
+  }
+
+  const { tokens, error } = JSON.parse(result)
+  return tokens
+    ? { tokens: JSON.parse(openValue(tokens, resultKey).plaintext) }
+    : { error }
+}
+
+/**
+ * Wait for the instance holding the lock to publish its result
+ * @throws {Error} If that refresh failed, or no result arrives before the lock expires
+ */
+async function waitForResult(resultKey) {
+  const deadline = Date.now() + config.get('defraId.tokenRefreshLockTtl')
+
+  while (Date.now() < deadline) {
+    await sleep(config.get('defraId.tokenRefreshPollInterval'))
+    const result = await readResult(resultKey)
+
+    if (result?.error) {
+      throw new Error(
+        `Token refresh failed on another instance: ${result.error}`
+      )
+    }
+
+    if (result) {
+      return result.tokens
+    }
+  }
+
+  throw new Error('Timed out waiting for token refresh on another instance')
+}
+
+async function refreshAcrossInstances(key, refreshToken, traceId) {
+  if (!redisClient) {
+    return refreshTokens(refreshToken, traceId)
+  }
+
+  const resultKey = `${key}:result`
+  const lockKey = `${key}:lock`
+  const resultTtl = config.get('defraId.tokenRefreshResultTtl')
+
+  const published = await readResult(resultKey)
+  if (published && !published.error) {
+    return published.tokens
+  }
+
+  const lockToken = randomUUID()
+  const locked = await redisClient.set(
+    lockKey,
+    lockToken,
+    'PX',
+    config.get('defraId.tokenRefreshLockTtl'),
+    'NX'
+  )
+
+  if (locked !== 'OK') {
+    return waitForResult(resultKey)
+  }
+
+  try {
+    const tokens = await refreshTokens(refreshToken, traceId)
+    await redisClient.set(
+      resultKey,
+      JSON.stringify({ tokens: sealValue(JSON.stringify(tokens), resultKey) }),
+      'PX',
+      resultTtl
+    )
+    return tokens
+  } catch (error) {
+    await redisClient.set(
+      resultKey,
+      JSON.stringify({ error: error.message }),
+      'PX',
+      resultTtl
+    )
+    throw error
+  } finally {
+    await redisClient.eval(releaseLockScript, 1, lockKey, lockToken)
+  }
+}
+
+/**
+ * Refresh tokens, sharing one refresh between all callers holding the same
+ * refresh token
+ * @param {string} refreshToken - OAuth2 refresh token
+ * @param {string} traceId - CDP request trace ID for logging
+ * @returns {Promise<Object>} Token response { access_token, refresh_token, expires_in }
+ * @throws {Error} If the refresh fails, here or on the instance that ran it
+ */
+export function refreshTokensOnce(refreshToken, traceId) {
+  const key = refreshKey(refreshToken)
+
+  if (!refreshes.has(key)) {
+    const refresh = refreshAcrossInstances(key, refreshToken, traceId)
+    refreshes.set(key, refresh)
+
+    // Keep a successful result for requests that loaded the session before it was saved
+    refresh.then(
+      () => {
+        setTimeout(
+          () => refreshes.delete(key),
+          config.get('defraId.tokenRefreshResultTtl')
+        ).unref()
+      },
+      () => refreshes.delete(key)
+    )
+  }
+
+  return refreshes.get(key)
+}
+
+/**
+ * Refresh the session's tokens and save them to the 'auth' session data
+ * @param {Object} request - Hapi request object
+ * @param {Object} authData - Current auth session data
+ * @returns {Promise<Object>} Updated auth session data
+ * @throws {Error} If the refresh fails
+ */
+export async function refreshSessionTokens(request, authData) {
+  const traceId = request.headers[config.get('tracing.header')]
+  const tokens = await refreshTokensOnce(authData.refreshToken, traceId)
+  const updatedAuth = applyRefreshedTokens(authData, tokens)
+
+  setSessionValue(request, 'auth', updatedAuth)
+  return updatedAuth
+}
@@ -0,0 +1,266 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest'
+
+import {
+  openValue,
+  sealValue
+} from '../server/common/helpers/session-cache/session-cipher.js'
+
+const mockRefreshTokens = vi.fn()
+
+vi.mock(import('./refresh-tokens.js'), async (importOriginal) => ({
+  ...(await importOriginal()),
+  refreshTokens: (...args) => mockRefreshTokens(...args)
+}))
+
+const newTokens = {
+  access_token: 'new-access-token',
+  refresh_token: 'new-refresh-token',
+  expires_in: 3600
+}
+
+/**
+ * In-memory stand-in for the ioredis commands the refresh uses
+ * Several "instances" can share one to simulate a Redis shared between them
+ */
+function fakeRedis(store = new Map()) {
+  return {
+    store,
+    get: vi.fn(async (key) => store.get(key) ?? null),
+    set: vi.fn(async (key, value, ...options) => {
+      if (options.includes('NX') && store.has(key)) {
+        return null
+      }
+      store.set(key, value)
+      return 'OK'
+    }),
+    // Only the lock release script is run: compare-and-delete
+    eval: vi.fn(async (_script, _numKeys, key, token) =>
+      store.get(key) === token ? Number(store.delete(key)) : 0
+    )
+  }
+}
+
+describe('#tokenRefresh', () => {
+  let tokenRefresh
+  let config
+
+  beforeEach(async () => {
+    vi.resetModules()
+    mockRefreshTokens.mockReset()
+    tokenRefresh = await import('./token-refresh.js')
+    ;({ config } = await import('../config/config.js'))
+    config.set('defraId.tokenRefreshPollInterval', 5)
+    config.set('defraId.tokenRefreshLockTtl', 100)
+  })
+
+  describe('In-process', () => {
+    test('Should share one refresh between concurrent callers', async () => {
+      mockRefreshTokens.mockResolvedValue(newTokens)
+
+      const results = await Promise.all([
+        tokenRefresh.refreshTokensOnce('refresh-1', 'trace-1'),
+        tokenRefresh.refreshTokensOnce('refresh-1', 'trace-2'),
+        tokenRefresh.refreshTokensOnce('refresh-1', 'trace-3')
+      ])
+
+      expect(mockRefreshTokens).toHaveBeenCalledTimes(1)
+      expect(mockRefreshTokens).toHaveBeenCalledWith('refresh-1', 'trace-1')
+      expect(results).toEqual([newTokens, newTokens, newTokens])
+    })
+
+    test('Should reuse the result for callers that arrive just after', async () => {
+      mockRefreshTokens.mockResolvedValue(newTokens)
+
+      await tokenRefresh.refreshTokensOnce('refresh-1')
+      const late = await tokenRefresh.refreshTokensOnce('refresh-1')
+
+      expect(mockRefreshTokens).toHaveBeenCalledTimes(1)
+      expect(late).toEqual(newTokens)
+    })
+
+    test('Should refresh separately for different refresh tokens', async () => {
+      mockRefreshTokens.mockResolvedValue(newTokens)
+
+      await Promise.all([
+        tokenRefresh.refreshTokensOnce('refresh-1'),
+        tokenRefresh.refreshTokensOnce('refresh-2')
+      ])
+
+      expect(mockRefreshTokens).toHaveBeenCalledTimes(2)
+    })
+
+    test('Should share a failure, then allow a new attempt', async () => {
+      mockRefreshTokens
+        .mockRejectedValueOnce(new Error('invalid_grant'))
+        .mockResolvedValueOnce(newTokens)
+
+      const results = await Promise.allSettled([
+        tokenRefresh.refreshTokensOnce('refresh-1'),
+        tokenRefresh.refreshTokensOnce('refresh-1')
+      ])
+
+      expect(results.map(({ status }) => status)).toEqual([
+        'rejected',
+        'rejected'
+      ])
+      await expect(
+        tokenRefresh.refreshTokensOnce('refresh-1')
+      ).resolves.toEqual(newTokens)
+      expect(mockRefreshTokens).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('Across instances', () => {
+    test('Should refresh under a Redis lock and publish the result', async () => {
+      const redis = fakeRedis()
+      tokenRefresh.useRedisForTokenRefresh(redis)
+      mockRefreshTokens.mockResolvedValue(newTokens)
+
+      const tokens = await tokenRefresh.refreshTokensOnce('refresh-1')
+
+      expect(tokens).toEqual(newTokens)
+      expect(redis.set).toHaveBeenCalledWith(
+        expect.stringMatching(/^token-refresh:[0-9a-f]{64}:lock$/),
+        expect.any(String),
+        'PX',
+        100,
+        'NX'
+      )
+      const [[resultKey, result]] = [...redis.store]
+      expect(resultKey).toMatch(/:result$/)
+      expect(resultKey).not.toContain('refresh-1')
+      expect(result).not.toContain('new-access-token')
+
+      const published = JSON.parse(result).tokens
+      expect(JSON.parse(openValue(published, resultKey).plaintext)).toEqual(
+        newTokens
+      )
+    })
+
+    test('Should reuse a result published by another instance', async () => {
+      const shared = new Map()
+      mockRefreshTokens.mockResolvedValue(newTokens)
+
+      tokenRefresh.useRedisForTokenRefresh(fakeRedis(shared))
+      await tokenRefresh.refreshTokensOnce('refresh-1')
+
+      // Another instance: own process state, same Redis
+      vi.resetModules()
+      const otherInstance = await import('./token-refresh.js')
+      otherInstance.useRedisForTokenRefresh(fakeRedis(shared))
+
+      await expect(
+        otherInstance.refreshTokensOnce('refresh-1')
+      ).resolves.toEqual(newTokens)
+      expect(mockRefreshTokens).toHaveBeenCalledTimes(1)
+    })
+
+    test('Should wait for the instance holding the lock', async () => {
+      const redis = fakeRedis()
+      tokenRefresh.useRedisForTokenRefresh(redis)
+
+      // Another instance holds the lock and publishes shortly after
+      redis.set.mockImplementationOnce(async (key) => {
+        setTimeout(() => {
+          const resultKey = key.replace(/:lock$/, ':result')
+          redis.store.set(
+            resultKey,
+            JSON.stringify({
+              tokens: sealValue(JSON.stringify(newTokens), resultKey)
+            })
+          )
+        }, 20)
+        return null
+      })
+
+      await expect(
+        tokenRefresh.refreshTokensOnce('refresh-1')
+      ).resolves.toEqual(newTokens)
+      expect(mockRefreshTokens).not.toHaveBeenCalled()
+    })
+
+    test('Should fail when the other instance reports a failed refresh', async () => {
+      const redis = fakeRedis()
+      tokenRefresh.useRedisForTokenRefresh(redis)
+      redis.set.mockImplementationOnce(async (key) => {
+        redis.store.set(
+          key.replace(/:lock$/, ':result'),
+          JSON.stringify({ error: 'invalid_grant' })
+        )
+        return null
+      })
+
+      await expect(tokenRefresh.refreshTokensOnce('refresh-1')).rejects.toThrow(
+        'Token refresh failed on another instance: invalid_grant'
+      )
+    })
+
+    test('Should give up when no result arrives before the lock expires', async () => {
+      const redis = fakeRedis()
+      tokenRefresh.useRedisForTokenRefresh(redis)
+      redis.set.mockResolvedValueOnce(null)
+
+      await expect(tokenRefresh.refreshTokensOnce('refresh-1')).rejects.toThrow(
+        'Timed out waiting for token refresh on another instance'
+      )
+      expect(mockRefreshTokens).not.toHaveBeenCalled()
+    })
+
+    test('Should publish a failed refresh so waiting instances stop', async () => {
+      const redis = fakeRedis()
+      tokenRefresh.useRedisForTokenRefresh(redis)
+      mockRefreshTokens.mockRejectedValue(new Error('invalid_grant'))
+
+      await expect(tokenRefresh.refreshTokensOnce('refresh-1')).rejects.toThrow(
+        'invalid_grant'
+      )
+      const [result] = [...redis.store.values()]
+      expect(JSON.parse(result)).toEqual({ error: 'invalid_grant' })
+      expect([...redis.store.keys()]).not.toContainEqual(
+        expect.stringMatching(/:lock$/)
+      )
+    })
+
+    test('Should not release a lock taken over by another instance', async () => {
+      const redis = fakeRedis()
+      tokenRefresh.useRedisForTokenRefresh(redis)
+
+      // Our lock expires mid-refresh and another instance takes it
+      mockRefreshTokens.mockImplementation(async () => {
+        const [lockKey] = [...redis.store.keys()]
+        redis.store.set(lockKey, 'other-instance')
+        return newTokens
+      })
+
+      await tokenRefresh.refreshTokensOnce('refresh-1')
+
+      expect([...redis.store.values()]).toContain('other-instance')
+    })
+  })
+
+  test('Should save refreshed tokens to the session', async () => {
+    mockRefreshTokens.mockResolvedValue(newTokens)
+    const set = vi.fn()
+    const request = {
+      headers: { 'x-cdp-request-id': 'trace-123' },
+      yar: { set }
+    }
+
+    const updatedAuth = await tokenRefresh.refreshSessionTokens(request, {
+      contactId: 'contact-1',
+      refreshToken: 'refresh-1'
+    })
+
+    expect(mockRefreshTokens).toHaveBeenCalledWith('refresh-1', 'trace-123')
+    expect(updatedAuth).toMatchObject({
+      contactId: 'contact-1',
+      accessToken: 'new-access-token',
+      refreshToken: 'new-refresh-token'
+    })
+    expect(set).toHaveBeenCalledWith('auth', {
+      ...updatedAuth,
+      accessToken: expect.stringMatching(/^v1\./),
+      refreshToken: expect.stringMatching(/^v1\./)
+    })
+  })
+})
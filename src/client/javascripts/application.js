@@ -8,9 +8,13 @@ import {
   SkipLink
 } from 'govuk-frontend'
 
+import { initTimeoutWarning } from './timeout-warning.js'
+
 createAll(Button)
 createAll(Checkboxes)
 createAll(ErrorSummary)
 createAll(Header)
 createAll(Radios)
 createAll(SkipLink)
+
+initTimeoutWarning()
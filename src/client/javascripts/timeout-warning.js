@@ -0,0 +1,107 @@
+/**
+ * Session timeout warning
+ *
+ * Opens the timeout warning dialog shortly before the server ends an idle
+ * session. "Stay signed in" calls the keep-alive endpoint, which restarts the
+ * idle timeout; otherwise, when the time runs out, the user is sent to the
+ * signed-out page with the page they were on, so signing in brings them back.
+ */
+export class TimeoutWarning {
+  /**
+   * @param {HTMLDialogElement} $root - Element with data-module="app-timeout-warning"
+   */
+  constructor($root) {
+    this.$root = $root
+    this.$countdown = $root.querySelector('[data-timeout-warning-countdown]')
+    this.warningMs = Number($root.dataset.warning) * 1000
+    this.keepAliveUrl = $root.dataset.keepAliveUrl
+    this.signedOutUrl = $root.dataset.signedOutUrl
+
+    $root
+      .querySelector('[data-timeout-warning-keep-alive]')
+      .addEventListener('click', () => this.keepAlive())
+
+    // Escape means "stay signed in" rather than silently dismissing the warning
+    $root.addEventListener('cancel', (event) => {
+      event.preventDefault()
+      this.keepAlive()
+    })
+
+    this.schedule(Number($root.dataset.expiresIn) * 1000)
+  }
+
+  schedule(expiresInMs) {
+    this.clearTimers()
+    this.expiresAt = Date.now() + expiresInMs
+
+    this.warningTimer = setTimeout(
+      () => this.warn(),
+      Math.max(expiresInMs - this.warningMs, 0)
+    )
+    this.expiryTimer = setTimeout(() => this.signOut(), expiresInMs)
+  }
+
+  clearTimers() {
+    clearTimeout(this.warningTimer)
+    clearTimeout(this.expiryTimer)
+    clearInterval(this.countdownTimer)
+  }
+
+  warn() {
+    this.updateCountdown()
+    this.countdownTimer = setInterval(() => this.updateCountdown(), 1000)
+
+    if (!this.$root.open) {
+      this.$root.showModal()
+    }
+  }
+
+  updateCountdown() {
+    const seconds = Math.max(Math.ceil((this.expiresAt - Date.now()) / 1000), 0)
+    const [count, unit] =
+      seconds >= 60 ? [Math.ceil(seconds / 60), 'minute'] : [seconds, 'second']
+
+    this.$countdown.textContent = `${count} ${unit}${count === 1 ? '' : 's'}`
+  }
+
+  async keepAlive() {
+    let response
+
+    try {
+      response = await fetch(this.keepAliveUrl, {
+        headers: { Accept: 'application/json' },
+        credentials: 'same-origin'
+      })
+    } catch {
+      // Network error - leave the warning open so the user can try again
+      return
+    }
+
+    if (!response.ok) {
+      this.signOut()
+      return
+    }
+
+    const { expiresIn } = await response.json()
+    this.$root.close()
+    this.schedule(expiresIn * 1000)
+  }
+
+  signOut() {
+    this.clearTimers()
+
+    const next = window.location.pathname + window.location.search
+    window.location.assign(
+      `${this.signedOutUrl}?next=${encodeURIComponent(next)}`
+    )
+  }
+}
+
+/**
+ * Start the timeout warning on pages for signed-in users
+ */
+export function initTimeoutWarning() {
+  document
+    .querySelectorAll('[data-module="app-timeout-warning"]')
+    .forEach(($root) => new TimeoutWarning($root))
+}
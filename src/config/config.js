@@ -6,8 +6,12 @@ import convictFormatWithValidator from 'convict-format-with-validator'
 
 const dirname = path.dirname(fileURLToPath(import.meta.url))
 
+const twoMinutesMs = 120000
+const thirtyMinutesMs = 1800000
+const oneHourMs = 3600000
 const fourHoursMs = 14400000
 const oneWeekMs = 604800000
+const fourWeeksMs = oneWeekMs * 4
 
 const isLocal = process.env.NODE_ENV !== 'production'
 const isPlatform = !isLocal // Deployed to CDP platform
@@ -41,6 +45,34 @@ const authCookieSameSite = 'Strict'
 
 convict.addFormats(convictFormatWithValidator)
 
+// Secrets the session encryption key is derived from (see session-cipher.js)
+const minEncryptionKeyLength = 32
+
+function validateEncryptionKey(value) {
+  if (typeof value !== 'string' || value.length < minEncryptionKeyLength) {
+    throw new Error(
+      `must be a string of at least ${minEncryptionKeyLength} characters`
+    )
+  }
+}
+
+convict.addFormat({
+  name: 'encryption-key',
+  validate: validateEncryptionKey
+})
+
+convict.addFormat({
+  name: 'encryption-keys',
+  coerce: (value) => value.split(','),
+  validate(values) {
+    if (!Array.isArray(values)) {
+      throw new Error('must be a comma separated list of keys')
+    }
+
+    values.forEach(validateEncryptionKey)
+  }
+})
+
 export const config = convict({
   serviceVersion: {
     doc: 'The service version, this variable is injected into your docker container in CDP environments',
@@ -144,6 +176,24 @@ export const config = convict({
     env: 'ENABLE_METRICS'
   },
   session: {
+    idleTimeout: {
+      doc: 'Signed-in sessions end after this many milliseconds without a request',
+      format: 'nat',
+      default: thirtyMinutesMs,
+      env: 'SESSION_IDLE_TIMEOUT'
+    },
+    absoluteTimeout: {
+      doc: 'Signed-in sessions end this many milliseconds after sign in, however active',
+      format: 'nat',
+      default: fourHoursMs,
+      env: 'SESSION_ABSOLUTE_TIMEOUT'
+    },
+    timeoutWarning: {
+      doc: 'Milliseconds before a session ends that the timeout warning is shown',
+      format: 'nat',
+      default: twoMinutesMs,
+      env: 'SESSION_TIMEOUT_WARNING'
+    },
     cache: {
       engine: {
         doc: 'backend cache is written to',
@@ -184,6 +234,74 @@ export const config = convict({
         default: sessionCookieSecure,
         env: 'SESSION_COOKIE_SECURE'
       }
+    },
+    encryption: {
+      key: {
+        doc: 'Key for encrypting tokens in the session cache, at least 32 characters. Must be set on the platform - there is no default, so startup fails without it',
+        format: 'encryption-key',
+        default: isPlatform
+          ? null
+          : 'the-encryption-key-must-be-at-least-32-characters',
+        env: 'SESSION_ENCRYPTION_KEY',
+        sensitive: true
+      },
+      previousKeys: {
+        doc: 'Earlier session encryption keys, comma separated, used only to decrypt while sessions move to the current key',
+        format: 'encryption-keys',
+        default: [],
+        env: 'SESSION_ENCRYPTION_PREVIOUS_KEYS',
+        sensitive: true
+      }
+    }
+  },
+  drafts: {
+    ttl: {
+      doc: 'How long saved journey drafts are kept in the server cache',
+      format: Number,
+      default: fourWeeksMs,
+      env: 'DRAFTS_TTL'
+    }
+  },
+  journeys: {
+    ttl: {
+      doc: 'Journeys not used for this many milliseconds are abandoned and their answers dropped from the session',
+      format: 'nat',
+      default: oneHourMs,
+      env: 'JOURNEYS_TTL'
+    },
+    maxOpen: {
+      doc: 'Most journeys a session keeps answers for at once, the least recently used are dropped',
+      format: 'nat',
+      default: 5,
+      env: 'JOURNEYS_MAX_OPEN'
+    }
+  },
+  admin: {
+    roles: {
+      doc: 'DEFRA ID roles allowed to use the admin area, e.g. to end sessions (any one of them)',
+      format: Array,
+      default: ['Admin'],
+      env: 'ADMIN_ROLES'
+    }
+  },
+  examples: {
+    editorRoles: {
+      doc: 'DEFRA ID roles allowed to edit and delete examples (any one of them)',
+      format: Array,
+      default: ['Admin'],
+      env: 'EXAMPLES_EDITOR_ROLES'
+    },
+    editorRelationships: {
+      doc: 'DEFRA ID relationship types allowed to edit and delete examples, empty for any',
+      format: Array,
+      default: [],
+      env: 'EXAMPLES_EDITOR_RELATIONSHIPS'
+    },
+    deleteAal: {
+      doc: 'Minimum DEFRA ID authenticator assurance level (aal) to delete examples; lower sessions must step up',
+      format: 'nat',
+      default: 1,
+      env: 'EXAMPLES_DELETE_AAL'
     }
   },
   redis: {
@@ -223,6 +341,20 @@ export const config = convict({
       format: Boolean,
       default: redisTLS,
       env: 'REDIS_TLS'
+    },
+    reconnect: {
+      initialDelay: {
+        doc: 'Milliseconds to wait before the first attempt to reconnect to Redis, doubled after each failed attempt',
+        format: 'nat',
+        default: 100,
+        env: 'REDIS_RECONNECT_INITIAL_DELAY'
+      },
+      maxDelay: {
+        doc: 'Longest wait in milliseconds between attempts to reconnect to Redis. Attempts never stop',
+        format: 'nat',
+        default: 10000,
+        env: 'REDIS_RECONNECT_MAX_DELAY'
+      }
     }
   },
   nunjucks: {
@@ -291,6 +423,44 @@ export const config = convict({
       format: String,
       default: 'http://localhost:8085',
       env: 'BACKEND_API_URL'
+    },
+    organisationHeader: {
+      doc: 'Header carrying the DEFRA ID organisation the user is acting for',
+      format: String,
+      default: 'x-organisation-id',
+      env: 'BACKEND_API_ORGANISATION_HEADER'
+    },
+    timeout: {
+      doc: 'Backend API per-call timeout in milliseconds',
+      format: 'nat',
+      default: 5000,
+      env: 'BACKEND_API_TIMEOUT'
+    },
+    retries: {
+      doc: 'Maximum retries for idempotent backend calls (GET, PUT, DELETE)',
+      format: 'nat',
+      default: 2,
+      env: 'BACKEND_API_RETRIES'
+    },
+    retryDelay: {
+      doc: 'Base delay in milliseconds for jittered exponential retry backoff',
+      format: 'nat',
+      default: 200,
+      env: 'BACKEND_API_RETRY_DELAY'
+    },
+    circuitBreaker: {
+      failureThreshold: {
+        doc: 'Consecutive failed backend calls before the circuit opens',
+        format: 'nat',
+        default: 5,
+        env: 'BACKEND_API_CIRCUIT_FAILURE_THRESHOLD'
+      },
+      resetTimeout: {
+        doc: 'Milliseconds the circuit stays open before a trial call is allowed',
+        format: 'nat',
+        default: 30000,
+        env: 'BACKEND_API_CIRCUIT_RESET_TIMEOUT'
+      }
     }
   },
   defraId: {
@@ -319,11 +489,47 @@ export const config = convict({
       default: null,
       env: 'DEFRA_ID_SERVICE_ID'
     },
+    pkce: {
+      doc: 'Send a PKCE (S256) code challenge with the authorisation request',
+      format: Boolean,
+      default: true,
+      env: 'DEFRA_ID_PKCE'
+    },
+    nonce: {
+      doc: 'Send an OIDC nonce and require the ID token to return it',
+      format: Boolean,
+      default: true,
+      env: 'DEFRA_ID_NONCE'
+    },
+    activeRoleStatuses: {
+      doc: 'DEFRA ID role statuses that grant the role (3: Active)',
+      format: Array,
+      default: ['3'],
+      env: 'DEFRA_ID_ACTIVE_ROLE_STATUSES'
+    },
     tokenRefreshBufferMinutes: {
       doc: 'Minutes before token expiry to trigger refresh (prevents race conditions)',
       format: Number,
       default: 1,
       env: 'DEFRA_ID_TOKEN_REFRESH_BUFFER_MINUTES'
+    },
+    tokenRefreshLockTtl: {
+      doc: 'Milliseconds one instance holds the Redis lock for a session token refresh; others wait up to this long for its result',
+      format: 'nat',
+      default: 10000,
+      env: 'DEFRA_ID_TOKEN_REFRESH_LOCK_TTL'
+    },
+    tokenRefreshResultTtl: {
+      doc: 'Milliseconds a token refresh result is kept for requests that started with the old refresh token',
+      format: 'nat',
+      default: 30000,
+      env: 'DEFRA_ID_TOKEN_REFRESH_RESULT_TTL'
+    },
+    tokenRefreshPollInterval: {
+      doc: 'Milliseconds between checks for a token refresh result while another instance holds the lock',
+      format: 'nat',
+      default: 100,
+      env: 'DEFRA_ID_TOKEN_REFRESH_POLL_INTERVAL'
     }
   }
 })
@@ -70,3 +70,40 @@ describe('DEFRA ID Configuration', () => {
     expect(typeof clientSecret).toBe('string')
   })
 })
+
+describe('Session encryption configuration', () => {
+  test('Should reject a key shorter than 32 characters', () => {
+    const key = config.get('session.encryption.key')
+
+    try {
+      config.set('session.encryption.key', 'too-short')
+      expect(() => config.validate({ allowed: 'strict' })).toThrow(
+        'session.encryption.key: must be a string of at least 32 characters'
+      )
+    } finally {
+      config.set('session.encryption.key', key)
+    }
+  })
+
+  test('Should reject a short previous key', () => {
+    try {
+      config.set('session.encryption.previousKeys', [
+        'an-earlier-key-of-at-least-32-characters',
+        'too-short'
+      ])
+      expect(() => config.validate({ allowed: 'strict' })).toThrow(
+        'session.encryption.previousKeys'
+      )
+    } finally {
+      config.set('session.encryption.previousKeys', [])
+    }
+  })
+
+  test('Should mark the keys as sensitive', () => {
+    const { encryption } =
+      config.getSchema()._cvtProperties.session._cvtProperties
+
+    expect(encryption._cvtProperties.key.sensitive).toBe(true)
+    expect(encryption._cvtProperties.previousKeys.sensitive).toBe(true)
+  })
+})
@@ -1,19 +1,59 @@
-export function buildNavigation(request) {
-  return [
-    {
-      text: 'Home',
-      href: '/',
-      current: request?.path === '/'
-    },
-    {
-      text: 'About',
-      href: '/about',
-      current: request?.path === '/about'
-    },
-    {
-      text: 'Dashboard',
-      href: '/dashboard',
-      current: request?.path === '/dashboard'
-    }
-  ]
+import { config } from '../../config.js'
+import { isPermitted } from '../../../auth/permissions.js'
+import { currentOrganisation } from '../../../auth/organisations.js'
+
+/**
+ * Service navigation items
+ *
+ * An item can declare what the user needs to see it:
+ * - auth: true - signed in
+ * - authorisation: { roles, relationships } - as the route's authorisation
+ *   requirement (see src/plugins/authorisation.js), which implies signed in
+ *
+ * This only hides the link. The route must still require the same, so that a
+ * hidden page cannot be reached by typing its URL.
+ */
+const navigationItems = [
+  {
+    text: 'Home',
+    href: '/'
+  },
+  {
+    text: 'About',
+    href: '/about'
+  },
+  {
+    text: 'Dashboard',
+    href: '/dashboard',
+    auth: true
+  },
+  {
+    text: 'Admin',
+    href: '/admin/sessions',
+    authorisation: { roles: config.get('admin.roles') }
+  }
+]
+
+function isVisible({ auth, authorisation }, request, credentials) {
+  if (authorisation) {
+    const organisation = request && currentOrganisation(request, credentials)
+    return isPermitted(credentials, authorisation, organisation?.relationshipId)
+  }
+
+  return !auth || Boolean(credentials)
+}
+
+/**
+ * @param {Object} [request] - Hapi request object
+ * @param {Object|null} [credentials] - Session credentials, null when signed out
+ * @returns {Array<Object>} Items for govukServiceNavigation
+ */
+export function buildNavigation(request, credentials = null) {
+  return navigationItems
+    .filter((item) => isVisible(item, request, credentials))
+    .map(({ text, href }) => ({
+      text,
+      href,
+      current: request?.path === href
+    }))
 }
@@ -4,10 +4,12 @@ function mockRequest(options) {
   return { ...options }
 }
 
+const signedIn = { contactId: 'contact-1', roles: ['Admin'] }
+
 describe('#buildNavigation', () => {
   test('Should provide expected navigation details', () => {
     expect(
-      buildNavigation(mockRequest({ path: '/non-existent-path' }))
+      buildNavigation(mockRequest({ path: '/non-existent-path' }), signedIn)
     ).toEqual([
       {
         current: false,
@@ -23,12 +25,17 @@ describe('#buildNavigation', () => {
         current: false,
         text: 'Dashboard',
         href: '/dashboard'
+      },
+      {
+        current: false,
+        text: 'Admin',
+        href: '/admin/sessions'
       }
     ])
   })
 
   test('Should provide expected highlighted navigation details', () => {
-    expect(buildNavigation(mockRequest({ path: '/' }))).toEqual([
+    expect(buildNavigation(mockRequest({ path: '/' }), signedIn)).toEqual([
       {
         current: true,
         text: 'Home',
@@ -43,7 +50,51 @@ describe('#buildNavigation', () => {
         current: false,
         text: 'Dashboard',
         href: '/dashboard'
+      },
+      {
+        current: false,
+        text: 'Admin',
+        href: '/admin/sessions'
       }
     ])
   })
+
+  test('Should hide items that need a signed in user when signed out', () => {
+    expect(
+      buildNavigation(mockRequest({ path: '/' })).map(({ text }) => text)
+    ).toEqual(['Home', 'About'])
+  })
+
+  test('Should hide items that need a role the user does not hold', () => {
+    expect(
+      buildNavigation(mockRequest({ path: '/' }), {
+        ...signedIn,
+        roles: ['Viewer']
+      }).map(({ text }) => text)
+    ).toEqual(['Home', 'About', 'Dashboard'])
+  })
+
+  test('Should only count roles held for the organisation acted for', () => {
+    const defraIdUser = {
+      contactId: 'contact-1',
+      currentRelationshipId: 'rel-1',
+      roles: ['rel-2:Admin:3'],
+      relationships: [
+        'rel-1:org-1:First Organisation:1:Employee:0',
+        'rel-2:org-2:Second Organisation:1:Employee:0'
+      ]
+    }
+
+    expect(
+      buildNavigation(mockRequest({ path: '/' }), defraIdUser).map(
+        ({ text }) => text
+      )
+    ).toEqual(['Home', 'About', 'Dashboard'])
+    expect(
+      buildNavigation(mockRequest({ path: '/' }), {
+        ...defraIdUser,
+        currentRelationshipId: 'rel-2'
+      }).map(({ text }) => text)
+    ).toEqual(['Home', 'About', 'Dashboard', 'Admin'])
+  })
 })
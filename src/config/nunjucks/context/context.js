@@ -4,6 +4,12 @@ import { readFileSync } from 'node:fs'
 import { config } from '../../config.js'
 import { buildNavigation } from './build-navigation.js'
 import { createLogger } from '../../../server/common/helpers/logging/logger.js'
+import {
+  currentOrganisation,
+  organisationsFor
+} from '../../../auth/organisations.js'
+import { sessionExpiresAt } from '../../../auth/session-timeout.js'
+import { isSafeRedirectTarget } from '../../../auth/redirect-target.js'
 
 const logger = createLogger()
 const assetPath = config.get('assetPath')
@@ -14,6 +20,27 @@ const manifestPath = path.join(
 
 let webpackManifest
 
+function sessionTimeout(credentials) {
+  const expiresAt = sessionExpiresAt(credentials)
+
+  if (!Number.isFinite(expiresAt)) {
+    return null
+  }
+
+  return {
+    expiresIn: Math.floor((expiresAt - Date.now()) / 1000),
+    warning: config.get('session.timeoutWarning') / 1000
+  }
+}
+
+function signInUrl(request) {
+  const next = request?.url && `${request.url.pathname}${request.url.search}`
+
+  return isSafeRedirectTarget(next)
+    ? `/auth/login?next=${encodeURIComponent(next)}`
+    : '/auth/login'
+}
+
 export function context(request) {
   if (!webpackManifest) {
     try {
@@ -23,12 +50,30 @@ export function context(request) {
     }
   }
 
+  // Signed in as seen by the session cookie strategy. Public pages use it in
+  // try mode; pages without auth show the user as signed out, with no timeout
+  // warning
+  const credentials = request?.auth?.isAuthenticated
+    ? request.auth.credentials
+    : null
+
   return {
     assetPath: `${assetPath}/assets`,
     serviceName: config.get('serviceName'),
     serviceUrl: '/',
     breadcrumbs: [],
-    navigation: buildNavigation(request),
+    navigation: buildNavigation(request, credentials),
+    // Sign in or sign out links in the header
+    signedIn: Boolean(credentials),
+    displayName: credentials?.displayName ?? null,
+    signInUrl: signInUrl(request),
+    // Organisation the signed-in user is acting for, shown in the header
+    organisation: credentials
+      ? currentOrganisation(request, credentials)
+      : null,
+    canChangeOrganisation: organisationsFor(credentials).length > 1,
+    // Seconds until a signed-in session times out, for the timeout warning
+    sessionTimeout: credentials ? sessionTimeout(credentials) : null,
     getAssetPath(asset) {
       const webpackAssetPath = webpackManifest?.[asset]
       return `${assetPath}/${webpackAssetPath ?? asset}`
@@ -58,18 +58,71 @@ describe('context and cache', () => {
               current: false,
               text: 'About',
               href: '/about'
-            },
-            {
-              current: false,
-              text: 'Dashboard',
-              href: '/dashboard'
             }
           ],
+          signedIn: false,
+          displayName: null,
+          signInUrl: '/auth/login',
+          organisation: null,
+          canChangeOrganisation: false,
+          sessionTimeout: null,
           serviceName: 'trade-demo-frontend',
           serviceUrl: '/'
         })
       })
 
+      test('Should show a signed in user from the session strategy', () => {
+        const signedInContext = contextImport.context({
+          path: '/about',
+          url: new URL('http://localhost/about'),
+          auth: {
+            isAuthenticated: true,
+            credentials: { displayName: 'Jo', relationships: [] }
+          },
+          yar: { get: () => null }
+        })
+
+        expect(signedInContext).toMatchObject({
+          signedIn: true,
+          displayName: 'Jo',
+          signInUrl: '/auth/login?next=%2Fabout'
+        })
+        expect(signedInContext.navigation.map(({ text }) => text)).toContain(
+          'Dashboard'
+        )
+      })
+
+      test('Should time the session warning from the session strategy', () => {
+        const now = new Date().toISOString()
+        const signedInContext = contextImport.context({
+          path: '/about',
+          url: new URL('http://localhost/about'),
+          auth: {
+            isAuthenticated: true,
+            credentials: { signedInAt: now, lastActiveAt: now }
+          },
+          yar: { get: () => null }
+        })
+
+        expect(signedInContext.sessionTimeout.expiresIn).toBeGreaterThan(0)
+      })
+
+      test('Should not warn of a timeout on pages without session auth', () => {
+        const now = new Date().toISOString()
+        const authData = { signedInAt: now, lastActiveAt: now }
+        const publicContext = contextImport.context({
+          path: '/health',
+          url: new URL('http://localhost/health'),
+          auth: { isAuthenticated: false, credentials: null },
+          yar: { get: (key) => (key === 'auth' ? authData : null) }
+        })
+
+        expect(publicContext).toMatchObject({
+          signedIn: false,
+          sessionTimeout: null
+        })
+      })
+
       describe('With valid asset path', () => {
         test('Should provide expected asset path', () => {
           expect(contextResult.getAssetPath('application.js')).toBe(
@@ -152,13 +205,14 @@ describe('context and cache', () => {
               current: false,
               text: 'About',
               href: '/about'
-            },
-            {
-              current: false,
-              text: 'Dashboard',
-              href: '/dashboard'
             }
           ],
+          signedIn: false,
+          displayName: null,
+          signInUrl: '/auth/login',
+          organisation: null,
+          canChangeOrganisation: false,
+          sessionTimeout: null,
           serviceName: 'trade-demo-frontend',
           serviceUrl: '/'
         })
@@ -5,7 +5,29 @@ import { isPast, parseISO, subMinutes } from 'date-fns'
 import { config } from '../config/config.js'
 import { getOidcEndpoints } from '../auth/oidc-well-known-discovery.js'
 import { getDefraIdStrategy } from './auth/defra-id-strategy.js'
-import { refreshTokens } from '../auth/refresh-tokens.js'
+import { refreshSessionTokens } from '../auth/token-refresh.js'
+import { isSessionExpired, touchSession } from '../auth/session-timeout.js'
+import {
+  currentOrganisation,
+  organisationSessionKey
+} from '../auth/organisations.js'
+import { safeRedirectTarget } from '../auth/redirect-target.js'
+import {
+  clearSessionValues,
+  getSessionValue
+} from '../server/common/helpers/session-helpers.js'
+
+/**
+ * End the session's sign in: drop it from the session index, so it is no
+ * longer listed as active, and clear its auth data and organisation choice
+ * @param {Object} request - Hapi request object
+ * @param {string} contactId - User the session was signed in as
+ * @returns {Promise<void>}
+ */
+async function endSignIn(request, contactId) {
+  await request.sessionIndex.remove(contactId, request.yar.id)
+  clearSessionValues(request, ['auth', organisationSessionKey])
+}
 
 /**
  * Authentication Plugin
@@ -60,19 +82,35 @@ export const auth = {
           ttl: config.get('session.cookie.ttl')
         },
         redirectTo: (request) => {
+          // Preserve the original URL in the next parameter, as long as it is
+          // a path on this site (a request for //host/... would otherwise
+          // send the user to another site after sign in)
+          const next = encodeURIComponent(
+            safeRedirectTarget(
+              request,
+              `${request.url.pathname}${request.url.search}`
+            )
+          )
+
+          // Session ended by the idle or absolute timeout (flagged by validate)
+          if (request.app.sessionTimedOut) {
+            return `/auth/signed-out?next=${next}`
+          }
+
           // Preserve login_hint parameter if present for cross-system SSO
           const loginHint = request.query.login_hint
           const trimmed = loginHint ? String(loginHint).trim() : ''
           if (trimmed) {
-            return `/auth/login?login_hint=${encodeURIComponent(trimmed)}`
+            return `/auth/login?login_hint=${encodeURIComponent(trimmed)}&next=${next}`
           }
-          return '/auth/login'
+          return `/auth/login?next=${next}`
         },
-        appendNext: true, // Preserves original URL in query parameter
 
         /**
-         * Custom validate function that reads session from Yar (server-side)
-         * and automatically refreshes expired access tokens
+         * Custom validate function that reads session from Yar (server-side),
+         * ends sessions past the idle or absolute timeout or ended through the
+         * session index (e.g. revoked by an admin), records activity and
+         * automatically refreshes expired access tokens
          *
          * @param {Object} request - Hapi request object
          * @param {Object} session - Cookie session data
@@ -80,12 +118,41 @@ export const auth = {
          */
         validate: async (request, session) => {
           // Read full auth data from Yar (Redis) - source of truth
-          const authData = request.yar.get('auth')
+          const authData = getSessionValue(request, 'auth')
 
           if (!authData) {
             return { isValid: false }
           }
 
+          if (isSessionExpired(authData)) {
+            request.logger.info(
+              { contactId: authData.contactId },
+              'Session timed out'
+            )
+            await endSignIn(request, authData.contactId)
+            request.app.sessionTimedOut = true
+            return { isValid: false }
+          }
+
+          // Sessions ended elsewhere are no longer in the index. This also
+          // ends sessions from before the index, which must sign in again
+          const indexed = await request.sessionIndex.seen(
+            authData.contactId,
+            request.yar.id,
+            { organisation: currentOrganisation(request)?.organisationName }
+          )
+
+          if (!indexed) {
+            request.logger.info(
+              { contactId: authData.contactId },
+              'Session has been ended'
+            )
+            await endSignIn(request, authData.contactId)
+            return { isValid: false }
+          }
+
+          let credentials = authData
+
           // Check if access token has expired (with configurable buffer to prevent race conditions)
           const bufferMinutes = config.get('defraId.tokenRefreshBufferMinutes')
           const tokenExpired = isPast(
@@ -94,36 +161,24 @@ export const auth = {
 
           if (tokenExpired && authData.refreshToken) {
             try {
-              // Extract trace ID for CDP request tracking
-              const tracingHeader = config.get('tracing.header')
-              const traceId = request.headers[tracingHeader]
-
-              // Attempt to refresh the access token
-              const newTokens = await refreshTokens(
-                authData.refreshToken,
-                traceId
-              )
-
-              // Update Yar session with new tokens
-              const updatedAuth = {
-                ...authData,
-                accessToken: newTokens.access_token,
-                refreshToken: newTokens.refresh_token,
-                expiresAt: new Date(
-                  Date.now() + newTokens.expires_in * 1000
-                ).toISOString()
-              }
-              request.yar.set('auth', updatedAuth)
-
-              return { isValid: true, credentials: updatedAuth }
+              // Refresh the access token and update the Yar session. Parallel
+              // requests for this session share one refresh (see token-refresh.js)
+              credentials = await refreshSessionTokens(request, authData)
             } catch (error) {
-              // Token refresh failed - clear session
-              request.yar.clear('auth')
+              request.logger.warn(
+                { err: error, contactId: authData.contactId },
+                'Token refresh failed, session ended'
+              )
+              await endSignIn(request, authData.contactId)
               return { isValid: false }
             }
           }
 
-          return { isValid: true, credentials: authData }
+          // Restart the idle clock
+          return {
+            isValid: true,
+            credentials: touchSession(request, credentials)
+          }
         }
       })
 
@@ -1,4 +1,8 @@
-import jwt from '@hapi/jwt'
+import { verifyIdToken } from '../../auth/id-token.js'
+import { createLoginNonce } from '../../auth/login-nonce.js'
+import { requestedAssurance, stepUpParams } from '../../auth/assurance.js'
+import { organisationSessionKey } from '../../auth/organisations.js'
+import { getSessionValue } from '../../server/common/helpers/session-helpers.js'
 
 /**
  * DEFRA ID using 'Bell Strategy'
@@ -26,22 +30,25 @@ export function getDefraIdStrategy(config, oidcEndpoints) {
       auth: oidcEndpoints.authorization_endpoint,
       token: oidcEndpoints.token_endpoint,
       scope: ['openid', 'profile', 'email', 'offline_access'],
-      // PKCE (pkce: 'S256') is optional for DEFRA ID stub. Not used by cdp-defra-id-demo.
-      // Uncomment to enable: prevents code interception, adds code_challenge/code_verifier to flow.
+      // PKCE: Bell adds code_challenge to the authorisation request and sends the
+      // code_verifier (kept in its state cookie) with the token request
+      pkce: config.get('defraId.pkce') ? 'S256' : undefined,
 
       /**
-       * Extract user profile from ID token
+       * Verify the ID token and set the user profile from its claims
+       * Failures leave the user unauthenticated - /auth/callback shows the login error page
        * @param {Object} credentials - OAuth2 credentials from Bell
        * @param {Object} params - Token response parameters
-       * @returns {Promise<Object>} User profile
+       * @returns {Promise<void>}
+       * @throws {IdTokenError} If the ID token fails verification
        */
       profile: async (credentials, params) => {
-        // Decode ID token to extract user claims
-        const idToken = params.id_token
-        const decoded = jwt.token.decode(idToken)
-        const claims = decoded.decoded.payload
+        const claims = await verifyIdToken(params.id_token, {
+          issuer: oidcEndpoints.issuer,
+          audience: config.get('defraId.clientId')
+        })
 
-        return {
+        credentials.profile = {
           id: claims.contactId,
           email: claims.email,
           displayName: claims.given_name,
@@ -74,6 +81,23 @@ export function getDefraIdStrategy(config, oidcEndpoints) {
         }
       }
 
+      // Nonce is checked against the ID token claims in /auth/callback
+      if (config.get('defraId.nonce')) {
+        params.nonce = createLoginNonce(request)
+      }
+
+      // Step-up sign in started by the authorisation plugin (see assurance.js)
+      const stepUp = requestedAssurance(request.query)
+      if (stepUp) {
+        Object.assign(params, stepUpParams(stepUp))
+      }
+
+      // Ask for a token for the organisation chosen on /organisations
+      const relationshipId = getSessionValue(request, organisationSessionKey)
+      if (relationshipId) {
+        params.relationshipId = relationshipId
+      }
+
       return params
     }
   }
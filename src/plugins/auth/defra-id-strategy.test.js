@@ -81,6 +81,49 @@ describe('DEFRA ID Strategy Configuration', () => {
     })
   })
 
+  describe('providerParams - relationshipId', () => {
+    test('Should pass the organisation chosen in the session', () => {
+      const strategy = getDefraIdStrategy(mockConfig, mockOidcEndpoints)
+      const mockRequest = {
+        query: {},
+        yar: { get: (key) => (key === 'relationshipId' ? 'rel-2' : null) }
+      }
+
+      const params = strategy.providerParams(mockRequest)
+
+      expect(params.relationshipId).toBe('rel-2')
+    })
+
+    test('Should not send relationshipId when none has been chosen', () => {
+      const strategy = getDefraIdStrategy(mockConfig, mockOidcEndpoints)
+
+      const params = strategy.providerParams({ query: {} })
+
+      expect(params).not.toHaveProperty('relationshipId')
+    })
+  })
+
+  describe('providerParams - step-up', () => {
+    test('Should ask DEFRA ID to sign in again at the requested level', () => {
+      const strategy = getDefraIdStrategy(mockConfig, mockOidcEndpoints)
+
+      const params = strategy.providerParams({
+        query: { next: '/example/1/delete', aal: '2' }
+      })
+
+      expect(params).toMatchObject({ prompt: 'login', aal: '2' })
+      expect(params).not.toHaveProperty('loa')
+    })
+
+    test('Should not prompt for ordinary sign ins', () => {
+      const strategy = getDefraIdStrategy(mockConfig, mockOidcEndpoints)
+
+      const params = strategy.providerParams({ query: {} })
+
+      expect(params).not.toHaveProperty('prompt')
+    })
+  })
+
   describe('providerParams - login_hint', () => {
     test('Should include login_hint when present in query', () => {
       const strategy = getDefraIdStrategy(mockConfig, mockOidcEndpoints)
@@ -146,4 +189,55 @@ describe('DEFRA ID Strategy Configuration', () => {
       expect(params.login_hint).toBe('user+test@example.com')
     })
   })
+
+  describe('PKCE and nonce', () => {
+    const configWith = (overrides) => ({
+      get: (key) => (key in overrides ? overrides[key] : mockConfig.get(key))
+    })
+
+    test('Should use S256 PKCE when enabled', () => {
+      const strategy = getDefraIdStrategy(
+        configWith({ 'defraId.pkce': true }),
+        mockOidcEndpoints
+      )
+
+      expect(strategy.provider.pkce).toBe('S256')
+    })
+
+    test('Should not use PKCE when disabled', () => {
+      const strategy = getDefraIdStrategy(
+        configWith({ 'defraId.pkce': false }),
+        mockOidcEndpoints
+      )
+
+      expect(strategy.provider.pkce).toBeUndefined()
+    })
+
+    test('Should send a nonce and keep it in the session when enabled', () => {
+      const strategy = getDefraIdStrategy(
+        configWith({ 'defraId.nonce': true }),
+        mockOidcEndpoints
+      )
+      const set = vi.fn()
+
+      const params = strategy.providerParams({
+        query: {},
+        yar: { get: () => null, set }
+      })
+
+      expect(params.nonce).toEqual(expect.any(String))
+      expect(set).toHaveBeenCalledWith('loginNonce', params.nonce)
+    })
+
+    test('Should not send a nonce when disabled', () => {
+      const strategy = getDefraIdStrategy(
+        configWith({ 'defraId.nonce': false }),
+        mockOidcEndpoints
+      )
+
+      const params = strategy.providerParams({ query: {} })
+
+      expect(params).not.toHaveProperty('nonce')
+    })
+  })
 })
@@ -0,0 +1,119 @@
+import Boom from '@hapi/boom'
+import { isPermitted } from '../auth/permissions.js'
+import { currentOrganisation } from '../auth/organisations.js'
+import { meetsAssurance, stepUpLoginUrl } from '../auth/assurance.js'
+import {
+  defaultRedirectTarget,
+  safeRedirectTarget
+} from '../auth/redirect-target.js'
+
+/**
+ * Authorisation Plugin
+ *
+ * Lets routes declare the DEFRA ID roles and relationship types they need, and
+ * the minimum assurance levels (see src/auth/assurance.js):
+ *
+ *   options: {
+ *     auth: 'session',
+ *     plugins: {
+ *       authorisation: {
+ *         roles: ['Admin'],
+ *         relationships: ['Employee'],
+ *         assurance: { aal: 2, loa: 1 }
+ *       }
+ *     }
+ *   }
+ *
+ * After authentication the requirement is checked against the session
+ * credentials (see src/auth/permissions.js). Users who do not meet it get a
+ * 403 marked with data.authorisation, rendered as the forbidden page by
+ * catchAll. Users who meet it at too low an assurance level are sent through
+ * DEFRA ID to step up, then returned to the action. Routes without a
+ * requirement are not affected.
+ */
+
+/**
+ * Where to return after stepping up: the page itself for a GET, or the page
+ * the action was submitted from (same site only) as a POST cannot be replayed
+ * @param {Object} request - Hapi request object
+ * @returns {string} Path
+ */
+function returnPath(request) {
+  if (request.method === 'get') {
+    return safeRedirectTarget(
+      request,
+      `${request.url.pathname}${request.url.search}`
+    )
+  }
+
+  try {
+    const referrer = new URL(request.info.referrer)
+    if (referrer.host === request.info.host) {
+      return safeRedirectTarget(
+        request,
+        `${referrer.pathname}${referrer.search}`
+      )
+    }
+  } catch {
+    // No or malformed Referer
+  }
+
+  return defaultRedirectTarget
+}
+
+export const authorisation = {
+  plugin: {
+    name: 'authorisation',
+    register(server) {
+      server.ext('onPostAuth', (request, h) => {
+        const requirement = request.route.settings.plugins.authorisation
+
+        if (!requirement) {
+          return h.continue
+        }
+
+        const { assurance, ...permissions } = requirement
+        const { credentials } = request.auth
+        const relationshipId = currentOrganisation(
+          request,
+          credentials
+        )?.relationshipId
+
+        if (!isPermitted(credentials, permissions, relationshipId)) {
+          request.logger.warn(
+            {
+              path: request.route.path,
+              contactId: credentials?.contactId,
+              relationshipId,
+              requirement
+            },
+            'Authorisation failed'
+          )
+
+          throw Boom.forbidden('Insufficient role or relationship', {
+            authorisation: true
+          })
+        }
+
+        if (assurance && !meetsAssurance(credentials, assurance)) {
+          request.logger.info(
+            {
+              path: request.route.path,
+              contactId: credentials?.contactId,
+              aal: credentials?.aal,
+              loa: credentials?.loa,
+              assurance
+            },
+            'Step-up authentication required'
+          )
+
+          return h
+            .redirect(stepUpLoginUrl(returnPath(request), assurance))
+            .takeover()
+        }
+
+        return h.continue
+      })
+    }
+  }
+}
@@ -0,0 +1,30 @@
+import { config } from '../config/config.js'
+import { createDraftStore } from '../server/common/helpers/draft-store.js'
+
+/**
+ * Drafts Plugin
+ *
+ * Provisions the 'drafts' segment of the session cache (Redis in production,
+ * memory in development) and exposes it as request.drafts so journeys can save
+ * signed-in users' answers beyond the life of their session.
+ *
+ * Configuration from convict:
+ * - session.cache.name: Cache the drafts are written to
+ * - drafts.ttl: How long a saved draft is kept
+ *
+ * @see src/server/common/helpers/draft-store.js for the store API
+ */
+export const drafts = {
+  plugin: {
+    name: 'drafts',
+    register(server) {
+      const cache = server.cache({
+        cache: config.get('session.cache.name'),
+        segment: 'drafts',
+        expiresIn: config.get('drafts.ttl')
+      })
+
+      server.decorate('request', 'drafts', createDraftStore(cache))
+    }
+  }
+}
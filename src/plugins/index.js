@@ -7,8 +7,13 @@ import { pulse } from '../server/common/helpers/pulse.js'
 import { nunjucksConfig } from '../config/nunjucks/nunjucks.js'
 import { contentSecurityPolicy } from '../server/common/helpers/content-security-policy.js'
 import { session } from './session.js'
+import { sessionAvailability } from './session-availability.js'
+import { drafts } from './drafts.js'
+import { sessionIndex } from './session-index.js'
 import { csrf } from './csrf.js'
 import { auth } from './auth.js'
+import { tokenRefresh } from './token-refresh.js'
+import { authorisation } from './authorisation.js'
 import { router } from './router.js'
 
 /**
@@ -23,12 +28,17 @@ import { router } from './router.js'
  * 3. Secure context (TLS/certificate handling)
  * 4. Pulse (metrics)
  * 5. Session (yar for Redis-backed sessions)
- * 6. Nunjucks (template engine)
- * 7. Crumb (CSRF protection)
- * 8. Scooter (user agent detection)
- * 9. Content Security Policy
- * 10. Auth (strategy registration - must be before router)
- * 11. Router (route registration - references auth strategies)
+ * 6. Session availability (503 for pages needing a session while the cache is down)
+ * 7. Drafts (saved journey answers, same cache as sessions)
+ * 8. Session index (users' sessions, so they can be ended together)
+ * 9. Nunjucks (template engine)
+ * 10. Crumb (CSRF protection)
+ * 11. Scooter (user agent detection)
+ * 12. Content Security Policy
+ * 13. Auth (strategy registration - must be before router)
+ * 14. Token refresh (cross-instance single-flight refresh for the session strategy)
+ * 15. Authorisation (route role/relationship checks after authentication)
+ * 16. Router (route registration - references auth strategies)
  *
  * @see src/server/server.js for plugin registration
  */
@@ -38,10 +48,15 @@ export const plugins = [
   secureContext,
   pulse,
   session,
+  sessionAvailability,
+  drafts,
+  sessionIndex,
   nunjucksConfig,
   csrf,
   Scooter,
   contentSecurityPolicy,
   auth,
+  tokenRefresh,
+  authorisation,
   router
 ]
@@ -5,14 +5,14 @@ import { examples } from '../server/examples/index.js'
 import { view } from '../server/examples/view/index.js'
 import { edit } from '../server/examples/edit/index.js'
 import { deleteExample } from '../server/examples/delete/index.js'
-import { createName } from '../server/examples/create-name/index.js'
-import { createValue } from '../server/examples/create-value/index.js'
-import { createCounter } from '../server/examples/create-counter/index.js'
-import { createCheck } from '../server/examples/create-check/index.js'
+import { createExample } from '../server/examples/create/index.js'
 import { createConfirmation } from '../server/examples/create-confirmation/index.js'
 import { about } from '../server/about/index.js'
 import { health } from '../server/health/index.js'
 import { dashboard } from '../server/dashboard/index.js'
+import { organisations } from '../server/organisations/index.js'
+import { adminSessions } from '../server/admin/sessions/index.js'
+import { accountSessions } from '../server/account/sessions/index.js'
 import { auth } from '../server/auth/index.js'
 import { serveStaticFiles } from '../server/common/helpers/serve-static-files.js'
 
@@ -28,7 +28,7 @@ import { serveStaticFiles } from '../server/common/helpers/serve-static-files.js
  * Route registration order:
  * 1. Health check (required by CDP platform)
  * 2. Authentication routes (login, callback, logout)
- * 3. Protected routes (dashboard, etc.)
+ * 3. Protected routes (dashboard, admin, etc.)
  * 4. Application routes (start, examples, about)
  * 5. Static asset serving
  */
@@ -41,17 +41,19 @@ export const router = {
 
       // Authentication routes
       await server.register([auth])
-      await server.register([dashboard])
+      await server.register([
+        dashboard,
+        organisations,
+        accountSessions,
+        adminSessions
+      ])
       await server.register([
         start,
         examples,
         view,
         edit,
         deleteExample,
-        createName,
-        createValue,
-        createCounter,
-        createCheck,
+        createExample,
         createConfirmation,
         about
       ])
@@ -0,0 +1,64 @@
+import Boom from '@hapi/boom'
+
+import { config } from '../config/config.js'
+import { metricsCounter } from '../server/common/helpers/metrics.js'
+
+/**
+ * Session Availability Plugin
+ *
+ * Keeps the site usable while the session cache (Redis) is unavailable, e.g.
+ * while reconnecting after a blip (see src/server/common/helpers/redis-client.js).
+ * The session plugin is set not to fail when the cache is not ready, so public
+ * pages carry on as if the user were signed out. Pages that cannot work without
+ * a session are answered with a 503, rendered as the service unavailable page
+ * by catchAll, rather than sending the user round the sign in loop:
+ *
+ * - Routes that require authentication
+ * - Routes marked as needing the session, whatever their auth, with the route
+ *   option plugins: { sessionAvailability: { required: true } } - e.g. signing
+ *   in through DEFRA ID, and journeys, which keep their answers in the session
+ *
+ * Must be registered after the session plugin, so its onPreAuth runs after Yar's.
+ *
+ * Configuration from convict:
+ * - session.cache.name: Cache whose readiness is checked
+ */
+
+/**
+ * @param {Object} request - Hapi request object
+ * @returns {boolean} True if the route cannot work without the session cache
+ */
+function needsSession(request) {
+  if (request.route.settings.plugins.sessionAvailability?.required) {
+    return true
+  }
+
+  return request.server.auth.lookup(request.route)?.mode === 'required'
+}
+
+export const sessionAvailability = {
+  plugin: {
+    name: 'session-availability',
+    register(server) {
+      // Any segment of the session cache reports the connection's readiness
+      const cache = server.cache({
+        cache: config.get('session.cache.name'),
+        segment: 'session-availability'
+      })
+
+      server.ext('onPreAuth', (request, h) => {
+        if (cache.isReady() || !needsSession(request)) {
+          return h.continue
+        }
+
+        request.logger.warn(
+          { path: request.route.path },
+          'Session cache unavailable, page needs a session'
+        )
+        metricsCounter('SessionCacheUnavailable')
+
+        throw Boom.serverUnavailable('Session cache is not ready')
+      })
+    }
+  }
+}
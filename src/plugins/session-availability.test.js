@@ -0,0 +1,127 @@
+import Hapi from '@hapi/hapi'
+import { vi } from 'vitest'
+
+import { sessionAvailability } from './session-availability.js'
+import { config } from '../config/config.js'
+import { statusCodes } from '../server/common/constants/status-codes.js'
+
+/**
+ * Catbox engine whose connection can be taken down
+ */
+class FakeEngine {
+  static ready = true
+
+  start() {}
+  stop() {}
+  isReady() {
+    return FakeEngine.ready
+  }
+
+  validateSegmentName() {
+    return null
+  }
+
+  get() {
+    return null
+  }
+
+  set() {}
+  drop() {}
+}
+
+async function createTestServer() {
+  const server = Hapi.server({
+    cache: [
+      {
+        name: config.get('session.cache.name'),
+        provider: { constructor: FakeEngine }
+      }
+    ]
+  })
+
+  server.decorate('request', 'logger', { warn: vi.fn() })
+  server.auth.scheme('test', () => ({
+    authenticate: (request, h) => h.authenticated({ credentials: {} })
+  }))
+  server.auth.strategy('session', 'test')
+  server.auth.strategy('defra-id', 'test')
+
+  await server.register(sessionAvailability)
+  server.route([
+    { method: 'GET', path: '/public', handler: () => 'public' },
+    {
+      method: 'GET',
+      path: '/signed-in-optional',
+      options: { auth: { strategy: 'session', mode: 'try' } },
+      handler: () => 'optional'
+    },
+    {
+      method: 'GET',
+      path: '/signed-in',
+      options: { auth: 'session' },
+      handler: () => 'signed in'
+    },
+    {
+      method: 'GET',
+      path: '/defra-id-optional',
+      options: { auth: { strategy: 'defra-id', mode: 'try' } },
+      handler: () => 'defra-id optional'
+    },
+    {
+      method: 'GET',
+      path: '/journey',
+      options: {
+        auth: false,
+        plugins: { sessionAvailability: { required: true } }
+      },
+      handler: () => 'journey'
+    }
+  ])
+
+  await server.initialize()
+  return server
+}
+
+describe('#sessionAvailability', () => {
+  let server
+
+  beforeAll(async () => {
+    server = await createTestServer()
+  })
+
+  afterAll(async () => {
+    await server.stop()
+  })
+
+  afterEach(() => {
+    FakeEngine.ready = true
+  })
+
+  test('Should serve every page while the session cache is ready', async () => {
+    const { statusCode } = await server.inject('/signed-in')
+
+    expect(statusCode).toBe(statusCodes.ok)
+  })
+
+  test.each(['/public', '/signed-in-optional', '/defra-id-optional'])(
+    'Should keep serving %s while the session cache is unavailable',
+    async (url) => {
+      FakeEngine.ready = false
+
+      const { statusCode } = await server.inject(url)
+
+      expect(statusCode).toBe(statusCodes.ok)
+    }
+  )
+
+  test.each(['/signed-in', '/journey'])(
+    'Should answer %s with a 503 while the session cache is unavailable',
+    async (url) => {
+      FakeEngine.ready = false
+
+      const { statusCode } = await server.inject(url)
+
+      expect(statusCode).toBe(statusCodes.serviceUnavailable)
+    }
+  )
+})
@@ -0,0 +1,52 @@
+import { config } from '../config/config.js'
+import { buildRedisClient } from '../server/common/helpers/redis-client.js'
+import { createSessionIndex } from '../server/common/helpers/session-index.js'
+import { createMemoryIndexStore } from '../server/common/helpers/session-index/memory-store.js'
+import { createRedisIndexStore } from '../server/common/helpers/session-index/redis-store.js'
+
+/**
+ * Session Index Plugin
+ *
+ * Exposes the index of users' yar sessions as request.sessionIndex, so
+ * sessions can be ended by user or DEFRA ID session (e.g. on back-channel
+ * logout). With the Redis session cache the index has its own Redis
+ * connection, for atomic updates; with the memory cache it is kept in memory.
+ * Must be registered after the session plugin, whose server.yar.revoke it uses.
+ *
+ * Configuration from convict:
+ * - session.cache.engine: 'redis' keeps the index in Redis
+ * - session.cache.ttl: Index entries live as long as the sessions they list
+ * - session.cookie.password: Key for the handles sessions are listed with
+ *
+ * @see src/server/common/helpers/session-index.js for the index API
+ */
+export const sessionIndex = {
+  plugin: {
+    name: 'session-index',
+    register(server) {
+      const ttl = config.get('session.cache.ttl')
+      let store
+
+      if (config.get('session.cache.engine') === 'redis') {
+        const redisClient = buildRedisClient(config.get('redis'))
+        store = createRedisIndexStore(redisClient, ttl)
+
+        server.events.on('stop', async () => {
+          await redisClient.quit()
+        })
+      } else {
+        store = createMemoryIndexStore(ttl)
+      }
+
+      server.decorate(
+        'request',
+        'sessionIndex',
+        createSessionIndex(
+          store,
+          (sessionId) => server.yar.revoke(sessionId),
+          config.get('session.cookie.password')
+        )
+      )
+    }
+  }
+}
@@ -28,7 +28,9 @@ export const session = {
       expiresIn: config.get('session.cache.ttl')
     },
     storeBlank: false,
-    errorOnCacheNotReady: true,
+    // Carry on without sessions while the cache is unavailable, see
+    // src/plugins/session-availability.js
+    errorOnCacheNotReady: false,
     cookieOptions: {
       password: config.get('session.cookie.password'),
       ttl: config.get('session.cookie.ttl'),
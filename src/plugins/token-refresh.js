@@ -0,0 +1,36 @@
+import { config } from '../config/config.js'
+import { buildRedisClient } from '../server/common/helpers/redis-client.js'
+import { useRedisForTokenRefresh } from '../auth/token-refresh.js'
+
+/**
+ * Token Refresh Plugin
+ *
+ * With the Redis session cache, sessions are shared by every instance, so a
+ * token refresh must be single-flight across all of them. This gives the
+ * single-flight refresh its own Redis connection for locking; with the memory
+ * cache (local development, one instance) refreshes are de-duplicated in-process.
+ *
+ * Configuration from convict:
+ * - session.cache.engine: 'redis' enables cross-instance coordination
+ * - defraId.tokenRefreshLockTtl, tokenRefreshResultTtl, tokenRefreshPollInterval
+ *
+ * @see src/auth/token-refresh.js for the single-flight refresh
+ */
+export const tokenRefresh = {
+  plugin: {
+    name: 'token-refresh',
+    register(server) {
+      if (config.get('session.cache.engine') !== 'redis') {
+        return
+      }
+
+      const redisClient = buildRedisClient(config.get('redis'))
+      useRedisForTokenRefresh(redisClient)
+
+      server.events.on('stop', async () => {
+        useRedisForTokenRefresh(null)
+        await redisClient.quit()
+      })
+    }
+  }
+}
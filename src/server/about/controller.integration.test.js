@@ -1,5 +1,7 @@
 import { createServer } from '../server.js'
 import { statusCodes } from '../common/constants/status-codes.js'
+import { createTestUser } from '../../test-helpers/defra-id-stub-helper.js'
+import { sessionFromUser } from '../../test-helpers/auth-test-helpers.js'
 
 describe('#aboutController', () => {
   let server
@@ -22,4 +24,36 @@ describe('#aboutController', () => {
     expect(result).toEqual(expect.stringContaining('About |'))
     expect(statusCode).toBe(statusCodes.ok)
   })
+
+  test('Should offer sign in to signed out users', async () => {
+    const { result } = await server.inject({
+      method: 'GET',
+      url: '/about'
+    })
+
+    expect(result).toEqual(
+      expect.stringContaining('href="/auth/login?next=%2Fabout">Sign in</a>')
+    )
+    expect(result).not.toEqual(expect.stringContaining('href="/dashboard"'))
+  })
+
+  test('Should show signed in users their name and a sign out link', async () => {
+    const user = createTestUser({
+      email: 'about-test@example.com',
+      firstName: 'Alex',
+      lastName: 'User'
+    })
+
+    const { result } = await server.inject({
+      method: 'GET',
+      url: '/about',
+      auth: { strategy: 'session', credentials: sessionFromUser(user) }
+    })
+
+    expect(result).toEqual(expect.stringContaining('Alex</span> &middot;'))
+    expect(result).toEqual(
+      expect.stringContaining('href="/auth/logout">Sign out</a>')
+    )
+    expect(result).toEqual(expect.stringContaining('href="/dashboard"'))
+  })
 })
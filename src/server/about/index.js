@@ -2,7 +2,7 @@ import { aboutController } from './controller.js'
 
 /**
  * Sets up the routes used in the /about page.
- * These routes are registered in src/server/router.js.
+ * These routes are registered in src/plugins/router.js.
  */
 export const about = {
   plugin: {
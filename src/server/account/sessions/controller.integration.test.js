@@ -0,0 +1,85 @@
+import { createServer } from '../../server.js'
+import { statusCodes } from '../../common/constants/status-codes.js'
+import { createTestUser } from '../../../test-helpers/defra-id-stub-helper.js'
+import { sessionFromUser } from '../../../test-helpers/auth-test-helpers.js'
+
+const userAuth = {
+  strategy: 'session',
+  credentials: sessionFromUser(
+    createTestUser({
+      email: 'user@example.com',
+      firstName: 'Test',
+      lastName: 'User'
+    })
+  )
+}
+
+describe('#accountSessionsController', () => {
+  let server
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  test('Should send signed out users to sign in', async () => {
+    const { statusCode, headers } = await server.inject({
+      method: 'GET',
+      url: '/account/sessions'
+    })
+
+    expect(statusCode).toBe(statusCodes.movedTemporarily)
+    expect(headers.location).toBe('/auth/login?next=%2Faccount%2Fsessions')
+  })
+
+  test('Should list where the user is signed in', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/account/sessions',
+      auth: userAuth
+    })
+
+    expect(statusCode).toBe(statusCodes.ok)
+    expect(result).toEqual(expect.stringContaining('Where you are signed in'))
+    expect(result).toEqual(
+      expect.stringContaining('action="/account/sessions/sign-out"')
+    )
+  })
+
+  test('Should sign out of this device', async () => {
+    const { statusCode, headers } = await server.inject({
+      method: 'POST',
+      url: '/account/sessions/sign-out',
+      auth: userAuth
+    })
+
+    expect(statusCode).toBe(statusCodes.movedTemporarily)
+    // Signed out here only, not through DEFRA ID
+    expect(headers.location).toBe('/')
+  })
+
+  test('Should sign out everywhere else and say how many were ended', async () => {
+    const { statusCode, headers } = await server.inject({
+      method: 'POST',
+      url: '/account/sessions/sign-out-others',
+      auth: userAuth
+    })
+
+    expect(statusCode).toBe(statusCodes.movedTemporarily)
+    expect(headers.location).toBe('/account/sessions?signedOut=0')
+
+    const { result } = await server.inject({
+      method: 'GET',
+      url: headers.location,
+      auth: userAuth
+    })
+
+    expect(result).toEqual(
+      expect.stringContaining('Signed out of 0 other devices')
+    )
+  })
+})
@@ -0,0 +1,71 @@
+import Joi from 'joi'
+
+import { organisationSessionKey } from '../../../auth/organisations.js'
+import {
+  clearSessionValues,
+  getSessionId
+} from '../../common/helpers/session-helpers.js'
+import { byLastSeen } from '../../common/helpers/session-index.js'
+
+export const accountSessionsController = {
+  list: {
+    options: {
+      validate: {
+        query: Joi.object({
+          signedOut: Joi.number().integer().min(0)
+        })
+      }
+    },
+    async handler(request, h) {
+      const { contactId } = request.auth.credentials
+      const sessions = await request.sessionIndex.list(contactId)
+
+      return h.view('account/sessions/index', {
+        pageTitle: 'Where you are signed in',
+        heading: 'Where you are signed in',
+        sessions: sessions.sort(byLastSeen),
+        currentHandle: request.sessionIndex.handleOf(getSessionId(request)),
+        signedOut: request.query.signedOut
+      })
+    }
+  },
+
+  /**
+   * Sign out of this device only. Unlike /auth/logout this does not go through
+   * DEFRA ID, whose end session would also sign the user out of every other
+   * service using it
+   */
+  signOut: {
+    async handler(request, h) {
+      const { contactId } = request.auth.credentials
+
+      await request.sessionIndex.remove(contactId, getSessionId(request))
+      clearSessionValues(request, ['auth', organisationSessionKey])
+      request.cookieAuth.clear()
+      request.logger.info({ contactId }, 'User signed out of this device')
+
+      return h.redirect('/')
+    }
+  },
+
+  /**
+   * Sign out of every other device, e.g. a shared or lost computer. Those
+   * sessions are revoked by the session index and fail validation on their
+   * next request
+   */
+  signOutOthers: {
+    async handler(request, h) {
+      const { contactId } = request.auth.credentials
+      const signedOut = await request.sessionIndex.endForUser(contactId, {
+        except: getSessionId(request)
+      })
+
+      request.logger.info(
+        { contactId, signedOut },
+        'User signed out of their other sessions'
+      )
+
+      return h.redirect(`/account/sessions?signedOut=${signedOut}`)
+    }
+  }
+}
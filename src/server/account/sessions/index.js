@@ -0,0 +1,41 @@
+import { accountSessionsController } from './controller.js'
+
+/**
+ * "Where you are signed in" page, from the session index, where users can
+ * sign out of this device or of every other device.
+ * These routes are registered in src/plugins/router.js.
+ */
+export const accountSessions = {
+  plugin: {
+    name: 'account-sessions',
+    register(server) {
+      server.route([
+        {
+          method: 'GET',
+          path: '/account/sessions',
+          ...accountSessionsController.list,
+          options: {
+            ...accountSessionsController.list.options,
+            auth: 'session'
+          }
+        },
+        {
+          method: 'POST',
+          path: '/account/sessions/sign-out',
+          ...accountSessionsController.signOut,
+          options: {
+            auth: 'session'
+          }
+        },
+        {
+          method: 'POST',
+          path: '/account/sessions/sign-out-others',
+          ...accountSessionsController.signOutOthers,
+          options: {
+            auth: 'session'
+          }
+        }
+      ])
+    }
+  }
+}
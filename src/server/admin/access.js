@@ -0,0 +1,14 @@
+import { config } from '../../config/config.js'
+
+/**
+ * Route options for the admin area
+ * Users must be signed in and hold an admin role (see src/plugins/authorisation.js)
+ */
+export const adminRouteOptions = {
+  auth: 'session',
+  plugins: {
+    authorisation: {
+      roles: config.get('admin.roles')
+    }
+  }
+}
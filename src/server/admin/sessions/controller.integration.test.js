@@ -0,0 +1,93 @@
+import { createServer } from '../../server.js'
+import { statusCodes } from '../../common/constants/status-codes.js'
+import { createTestUser } from '../../../test-helpers/defra-id-stub-helper.js'
+import { sessionFromUser } from '../../../test-helpers/auth-test-helpers.js'
+
+const adminAuth = {
+  strategy: 'session',
+  credentials: sessionFromUser(
+    createTestUser({
+      email: 'admin@example.com',
+      firstName: 'Admin',
+      lastName: 'User'
+    })
+  )
+}
+
+describe('#adminSessionsController', () => {
+  let server
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  test('Should send signed out users to sign in', async () => {
+    const { statusCode, headers } = await server.inject({
+      method: 'GET',
+      url: '/admin/sessions'
+    })
+
+    expect(statusCode).toBe(statusCodes.movedTemporarily)
+    expect(headers.location).toBe('/auth/login?next=%2Fadmin%2Fsessions')
+  })
+
+  test('Should show the forbidden page to users without an admin role', async () => {
+    const { statusCode } = await server.inject({
+      method: 'POST',
+      url: '/admin/sessions/contact-1/end',
+      auth: {
+        strategy: 'session',
+        credentials: { ...adminAuth.credentials, roles: ['Viewer'] }
+      }
+    })
+
+    expect(statusCode).toBe(statusCodes.forbidden)
+  })
+
+  test('Should list active sessions', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/admin/sessions',
+      auth: adminAuth
+    })
+
+    expect(statusCode).toBe(statusCodes.ok)
+    expect(result).toEqual(expect.stringContaining('Active sessions'))
+    expect(result).toEqual(expect.stringContaining('href="/admin/sessions"'))
+  })
+
+  test('Should end a session and say how many were ended', async () => {
+    const { statusCode, headers } = await server.inject({
+      method: 'POST',
+      url: '/admin/sessions/contact-1/unknown-session/end',
+      auth: adminAuth
+    })
+
+    expect(statusCode).toBe(statusCodes.movedTemporarily)
+    expect(headers.location).toBe('/admin/sessions?ended=0')
+
+    const { result } = await server.inject({
+      method: 'GET',
+      url: headers.location,
+      auth: adminAuth
+    })
+
+    expect(result).toEqual(expect.stringContaining('Ended 0 sessions'))
+  })
+
+  test('Should end all of a user sessions', async () => {
+    const { statusCode, headers } = await server.inject({
+      method: 'POST',
+      url: '/admin/sessions/contact-1/end',
+      auth: adminAuth
+    })
+
+    expect(statusCode).toBe(statusCodes.movedTemporarily)
+    expect(headers.location).toBe('/admin/sessions?ended=0')
+  })
+})
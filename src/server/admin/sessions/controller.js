@@ -0,0 +1,88 @@
+import Joi from 'joi'
+
+import { getSessionId } from '../../common/helpers/session-helpers.js'
+import { byLastSeen } from '../../common/helpers/session-index.js'
+
+const userParams = Joi.object({
+  contactId: Joi.string().required()
+})
+
+const sessionParams = userParams.keys({
+  handle: Joi.string().required()
+})
+
+export const adminSessionsController = {
+  list: {
+    options: {
+      validate: {
+        query: Joi.object({
+          ended: Joi.number().integer().min(0)
+        })
+      }
+    },
+    async handler(request, h) {
+      const users = (await request.sessionIndex.listAll()).map(
+        ({ contactId, sessions }) => ({
+          contactId,
+          sessions: sessions.sort(byLastSeen)
+        })
+      )
+
+      return h.view('admin/sessions/index', {
+        pageTitle: 'Active sessions',
+        heading: 'Active sessions',
+        users,
+        currentHandle: request.sessionIndex.handleOf(getSessionId(request)),
+        ended: request.query.ended
+      })
+    }
+  },
+
+  /**
+   * End one session, e.g. on a device the user has lost
+   */
+  endSession: {
+    options: {
+      validate: { params: sessionParams }
+    },
+    async handler(request, h) {
+      const { contactId, handle } = request.params
+      const ended = await request.sessionIndex.endSession(contactId, handle)
+
+      request.logger.info(
+        {
+          adminContactId: request.auth.credentials.contactId,
+          contactId,
+          ended
+        },
+        'Admin ended a session'
+      )
+
+      return h.redirect(`/admin/sessions?ended=${ended}`)
+    }
+  },
+
+  /**
+   * End every session a user has, e.g. when their account is compromised
+   */
+  endUserSessions: {
+    options: {
+      validate: { params: userParams }
+    },
+    async handler(request, h) {
+      const { contactId } = request.params
+      const ended = await request.sessionIndex.endForUser(contactId)
+
+      request.logger.info(
+        {
+          adminContactId: request.auth.credentials.contactId,
+          contactId,
+          ended
+        },
+        'Admin ended all sessions for a user'
+      )
+
+      return h.redirect(`/admin/sessions?ended=${ended}`)
+    }
+  }
+}
@@ -0,0 +1,44 @@
+import { adminSessionsController } from './controller.js'
+import { adminRouteOptions } from '../access.js'
+
+/**
+ * Admin view of signed-in users' sessions, from the session index, where
+ * admins can end a session or all of a user's sessions.
+ * These routes are registered in src/plugins/router.js.
+ */
+export const adminSessions = {
+  plugin: {
+    name: 'admin-sessions',
+    register(server) {
+      server.route([
+        {
+          method: 'GET',
+          path: '/admin/sessions',
+          ...adminSessionsController.list,
+          options: {
+            ...adminSessionsController.list.options,
+            ...adminRouteOptions
+          }
+        },
+        {
+          method: 'POST',
+          path: '/admin/sessions/{contactId}/end',
+          ...adminSessionsController.endUserSessions,
+          options: {
+            ...adminSessionsController.endUserSessions.options,
+            ...adminRouteOptions
+          }
+        },
+        {
+          method: 'POST',
+          path: '/admin/sessions/{contactId}/{handle}/end',
+          ...adminSessionsController.endSession,
+          options: {
+            ...adminSessionsController.endSession.options,
+            ...adminRouteOptions
+          }
+        }
+      ])
+    }
+  }
+}
@@ -13,16 +13,41 @@
  * - Non-protected routes accessible to all
  */
 
-import { describe, test, expect, beforeAll, afterAll } from 'vitest'
+import { generateKeyPairSync } from 'node:crypto'
+import jwt from '@hapi/jwt'
+import Wreck from '@hapi/wreck'
+import fetch from 'node-fetch'
+import {
+  describe,
+  test,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+  vi
+} from 'vitest'
 
 // IMPORTANT: Import mocks FIRST (before server imports)
 import { mockOidcEndpoints } from '../../../test/helpers/setup-mocks.js'
 
+import { config } from '../../config/config.js'
 import { createServer } from '../server.js'
 import { statusCodes } from '../common/constants/status-codes.js'
 import { createTestUser } from '../../test-helpers/defra-id-stub-helper.js'
 import { sessionFromUser } from '../../test-helpers/auth-test-helpers.js'
 
+// Real fetch unless a test answers a call itself, e.g. the JWKS
+vi.mock(import('node-fetch'), async (importOriginal) => {
+  const original = await importOriginal()
+  return { ...original, default: vi.fn(original.default) }
+})
+
+function cookiesFrom(response) {
+  return response.headers['set-cookie']
+    .map((cookie) => cookie.split(';')[0])
+    .join('; ')
+}
+
 describe('Auth Flow Integration Tests', () => {
   let server
 
@@ -132,6 +157,296 @@ describe('Auth Flow Integration Tests', () => {
       expect(response.statusCode).toBe(statusCodes.movedTemporarily)
       expect(response.headers.location).toContain('logout')
     })
+
+    test('Should return to the page named by next after logout', async () => {
+      // Act: Logout from a page on this site
+      const response = await server.inject({
+        method: 'GET',
+        url: '/auth/logout?next=%2Fexamples%3Fpage%3D2'
+      })
+
+      // Assert: DEFRA ID sends the user back to that page
+      const redirectUrl = new URL(response.headers.location)
+      expect(redirectUrl.searchParams.get('post_logout_redirect_uri')).toBe(
+        'http://localhost:3000/examples?page=2'
+      )
+    })
+
+    test('Should not return to another site after logout', async () => {
+      // Act: Logout naming an off-site page
+      const response = await server.inject({
+        method: 'GET',
+        url: '/auth/logout?next=https%3A%2F%2Fevil.example'
+      })
+
+      // Assert: DEFRA ID sends the user to the dashboard
+      const redirectUrl = new URL(response.headers.location)
+      expect(redirectUrl.searchParams.get('post_logout_redirect_uri')).toBe(
+        'http://localhost:3000/dashboard'
+      )
+    })
+  })
+
+  describe('Session Timeout', () => {
+    test('Should report the time left when keeping a session alive', async () => {
+      // Arrange: Signed-in user
+      const user = createTestUser({
+        email: 'keep-alive@example.com',
+        firstName: 'Keep',
+        lastName: 'Alive'
+      })
+      const session = {
+        ...sessionFromUser(user),
+        signedInAt: new Date().toISOString(),
+        lastActiveAt: new Date().toISOString()
+      }
+
+      // Act: "Stay signed in"
+      const response = await server.inject({
+        method: 'GET',
+        url: '/auth/keep-alive',
+        auth: { strategy: 'session', credentials: session }
+      })
+
+      // Assert: Seconds until the idle timeout
+      expect(response.statusCode).toBe(statusCodes.ok)
+      const { signedIn, expiresIn } = JSON.parse(response.payload)
+      expect(signedIn).toBe(true)
+      expect(expiresIn).toBeGreaterThan(0)
+      expect(response.headers['cache-control']).toBe('no-store')
+    })
+
+    test('Should answer keep-alive with a 401 once signed out', async () => {
+      // Act: Keep-alive without a session
+      const response = await server.inject({
+        method: 'GET',
+        url: '/auth/keep-alive'
+      })
+
+      // Assert: 401, not a redirect to sign in
+      expect(response.statusCode).toBe(statusCodes.unauthorized)
+      expect(JSON.parse(response.payload)).toEqual({ signedIn: false })
+    })
+
+    test('Should keep the return URL on the signed out page', async () => {
+      // Act: Land on the signed out page from /dashboard
+      const response = await server.inject({
+        method: 'GET',
+        url: '/auth/signed-out?next=%2Fdashboard'
+      })
+
+      // Assert: Sign in again returns to /dashboard
+      expect(response.statusCode).toBe(statusCodes.ok)
+      expect(response.payload).toContain('You have been signed out')
+      expect(response.payload).toContain('href="/auth/login?next=%2Fdashboard"')
+    })
+
+    test('Should not link to another site from the signed out page', async () => {
+      // Act: Return URL pointing off-site
+      const response = await server.inject({
+        method: 'GET',
+        url: '/auth/signed-out?next=%2F%2Fevil.example'
+      })
+
+      // Assert: Sign in returns to the dashboard instead
+      expect(response.payload).toContain('href="/auth/login?next=%2Fdashboard"')
+      expect(response.payload).not.toContain('evil.example')
+    })
+  })
+
+  describe('DEFRA ID Logout', () => {
+    test('Should reject a back-channel logout without a valid logout token', async () => {
+      // Act: Post a token that is not a signed JWT
+      const response = await server.inject({
+        method: 'POST',
+        url: '/auth/backchannel-logout',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        payload: 'logout_token=not-a-token'
+      })
+
+      // Assert: 400 with an OAuth error, never cached
+      expect(response.statusCode).toBe(statusCodes.badRequest)
+      expect(JSON.parse(response.payload)).toMatchObject({
+        error: 'invalid_request'
+      })
+      expect(response.headers['cache-control']).toBe('no-store')
+    })
+
+    test('Should accept a front-channel logout from DEFRA ID', async () => {
+      // Act: DEFRA ID loads the logout URL for a session we do not hold
+      const response = await server.inject({
+        method: 'GET',
+        url: `/auth/frontchannel-logout?iss=${encodeURIComponent(mockOidcEndpoints.issuer)}&sid=unknown-sid`
+      })
+
+      // Assert: Nothing to end, still OK
+      expect(response.statusCode).toBe(statusCodes.ok)
+      expect(response.headers['cache-control']).toBe('no-store')
+    })
+
+    test('Should reject a front-channel logout from another issuer', async () => {
+      // Act: Logout request naming an issuer that is not DEFRA ID
+      const response = await server.inject({
+        method: 'GET',
+        url: '/auth/frontchannel-logout?iss=https%3A%2F%2Fevil.example&sid=sid-1'
+      })
+
+      // Assert: Rejected
+      expect(response.statusCode).toBe(statusCodes.badRequest)
+    })
+  })
+
+  describe('Login Flow', () => {
+    test('Should send a PKCE challenge and nonce to DEFRA ID', async () => {
+      // Act: Start sign in (Bell redirects to the authorisation endpoint)
+      const response = await server.inject({
+        method: 'GET',
+        url: '/auth/login'
+      })
+
+      // Assert: Authorisation request carries S256 PKCE and a nonce
+      expect(response.statusCode).toBe(statusCodes.movedTemporarily)
+      const authoriseUrl = new URL(response.headers.location)
+      expect(`${authoriseUrl.origin}${authoriseUrl.pathname}`).toBe(
+        mockOidcEndpoints.authorization_endpoint
+      )
+      expect(authoriseUrl.searchParams.get('code_challenge_method')).toBe(
+        'S256'
+      )
+      expect(authoriseUrl.searchParams.get('code_challenge')).toMatch(
+        /^[\w-]{43}$/
+      )
+      expect(authoriseUrl.searchParams.get('nonce')).toBeTruthy()
+    })
+
+    test('Should use a new nonce for each sign in', async () => {
+      // Act: Start sign in twice
+      const nonces = []
+      for (let i = 0; i < 2; i++) {
+        const response = await server.inject({
+          method: 'GET',
+          url: '/auth/login'
+        })
+        nonces.push(
+          new URL(response.headers.location).searchParams.get('nonce')
+        )
+      }
+
+      // Assert: Nonces are not reused
+      expect(nonces[0]).not.toBe(nonces[1])
+    })
+  })
+
+  describe('Login Callback', () => {
+    const { publicKey, privateKey } = generateKeyPairSync('rsa', {
+      modulusLength: 2048
+    })
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key' }
+    const realFetch = fetch.getMockImplementation()
+
+    /**
+     * Start sign in, then answer DEFRA ID's token request with an ID token
+     * carrying the given claims
+     */
+    async function startSignIn(claims) {
+      const login = await server.inject({ method: 'GET', url: '/auth/login' })
+      const authoriseUrl = new URL(login.headers.location)
+      const nonce = authoriseUrl.searchParams.get('nonce')
+
+      const idToken = jwt.token.generate(
+        {
+          iss: mockOidcEndpoints.issuer,
+          aud: config.get('defraId.clientId'),
+          contactId: 'callback-contact',
+          email: 'callback@example.com',
+          nonce,
+          ...claims
+        },
+        { key: privateKey.export({ type: 'pkcs8', format: 'pem' }) },
+        { ttlSec: 300, header: { kid: jwk.kid } }
+      )
+
+      // DEFRA ID token endpoint (Bell) and JWKS (id-token.js)
+      vi.spyOn(Wreck, 'post').mockResolvedValue({
+        res: { statusCode: 200 },
+        payload: Buffer.from(
+          JSON.stringify({
+            access_token: 'callback-access-token',
+            refresh_token: 'callback-refresh-token',
+            expires_in: 3600,
+            id_token: idToken
+          })
+        )
+      })
+      fetch.mockImplementation(async (url, options) =>
+        url === mockOidcEndpoints.jwks_uri
+          ? new Response(JSON.stringify({ keys: [jwk] }))
+          : realFetch(url, options)
+      )
+
+      return {
+        state: authoriseUrl.searchParams.get('state'),
+        cookie: cookiesFrom(login)
+      }
+    }
+
+    afterEach(() => {
+      vi.restoreAllMocks()
+      fetch.mockImplementation(realFetch)
+    })
+
+    test('Should sign in when the ID token carries the nonce sent', async () => {
+      // Arrange: Sign in started, DEFRA ID returns a matching ID token
+      const { state, cookie } = await startSignIn()
+
+      // Act: DEFRA ID redirects back with the code
+      const response = await server.inject({
+        method: 'GET',
+        url: `/auth/callback?code=abc&state=${state}`,
+        headers: { cookie }
+      })
+
+      // Assert: Session cookie set and sent on to the dashboard
+      expect(response.statusCode).toBe(statusCodes.movedTemporarily)
+      expect(response.headers.location).toBe('/dashboard')
+      expect(cookiesFrom(response)).toMatch(/(^|; )sid=/)
+    })
+
+    test('Should reject an ID token with another nonce', async () => {
+      // Arrange: DEFRA ID returns an ID token for another sign in
+      const { state, cookie } = await startSignIn({ nonce: 'another-nonce' })
+
+      // Act: DEFRA ID redirects back with the code
+      const response = await server.inject({
+        method: 'GET',
+        url: `/auth/callback?code=abc&state=${state}`,
+        headers: { cookie }
+      })
+
+      // Assert: Login error page, no session cookie
+      expect(response.statusCode).toBe(statusCodes.unauthorized)
+      expect(response.payload).toContain('There was a problem signing you in')
+      expect(
+        (response.headers['set-cookie'] ?? []).some((header) =>
+          header.startsWith('sid=')
+        )
+      ).toBe(false)
+    })
+  })
+
+  describe('Login Error', () => {
+    test('Should show the login error page when sign in fails', async () => {
+      // Act: Callback without the Bell state cookie (refresh=1 stops Bell retrying)
+      const response = await server.inject({
+        method: 'GET',
+        url: '/auth/callback?code=abc&state=xyz&refresh=1'
+      })
+
+      // Assert: Error page rather than a 500
+      expect(response.statusCode).toBe(statusCodes.unauthorized)
+      expect(response.payload).toContain('There was a problem signing you in')
+      expect(response.payload).toContain('href="/auth/login"')
+    })
   })
 
   describe('Login Hint Preservation', () => {
@@ -2,12 +2,17 @@
  * Authentication Routes Plugin
  *
  * Registers OAuth2/OIDC authentication routes for DEFRA ID integration.
- * Implements standard OAuth2 authorization code flow with PKCE.
+ * Implements standard OAuth2 authorization code flow with PKCE (S256) and an
+ * OIDC nonce, both on by default (defraId.pkce, defraId.nonce in config).
  *
  * Routes:
  * - GET /auth/login: Initiates OAuth flow (Bell intercepts and redirects)
  * - GET /auth/callback: Handles OAuth callback, creates session
  * - GET /auth/logout: Clears session and redirects to DEFRA ID logout
+ * - POST /auth/backchannel-logout: DEFRA ID ends sessions with a logout token
+ * - GET /auth/frontchannel-logout: DEFRA ID ends this browser's session
+ * - GET /auth/keep-alive: Extends an idle session ("Stay signed in")
+ * - GET /auth/signed-out: Shown when a session has timed out
  *
  * Authentication Strategies:
  * - 'defra-id': Bell OAuth2 strategy (login, callback)
@@ -16,14 +21,48 @@
  * @see src/plugins/auth.js for strategy configuration
  */
 
-import jwt from '@hapi/jwt'
+import Joi from 'joi'
+
 import { config } from '../../config/config.js'
 import { getOidcEndpoints } from '../../auth/oidc-well-known-discovery.js'
+import { verifyLogoutToken } from '../../auth/id-token.js'
+import { createLogoutTokens } from '../../auth/logout-tokens.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+import {
+  currentOrganisation,
+  organisationSessionKey
+} from '../../auth/organisations.js'
+import { checkLoginNonce } from '../../auth/login-nonce.js'
+import { meetsAssurance, requestedAssurance } from '../../auth/assurance.js'
+import { safeRedirectTarget } from '../../auth/redirect-target.js'
+import { rotateSessionId } from '../../auth/session-rotation.js'
+import { describeUserAgent } from '../common/helpers/user-agent.js'
 import {
+  isSessionExpired,
+  sessionExpiresAt,
+  startSessionClock
+} from '../../auth/session-timeout.js'
+import {
+  getSessionId,
+  getSessionValue,
   setSessionValue,
-  clearSessionValue
+  clearSessionValues
 } from '../common/helpers/session-helpers.js'
 
+/**
+ * Login error page, shown instead of a 500 when sign in cannot be completed
+ * @param {Object} h - Hapi response toolkit
+ * @returns {Object} 401 response
+ */
+function loginError(h) {
+  return h
+    .view('auth/login-error', {
+      pageTitle: 'There was a problem signing you in',
+      heading: 'There was a problem signing you in'
+    })
+    .code(statusCodes.unauthorized)
+}
+
 /**
  * GET /auth/login
  *
@@ -48,6 +87,8 @@ const login = {
       strategy: 'defra-id',
       mode: 'required'
     },
+    // The nonce for the sign in is kept in the session
+    plugins: { sessionAvailability: { required: true } },
     description: 'Initiate DEFRA ID authentication',
     notes: 'Redirects to DEFRA ID authorization endpoint'
   }
@@ -57,7 +98,10 @@ const login = {
  * GET /auth/callback
  *
  * OAuth2 callback endpoint - receives authorization code and creates session
- * Bell handles token exchange and validation before this handler executes
+ * Bell handles token exchange and ID token verification (see defra-id-strategy.js)
+ * before this handler executes; the handler then checks the ID token nonce.
+ * Auth is in 'try' mode so that any failure - including an ID token that fails
+ * verification or carries the wrong nonce - shows the login error page
  */
 const callback = {
   method: 'GET',
@@ -75,7 +119,16 @@ const callback = {
         'OAuth callback received'
       )
 
-      // Bell has already validated tokens and made them available in request.auth
+      if (!request.auth.isAuthenticated) {
+        request.logger.warn(
+          { err: request.auth.error },
+          'DEFRA ID sign in failed'
+        )
+
+        return loginError(h)
+      }
+
+      // Bell has already verified the ID token and made its claims available in request.auth
       const { credentials } = request.auth
       request.logger.info(
         {
@@ -86,19 +139,25 @@ const callback = {
         'Bell authentication completed'
       )
 
-      // Decode ID token to access DEFRA-specific claims
-      // Bell validates the token signature, but doesn't parse custom claims
-      const idToken = credentials.token
-      request.logger.info('Decoding ID token')
-      const decoded = jwt.token.decode(idToken)
-      const claims = decoded.decoded.payload
+      // Verified ID token claims, including DEFRA-specific ones
+      const claims = credentials.profile.raw
       request.logger.info(
         { contactId: claims.contactId, email: claims.email },
         'Token claims extracted'
       )
 
-      // Construct session data object
-      const sessionData = {
+      // ID token must carry the nonce sent with this session's authorisation request
+      if (config.get('defraId.nonce') && !checkLoginNonce(request, claims)) {
+        request.logger.warn(
+          { contactId: claims.contactId },
+          'DEFRA ID sign in failed: ID token nonce does not match'
+        )
+
+        return loginError(h)
+      }
+
+      // Construct session data object, starting the idle and absolute timeouts
+      const sessionData = startSessionClock({
         contactId: claims.contactId,
         email: claims.email,
         displayName: claims.given_name || claims.email,
@@ -108,21 +167,60 @@ const callback = {
           Date.now() + credentials.expiresIn * 1000
         ).toISOString(),
         relationships: claims.relationships || [],
+        currentRelationshipId: claims.currentRelationshipId,
         roles: claims.roles || [],
         aal: claims.aal,
-        loa: claims.loa
-      }
+        loa: claims.loa,
+        // DEFRA ID session and issuer, named in back and front-channel logout
+        sid: claims.sid,
+        iss: claims.iss
+      })
+
+      // New session ID for the signed-in session (session fixation)
+      const stepUp = requestedAssurance(credentials.query)
+      await rotateSessionId(request, stepUp ? 'step-up' : 'sign-in', {
+        contactId: claims.contactId
+      })
 
       // Store session server-side (Redis in production, memory in dev)
       request.logger.info('Storing session data')
       setSessionValue(request, 'auth', sessionData)
 
+      // Index the session so DEFRA ID logout and admins can end it
+      await request.sessionIndex.add(claims.contactId, getSessionId(request), {
+        sid: claims.sid,
+        email: claims.email,
+        ...describeUserAgent(request.plugins.scooter),
+        organisation: currentOrganisation(request)?.organisationName
+      })
+
       // Set cookie auth (creates encrypted cookie with minimal data)
       request.cookieAuth.set({ authenticated: true })
 
-      // Redirect to original page or homepage (clear after reading)
-      const nextUrl = credentials.query?.next
-      const redirect = nextUrl ? decodeURIComponent(nextUrl) : '/'
+      // A step-up sign in must have reached the levels it asked for. The user
+      // is still signed in, with the claims DEFRA ID returned
+      if (stepUp && !meetsAssurance(sessionData, stepUp)) {
+        request.logger.warn(
+          {
+            contactId: claims.contactId,
+            aal: claims.aal,
+            loa: claims.loa,
+            stepUp
+          },
+          'Step-up sign in did not reach the required assurance'
+        )
+
+        return h
+          .view('auth/step-up-error', {
+            pageTitle: 'We could not confirm your identity',
+            heading: 'We could not confirm your identity'
+          })
+          .code(statusCodes.forbidden)
+      }
+
+      // Redirect to the page the user started from, if it is on this site.
+      // Hapi has already decoded the query, so next is not decoded again
+      const redirect = safeRedirectTarget(request, credentials.query?.next)
       request.logger.info(
         { redirect },
         'Redirecting after successful authentication'
@@ -140,8 +238,10 @@ const callback = {
   options: {
     auth: {
       strategy: 'defra-id',
-      mode: 'required'
+      mode: 'try' // Failed sign in renders the login error page
     },
+    // Nowhere to keep the signed-in session without the cache
+    plugins: { sessionAvailability: { required: true } },
     description: 'DEFRA ID OAuth2 callback',
     notes: 'Handles OAuth2 callback and creates user session'
   }
@@ -151,20 +251,34 @@ const callback = {
  * GET /auth/logout
  *
  * Logs user out of both this application and DEFRA Customer Identity Service
- * Clears session and redirects to DEFRA ID logout endpoint for SSO logout
+ * Clears session and redirects to DEFRA ID logout endpoint for SSO logout.
+ * DEFRA ID returns the user to the app, or to the page named by next (a path
+ * on this site; the URL must be allowed as a post logout redirect in DEFRA ID)
  */
 const logout = {
   method: 'GET',
   path: '/auth/logout',
   async handler(request, h) {
-    // Clear session
-    clearSessionValue(request, 'auth')
+    const authData = getSessionValue(request, 'auth')
+    if (authData) {
+      await request.sessionIndex.remove(
+        authData.contactId,
+        getSessionId(request)
+      )
+    }
+
+    // Clear session, including the organisation the user was acting for
+    clearSessionValues(request, ['auth', organisationSessionKey])
 
     // Clear cookie
     request.cookieAuth.clear()
 
     const oidcEndpoints = await getOidcEndpoints()
-    const postLogoutUri = config.get('appBaseUrl')
+    const { next } = request.query
+    const postLogoutUri = next
+      ? new URL(safeRedirectTarget(request, next), config.get('appBaseUrl'))
+          .href
+      : config.get('appBaseUrl')
     const logoutUrl = `${oidcEndpoints.end_session_endpoint}?post_logout_redirect_uri=${encodeURIComponent(postLogoutUri)}`
     return h.redirect(logoutUrl)
   },
@@ -178,11 +292,234 @@ const logout = {
   }
 }
 
+/**
+ * GET /auth/keep-alive
+ *
+ * Called by the timeout warning's "Stay signed in" button. Authenticating with
+ * the session strategy is the activity that restarts the idle clock, so all
+ * this does is report how long the session now has left.
+ */
+const keepAlive = {
+  method: 'GET',
+  path: '/auth/keep-alive',
+  handler(request, h) {
+    if (!request.auth.isAuthenticated) {
+      return h
+        .response({ signedIn: false })
+        .code(statusCodes.unauthorized)
+        .header('Cache-Control', 'no-store')
+    }
+
+    const expiresIn = Math.floor(
+      (sessionExpiresAt(request.auth.credentials) - Date.now()) / 1000
+    )
+
+    return h
+      .response({ signedIn: true, expiresIn })
+      .header('Cache-Control', 'no-store')
+  },
+  options: {
+    auth: {
+      strategy: 'session',
+      mode: 'try' // Answer with a 401, not a redirect to sign in
+    },
+    description: 'Keep the session alive',
+    notes: 'Restarts the idle timeout and returns the seconds left'
+  }
+}
+
+/**
+ * GET /auth/signed-out
+ *
+ * Where users land when their session times out, from the session strategy or
+ * the timeout warning. Keeps the page they were on (next) so that signing in
+ * again takes them back there. A session still active in another tab is left
+ * alone and the user sent straight back.
+ */
+const signedOut = {
+  method: 'GET',
+  path: '/auth/signed-out',
+  async handler(request, h) {
+    const { next } = request.query
+    const returnUrl = next ? safeRedirectTarget(request, next) : null
+    const authData = getSessionValue(request, 'auth')
+
+    if (authData && !isSessionExpired(authData)) {
+      return h.redirect(returnUrl ?? '/dashboard')
+    }
+
+    if (authData) {
+      await request.sessionIndex.remove(
+        authData.contactId,
+        getSessionId(request)
+      )
+      clearSessionValues(request, ['auth', organisationSessionKey])
+    }
+
+    request.cookieAuth.clear()
+
+    return h.view('auth/signed-out', {
+      pageTitle: 'You have been signed out',
+      heading: 'You have been signed out',
+      signInUrl: returnUrl
+        ? `/auth/login?next=${encodeURIComponent(returnUrl)}`
+        : '/auth/login'
+    })
+  },
+  options: {
+    auth: false,
+    description: 'Signed out after a session timeout',
+    notes: 'Offers sign in, returning to the page the user was on'
+  }
+}
+
+/**
+ * POST /auth/backchannel-logout
+ *
+ * OIDC back-channel logout: DEFRA ID posts a signed logout token when the user
+ * signs out of DEFRA ID, here or in another service. Ends the sessions signed in
+ * through that DEFRA ID session (sid), or all the user's sessions when the token
+ * only names the user (sub, which is the DEFRA ID contactId). Each logout token
+ * is acted on once; one posted again is rejected (see src/auth/logout-tokens.js).
+ * Called server to server, so there is no cookie, session or CSRF token.
+ *
+ * @see https://openid.net/specs/openid-connect-backchannel-1_0.html
+ */
+const backChannelLogout = {
+  method: 'POST',
+  path: '/auth/backchannel-logout',
+  async handler(request, h) {
+    const oidcEndpoints = await getOidcEndpoints()
+    let claims
+
+    try {
+      claims = await verifyLogoutToken(request.payload?.logout_token, {
+        issuer: oidcEndpoints.issuer,
+        audience: config.get('defraId.clientId')
+      })
+    } catch (error) {
+      request.logger.warn({ err: error }, 'Back-channel logout token rejected')
+
+      return h
+        .response({
+          error: 'invalid_request',
+          error_description: error.message
+        })
+        .code(statusCodes.badRequest)
+        .header('Cache-Control', 'no-store')
+    }
+
+    if (!(await request.logoutTokens.use(claims))) {
+      request.logger.warn({ jti: claims.jti }, 'Back-channel logout replayed')
+
+      return h
+        .response({
+          error: 'invalid_request',
+          error_description: 'Logout token has already been used'
+        })
+        .code(statusCodes.badRequest)
+        .header('Cache-Control', 'no-store')
+    }
+
+    const ended = claims.sid
+      ? await request.sessionIndex.endForSid(claims.sid)
+      : await request.sessionIndex.endForUser(claims.sub)
+
+    request.logger.info(
+      { sid: claims.sid, sub: claims.sub, ended },
+      'Back-channel logout ended sessions'
+    )
+
+    return h.response().header('Cache-Control', 'no-store')
+  },
+  options: {
+    auth: false,
+    plugins: { crumb: false },
+    payload: { allow: 'application/x-www-form-urlencoded' },
+    response: { emptyStatusCode: statusCodes.ok },
+    description: 'DEFRA ID back-channel logout',
+    notes: 'Validates a logout token and ends the sessions it names'
+  }
+}
+
+/**
+ * GET /auth/frontchannel-logout
+ *
+ * OIDC front-channel logout: DEFRA ID loads this URL in the browser (in a hidden
+ * iframe) when the user signs out, with its issuer and the DEFRA ID session.
+ * The request is not authenticated, so it only signs out the browser making
+ * it, and only when that browser's session was signed in through the named
+ * issuer and DEFRA ID session. Browsers that do not send the session cookie to
+ * the iframe (SameSite) are signed out by back-channel logout instead.
+ *
+ * @see https://openid.net/specs/openid-connect-frontchannel-1_0.html
+ */
+const frontChannelLogout = {
+  method: 'GET',
+  path: '/auth/frontchannel-logout',
+  async handler(request, h) {
+    const { iss, sid } = request.query
+    const oidcEndpoints = await getOidcEndpoints()
+
+    if (iss !== oidcEndpoints.issuer) {
+      request.logger.warn({ iss }, 'Front-channel logout from unknown issuer')
+      return h
+        .response()
+        .code(statusCodes.badRequest)
+        .header('Cache-Control', 'no-store')
+    }
+
+    const authData = getSessionValue(request, 'auth')
+
+    if (authData?.sid === sid && authData.iss === iss) {
+      await request.sessionIndex.remove(
+        authData.contactId,
+        getSessionId(request)
+      )
+      clearSessionValues(request, ['auth', organisationSessionKey])
+      request.cookieAuth.clear()
+      request.logger.info({ sid }, 'Front-channel logout ended session')
+    }
+
+    return h.response().header('Cache-Control', 'no-store')
+  },
+  options: {
+    auth: false,
+    validate: {
+      query: Joi.object({
+        iss: Joi.string().required(),
+        sid: Joi.string().required()
+      })
+    },
+    response: { emptyStatusCode: statusCodes.ok },
+    description: 'DEFRA ID front-channel logout',
+    notes: "Ends this browser's session if it belongs to the DEFRA ID session"
+  }
+}
+
 export const auth = {
   plugin: {
     name: 'auth-routes',
     register(server) {
-      server.route([login, callback, logout])
+      const logoutTokensCache = server.cache({
+        cache: config.get('session.cache.name'),
+        segment: 'logout-tokens'
+      })
+      server.decorate(
+        'request',
+        'logoutTokens',
+        createLogoutTokens(logoutTokensCache)
+      )
+
+      server.route([
+        login,
+        callback,
+        logout,
+        keepAlive,
+        signedOut,
+        backChannelLogout,
+        frontChannelLogout
+      ])
     }
   }
 }
@@ -0,0 +1,35 @@
+import { renderComponent } from '../../test-helpers/component-helpers.js'
+
+describe('Timeout Warning Component', () => {
+  let $warning
+
+  beforeEach(() => {
+    $warning = renderComponent('timeout-warning', {
+      expiresIn: 1800,
+      warning: 120
+    })
+  })
+
+  test('Should render a dialog for the client script to open', () => {
+    const $dialog = $warning('[data-testid="app-timeout-warning"]')
+
+    expect($dialog.is('dialog')).toBe(true)
+    expect($dialog.attr('data-module')).toBe('app-timeout-warning')
+    expect($dialog.attr('data-expires-in')).toBe('1800')
+    expect($dialog.attr('data-warning')).toBe('120')
+    expect($dialog.attr('data-keep-alive-url')).toBe('/auth/keep-alive')
+  })
+
+  test('Should say when the user will be signed out', () => {
+    expect($warning('[data-timeout-warning-countdown]').text().trim()).toBe(
+      '2 minutes'
+    )
+  })
+
+  test('Should offer to stay signed in or sign out', () => {
+    expect($warning('[data-timeout-warning-keep-alive]').text().trim()).toBe(
+      'Stay signed in'
+    )
+    expect($warning('a[href="/auth/logout"]').text().trim()).toBe('Sign out')
+  })
+})
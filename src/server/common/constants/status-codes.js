@@ -6,6 +6,12 @@ export const statusCodes = {
   unauthorized: 401,
   forbidden: 403,
   notFound: 404,
+  conflict: 409,
+  preconditionFailed: 412,
   imATeapot: 418,
-  internalServerError: 500
+  unprocessableEntity: 422,
+  internalServerError: 500,
+  badGateway: 502,
+  serviceUnavailable: 503,
+  gatewayTimeout: 504
 }
@@ -5,138 +5,413 @@
  * - Uses node-fetch v3 with modern async/await patterns
  * - Follows ESM module syntax
  * - Proper error handling with response.ok checks
+ *
+ * All calls go through a shared request core that adds:
+ * - Per-call timeout (AbortController)
+ * - Bounded retries with jittered exponential backoff, idempotent verbs only
+ * - A circuit breaker that fails fast with a 503 while the backend keeps erroring
+ *
+ * Calls are made as the signed-in user: the access token from the session
+ * strategy's credentials (request.auth.credentials, never raw session data) is
+ * sent as a Bearer token, and the organisation they are acting for
+ * (see src/auth/organisations.js) in the organisation header, once the token
+ * has been issued for it. On a 401 the tokens are refreshed once and the call
+ * retried; if that fails the user is sent back through sign in.
+ *
+ * Failed calls throw the typed errors from api-errors.js (NotFoundError,
+ * ConflictError, ValidationFailedError, UnavailableError).
  */
 
+import Boom from '@hapi/boom'
 import fetch from 'node-fetch'
+import { setTimeout as sleep } from 'node:timers/promises'
+
 import { config } from '../../../config/config.js'
+import { refreshSessionTokens } from '../../../auth/token-refresh.js'
+import {
+  currentOrganisation,
+  organisationsFor
+} from '../../../auth/organisations.js'
+import { statusCodes } from '../constants/status-codes.js'
+import { createLogger } from './logging/logger.js'
+import { metricsCounter } from './metrics.js'
+import { createCircuitBreaker } from './circuit-breaker.js'
+import { UnavailableError, errorFromResponse } from './api-errors.js'
+import { clearSessionValue } from './session-helpers.js'
 
 const baseUrl = config.get('backendApi.baseUrl')
 const tracingHeader = config.get('tracing.header')
+const organisationHeader = config.get('backendApi.organisationHeader')
+const logger = createLogger()
+
+// POST is not retried - a timed out create may still have succeeded
+const idempotentMethods = ['GET', 'PUT', 'DELETE']
 
 /**
- * Create an error object from a failed response
- * @param {Response} response - fetch Response object
- * @returns {Error} Error with status and message
+ * Conditional writes (If-Match) are not retried either: if the first attempt
+ * was applied and only its response was lost, the retry would fail with a 412
+ * and show the user a conflict with their own change
+ * @param {string} method - HTTP method
+ * @param {object} [headers] - Request headers
+ * @returns {boolean} True if a failed attempt may be sent again
  */
-function createError(response) {
-  const error = new Error(
-    `Backend API error: ${response.status} ${response.statusText}`
+function isRetryable(method, headers = {}) {
+  const conditional = Object.keys(headers).some(
+    (name) => name.toLowerCase() === 'if-match'
   )
-  error.statusCode = response.status
-  error.response = response
+
+  return idempotentMethods.includes(method) && !conditional
+}
+
+const circuitMetrics = {
+  open: 'BackendApiCircuitOpened',
+  'half-open': 'BackendApiCircuitHalfOpened',
+  closed: 'BackendApiCircuitClosed'
+}
+
+const backendCircuit = createCircuitBreaker({
+  failureThreshold: config.get('backendApi.circuitBreaker.failureThreshold'),
+  resetTimeout: config.get('backendApi.circuitBreaker.resetTimeout'),
+  onStateChange(state, previousState) {
+    logger.warn(`Backend API circuit changed from ${previousState} to ${state}`)
+    metricsCounter(circuitMetrics[state])
+  }
+})
+
+/**
+ * Fetch with a timeout, aborting the call if the backend is too slow
+ * @param {string} url - Full request URL
+ * @param {object} options - fetch options
+ * @returns {Promise<Response>} fetch Response
+ */
+async function fetchWithTimeout(url, options) {
+  const timeout = config.get('backendApi.timeout')
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeout)
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal })
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      metricsCounter('BackendApiTimeout')
+      throw new UnavailableError(
+        `Backend API timeout after ${timeout}ms: ${url}`,
+        { cause: error }
+      )
+    }
+
+    throw new UnavailableError(`Backend API request failed: ${error.message}`, {
+      cause: error
+    })
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Full jitter backoff: random delay between 0 and retryDelay * 2^attempt
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @returns {Promise<void>}
+ */
+function backoff(attempt) {
+  const retryDelay = config.get('backendApi.retryDelay')
+  return sleep(Math.random() * retryDelay * 2 ** attempt)
+}
+
+/**
+ * Shared request core for all backend calls
+ *
+ * Network errors, timeouts and 5xx responses count as circuit failures and are
+ * retried for idempotent verbs, unless conditional. 4xx responses mean the
+ * backend is healthy, so they close the circuit and are thrown straight away.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to the backend base URL
+ * @param {object} options
+ * @param {string} options.traceId - Request trace ID (x-cdp-request-id)
+ * @param {string} [options.accessToken] - Bearer token for the signed-in user
+ * @param {object} [options.body] - JSON body
+ * @param {object} [options.headers] - Extra request headers, e.g. If-Match
+ * @returns {Promise<Response>} Successful fetch Response
+ * @throws {BackendApiError} Typed error for failed responses (see api-errors.js)
+ * @throws {Boom} 503 UnavailableError when the circuit is open
+ */
+async function send(method, path, { traceId, accessToken, body, headers }) {
+  const maxRetries = isRetryable(method, headers)
+    ? config.get('backendApi.retries')
+    : 0
+  const requestHeaders = { ...headers, [tracingHeader]: traceId }
+
+  if (accessToken) {
+    requestHeaders.Authorization = `Bearer ${accessToken}`
+  }
+
+  if (body !== undefined) {
+    requestHeaders['Content-Type'] = 'application/json'
+  }
+
+  let attempt = 0
+
+  while (true) {
+    if (!backendCircuit.canRequest()) {
+      metricsCounter('BackendApiCircuitRejected')
+      throw Boom.boomify(new UnavailableError('Backend API circuit is open'), {
+        statusCode: statusCodes.serviceUnavailable
+      })
+    }
+
+    let response
+    let failure
+
+    try {
+      response = await fetchWithTimeout(`${baseUrl}${path}`, {
+        method,
+        headers: requestHeaders,
+        ...(body !== undefined && { body: JSON.stringify(body) })
+      })
+    } catch (error) {
+      failure = error
+    }
+
+    if (response && response.status < 500) {
+      backendCircuit.recordSuccess()
+
+      if (!response.ok) {
+        throw await errorFromResponse(response)
+      }
+
+      return response
+    }
+
+    failure ??= await errorFromResponse(response)
+    backendCircuit.recordFailure()
+
+    if (attempt >= maxRetries) {
+      throw failure
+    }
+
+    logger.warn(
+      `Retrying backend ${method} ${path} after attempt ${attempt + 1}: ${failure.message}`
+    )
+    metricsCounter('BackendApiRetry')
+    await backoff(attempt)
+    attempt += 1
+  }
+}
+
+/**
+ * Entity tag for the stored version of a resource
+ * Prefers the ETag header, falling back to a version field in the body
+ * @param {Response} response - Successful fetch Response
+ * @param {object} body - Parsed response body
+ * @returns {string|null} Entity tag for If-Match, or null if unversioned
+ */
+function versionTag(response, body) {
+  const etag = response.headers.get('etag')
+
+  if (etag) {
+    return etag
+  }
+
+  return body?.version === undefined || body.version === null
+    ? null
+    : `"${body.version}"`
+}
+
+/**
+ * Boom error telling catchAll to send the user back through sign in
+ * @returns {Boom} 401 with data.reauthenticate set
+ */
+function signInRequired() {
+  const error = Boom.unauthorized('Backend API rejected the user credentials')
+  error.data = { reauthenticate: true }
   return error
 }
 
+/**
+ * Organisation to name in the organisation header: the one the user is acting
+ * for, but only when the access token was issued for that relationship. After
+ * choosing another organisation, and until signing in again, the token still
+ * carries the previous relationship's roles, so no organisation is sent
+ * @param {object} request - Hapi request object
+ * @param {object} credentials - Signed-in user's credentials the token comes from
+ * @returns {object|null} Parsed relationship, or null
+ */
+function tokenOrganisation(request, credentials) {
+  const organisation = currentOrganisation(request, credentials)
+
+  if (!organisation) {
+    return null
+  }
+
+  // A token naming no relationship can only be for the user's one organisation
+  const matchesToken = credentials?.currentRelationshipId
+    ? organisation.relationshipId === credentials.currentRelationshipId
+    : organisationsFor(credentials).length === 1
+
+  return matchesToken ? organisation : null
+}
+
+/**
+ * Make a backend call as the user behind a Hapi request
+ * Refreshes tokens and retries once if the backend answers 401
+ * @param {object} request - Hapi request object
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to the backend base URL
+ * @param {object} [options]
+ * @param {object} [options.body] - JSON body
+ * @param {object} [options.headers] - Extra request headers
+ * @returns {Promise<Response>} Successful fetch Response
+ * @throws {Boom} 401 (data.reauthenticate) when the user must sign in again
+ */
+async function requestAs(request, method, path, { body, headers } = {}) {
+  const traceId = request.headers[tracingHeader]
+  // Validated by the session strategy: timed out or ended sessions have none
+  const credentials = request.auth?.isAuthenticated
+    ? request.auth.credentials
+    : null
+  const organisation = tokenOrganisation(request, credentials)
+  const userHeaders = organisation
+    ? { ...headers, [organisationHeader]: organisation.organisationId }
+    : headers
+
+  try {
+    return await send(method, path, {
+      traceId,
+      accessToken: credentials?.accessToken,
+      body,
+      headers: userHeaders
+    })
+  } catch (error) {
+    if (error.statusCode !== statusCodes.unauthorized) {
+      throw error
+    }
+
+    if (!credentials?.refreshToken) {
+      throw signInRequired()
+    }
+  }
+
+  let refreshedAuth
+
+  try {
+    refreshedAuth = await refreshSessionTokens(request, credentials)
+  } catch (error) {
+    request.logger.warn(
+      `Token refresh after backend 401 failed: ${error.message}`
+    )
+    clearSessionValue(request, 'auth')
+    throw signInRequired()
+  }
+
+  try {
+    return await send(method, path, {
+      traceId,
+      accessToken: refreshedAuth.accessToken,
+      body,
+      headers: userHeaders
+    })
+  } catch (error) {
+    if (error.statusCode === statusCodes.unauthorized) {
+      clearSessionValue(request, 'auth')
+      throw signInRequired()
+    }
+
+    throw error
+  }
+}
+
 /**
  * Example API client
  * Provides CRUD operations for the Example entity
+ * Every method takes the Hapi request to forward trace ID and user credentials
  */
 export const exampleApi = {
   /**
    * Get all examples
-   * @param {string} traceId - Request trace ID (x-cdp-request-id)
+   * @param {object} request - Hapi request object
    * @returns {Promise<Array>} Array of example objects
    */
-  async findAll(traceId) {
-    const response = await fetch(`${baseUrl}/example`, {
-      method: 'GET',
-      headers: {
-        [tracingHeader]: traceId
-      }
-    })
+  async findAll(request) {
+    const response = await requestAs(request, 'GET', '/example')
+    return response.json()
+  },
 
-    if (!response.ok) {
-      throw createError(response)
+  /**
+   * Get one page of examples, sorted and optionally filtered by name
+   * @param {object} query - Paging options
+   * @param {number} query.page - Page number (1-based)
+   * @param {number} query.pageSize - Number of examples per page
+   * @param {string} query.sort - Field to sort by (name, value, counter)
+   * @param {string} query.order - Sort direction (asc, desc)
+   * @param {string} [query.search] - Optional name filter
+   * @param {object} request - Hapi request object
+   * @returns {Promise<object>} Page of results { items, page, pageSize, totalItems, totalPages }
+   */
+  async findPage({ page, pageSize, sort, order, search }, request) {
+    const params = new URLSearchParams({ page, pageSize, sort, order })
+
+    if (search) {
+      params.set('search', search)
     }
 
+    const response = await requestAs(request, 'GET', `/example/page?${params}`)
     return response.json()
   },
 
   /**
    * Get a single example by ID
+   * The stored version is returned as example.etag, ready to send back as If-Match
    * @param {string} id - Example ID
-   * @param {string} traceId - Request trace ID
+   * @param {object} request - Hapi request object
    * @returns {Promise<object>} Example object
    */
-  async findById(id, traceId) {
-    const response = await fetch(`${baseUrl}/example/${id}`, {
-      method: 'GET',
-      headers: {
-        [tracingHeader]: traceId
-      }
-    })
+  async findById(id, request) {
+    const response = await requestAs(request, 'GET', `/example/${id}`)
+    const example = await response.json()
 
-    if (!response.ok) {
-      throw createError(response)
-    }
-
-    return response.json()
+    return { ...example, etag: versionTag(response, example) }
   },
 
   /**
    * Create a new example
    * @param {object} data - Example data (name, value, counter)
-   * @param {string} traceId - Request trace ID
+   * @param {object} request - Hapi request object
    * @returns {Promise<object>} Created example object
    */
-  async create(data, traceId) {
-    const response = await fetch(`${baseUrl}/example`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        [tracingHeader]: traceId
-      },
-      body: JSON.stringify(data)
+  async create(data, request) {
+    const response = await requestAs(request, 'POST', '/example', {
+      body: data
     })
-
-    if (!response.ok) {
-      throw createError(response)
-    }
-
     return response.json()
   },
 
   /**
    * Update an existing example
+   * With an etag the backend only applies the update if the example is
+   * unchanged, otherwise it answers 412/409 and a ConflictError is thrown
    * @param {string} id - Example ID
    * @param {object} data - Updated example data
-   * @param {string} traceId - Request trace ID
+   * @param {object} request - Hapi request object
+   * @param {string} [etag] - Version read with findById, sent as If-Match
    * @returns {Promise<object>} Updated example object
    */
-  async update(id, data, traceId) {
-    const response = await fetch(`${baseUrl}/example/${id}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-        [tracingHeader]: traceId
-      },
-      body: JSON.stringify(data)
+  async update(id, data, request, etag) {
+    const response = await requestAs(request, 'PUT', `/example/${id}`, {
+      body: data,
+      ...(etag && { headers: { 'If-Match': etag } })
     })
-
-    if (!response.ok) {
-      throw createError(response)
-    }
-
     return response.json()
   },
 
   /**
    * Delete an example
    * @param {string} id - Example ID
-   * @param {string} traceId - Request trace ID
+   * @param {object} request - Hapi request object
    * @returns {Promise<void>}
    */
-  async delete(id, traceId) {
-    const response = await fetch(`${baseUrl}/example/${id}`, {
-      method: 'DELETE',
-      headers: {
-        [tracingHeader]: traceId
-      }
-    })
-
-    if (!response.ok) {
-      throw createError(response)
-    }
+  async delete(id, request) {
+    await requestAs(request, 'DELETE', `/example/${id}`)
 
     // DELETE returns 204 No Content, no body to parse
   }
@@ -0,0 +1,377 @@
+import { vi } from 'vitest'
+
+import { getSessionValue } from './session-helpers.js'
+
+const mockFetch = vi.fn()
+const mockMetricsCounter = vi.fn()
+const mockRefreshTokens = vi.fn()
+
+vi.mock('node-fetch', () => ({
+  default: (...args) => mockFetch(...args)
+}))
+vi.mock('./metrics.js', () => ({
+  metricsCounter: (...args) => mockMetricsCounter(...args)
+}))
+vi.mock(import('../../../auth/refresh-tokens.js'), async (importOriginal) => ({
+  ...(await importOriginal()),
+  refreshTokens: (...args) => mockRefreshTokens(...args)
+}))
+
+function jsonResponse(status, body = {}, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: `Status ${status}`,
+    headers: new Headers(headers),
+    json: async () => body
+  }
+}
+
+function mockRequest(auth) {
+  const session = new Map(auth ? [['auth', auth]] : [])
+
+  return {
+    headers: { 'x-cdp-request-id': 'trace-123' },
+    auth: { isAuthenticated: Boolean(auth), credentials: auth ?? null },
+    logger: { warn: vi.fn() },
+    yar: {
+      get: (key) => session.get(key) ?? null,
+      set: (key, value) => session.set(key, value),
+      clear: (key) => session.delete(key)
+    }
+  }
+}
+
+describe('#exampleApi', () => {
+  let exampleApi
+  let request
+
+  beforeEach(async () => {
+    // Fresh modules for a fresh circuit breaker
+    vi.resetModules()
+    mockFetch.mockReset()
+    mockRefreshTokens.mockReset()
+    request = mockRequest()
+
+    const { config } = await import('../../../config/config.js')
+    config.set('backendApi.retries', 2)
+    config.set('backendApi.retryDelay', 0)
+    config.set('backendApi.timeout', 50)
+    config.set('backendApi.circuitBreaker.failureThreshold', 5)
+
+    const module = await import('./api-client.js')
+    exampleApi = module.exampleApi
+  })
+
+  test('Should return parsed JSON with the trace header', async () => {
+    mockFetch.mockResolvedValueOnce(jsonResponse(200, { id: '1' }))
+
+    const result = await exampleApi.findById('1', request)
+
+    expect(result).toEqual({ id: '1', etag: null })
+    expect(mockFetch).toHaveBeenCalledWith(
+      'http://localhost:8085/example/1',
+      expect.objectContaining({
+        method: 'GET',
+        headers: { 'x-cdp-request-id': 'trace-123' },
+        signal: expect.any(AbortSignal)
+      })
+    )
+  })
+
+  test('Should return the ETag header as the example etag', async () => {
+    mockFetch.mockResolvedValueOnce(
+      jsonResponse(200, { id: '1', version: 3 }, { ETag: 'W/"abc"' })
+    )
+
+    const result = await exampleApi.findById('1', request)
+
+    expect(result.etag).toBe('W/"abc"')
+  })
+
+  test('Should fall back to the body version for the etag', async () => {
+    mockFetch.mockResolvedValueOnce(jsonResponse(200, { id: '1', version: 3 }))
+
+    const result = await exampleApi.findById('1', request)
+
+    expect(result.etag).toBe('"3"')
+  })
+
+  test('Should send the etag as If-Match on update', async () => {
+    mockFetch.mockResolvedValueOnce(jsonResponse(200, { id: '1' }))
+
+    await exampleApi.update('1', { name: 'Example' }, request, '"3"')
+
+    expect(mockFetch.mock.calls[0][1].headers).toEqual({
+      'x-cdp-request-id': 'trace-123',
+      'Content-Type': 'application/json',
+      'If-Match': '"3"'
+    })
+  })
+
+  test('Should throw a ConflictError when the etag is stale', async () => {
+    mockFetch.mockResolvedValueOnce(jsonResponse(412))
+
+    await expect(
+      exampleApi.update('1', { name: 'Example' }, request, '"3"')
+    ).rejects.toMatchObject({ name: 'ConflictError', statusCode: 412 })
+    expect(mockFetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('Should send JSON body with content type on create', async () => {
+    mockFetch.mockResolvedValueOnce(jsonResponse(201, { id: '1' }))
+
+    await exampleApi.create({ name: 'Example' }, request)
+
+    expect(mockFetch).toHaveBeenCalledWith(
+      'http://localhost:8085/example',
+      expect.objectContaining({
+        method: 'POST',
+        headers: {
+          'x-cdp-request-id': 'trace-123',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ name: 'Example' })
+      })
+    )
+  })
+
+  test('Should build the paged query string', async () => {
+    mockFetch.mockResolvedValueOnce(jsonResponse(200, { items: [] }))
+
+    await exampleApi.findPage(
+      { page: 2, pageSize: 20, sort: 'name', order: 'desc', search: 'abc' },
+      request
+    )
+
+    expect(mockFetch.mock.calls[0][0]).toBe(
+      'http://localhost:8085/example/page?page=2&pageSize=20&sort=name&order=desc&search=abc'
+    )
+  })
+
+  test('Should not retry client errors', async () => {
+    mockFetch.mockResolvedValue(jsonResponse(404))
+
+    // Class identity changes with resetModules, so match on name
+    await expect(exampleApi.findById('1', request)).rejects.toMatchObject({
+      name: 'NotFoundError',
+      statusCode: 404
+    })
+    expect(mockFetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('Should retry idempotent calls on server errors', async () => {
+    mockFetch
+      .mockResolvedValueOnce(jsonResponse(502))
+      .mockResolvedValueOnce(jsonResponse(503))
+      .mockResolvedValueOnce(jsonResponse(200, { id: '1' }))
+
+    const result = await exampleApi.findById('1', request)
+
+    expect(result).toMatchObject({ id: '1' })
+    expect(mockFetch).toHaveBeenCalledTimes(3)
+    expect(mockMetricsCounter).toHaveBeenCalledWith('BackendApiRetry')
+  })
+
+  test('Should give up after the configured number of retries', async () => {
+    mockFetch.mockResolvedValue(jsonResponse(500))
+
+    await expect(
+      exampleApi.update('1', { name: 'Example' }, request)
+    ).rejects.toMatchObject({ name: 'UnavailableError', statusCode: 500 })
+    expect(mockFetch).toHaveBeenCalledTimes(3)
+  })
+
+  test('Should not retry POST', async () => {
+    mockFetch.mockResolvedValue(jsonResponse(500))
+
+    await expect(
+      exampleApi.create({ name: 'Example' }, request)
+    ).rejects.toMatchObject({ statusCode: 500 })
+    expect(mockFetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('Should not retry conditional updates', async () => {
+    mockFetch.mockResolvedValue(jsonResponse(500))
+
+    await expect(
+      exampleApi.update('1', { name: 'Example' }, request, '"3"')
+    ).rejects.toMatchObject({ statusCode: 500 })
+    expect(mockFetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('Should abort and retry calls that exceed the timeout', async () => {
+    mockFetch.mockImplementation(
+      (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => {
+            const error = new Error('The operation was aborted')
+            error.name = 'AbortError'
+            reject(error)
+          })
+        })
+    )
+
+    await expect(exampleApi.delete('1', request)).rejects.toThrow(
+      'Backend API timeout after 50ms'
+    )
+    expect(mockFetch).toHaveBeenCalledTimes(3)
+    expect(mockMetricsCounter).toHaveBeenCalledWith('BackendApiTimeout')
+  })
+
+  test('Should open the circuit and fail fast with a 503', async () => {
+    mockFetch.mockRejectedValue(new Error('ECONNREFUSED'))
+
+    // 3 attempts each, threshold of 5 trips during the second call
+    await expect(exampleApi.findAll(request)).rejects.toThrow('ECONNREFUSED')
+    await expect(exampleApi.findAll(request)).rejects.toMatchObject({
+      isBoom: true,
+      output: { statusCode: 503 }
+    })
+
+    expect(mockFetch).toHaveBeenCalledTimes(5)
+    expect(mockMetricsCounter).toHaveBeenCalledWith('BackendApiCircuitOpened')
+
+    await expect(exampleApi.findAll(request)).rejects.toMatchObject({
+      output: { statusCode: 503 }
+    })
+    expect(mockFetch).toHaveBeenCalledTimes(5)
+    expect(mockMetricsCounter).toHaveBeenCalledWith('BackendApiCircuitRejected')
+  })
+
+  describe('When the user is signed in', () => {
+    beforeEach(() => {
+      request = mockRequest({
+        contactId: 'contact-1',
+        accessToken: 'access-token',
+        refreshToken: 'refresh-token',
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      })
+    })
+
+    test('Should send the access token as a Bearer token', async () => {
+      mockFetch.mockResolvedValueOnce(jsonResponse(200, { id: '1' }))
+
+      await exampleApi.findById('1', request)
+
+      expect(mockFetch.mock.calls[0][1].headers).toEqual({
+        'x-cdp-request-id': 'trace-123',
+        Authorization: 'Bearer access-token'
+      })
+    })
+
+    test('Should not send tokens the session strategy has not validated', async () => {
+      // e.g. a timed out session still in yar, on a route without session auth
+      request = mockRequest({ accessToken: 'access-token' })
+      request.auth = { isAuthenticated: false, credentials: null }
+      mockFetch.mockResolvedValueOnce(jsonResponse(200, { id: '1' }))
+
+      await exampleApi.findById('1', request)
+
+      expect(mockFetch.mock.calls[0][1].headers).toEqual({
+        'x-cdp-request-id': 'trace-123'
+      })
+    })
+
+    test('Should send the organisation the user is acting for', async () => {
+      request = mockRequest({
+        accessToken: 'access-token',
+        relationships: ['rel-1:org-1:Green Farm Ltd:1:Employee:0']
+      })
+      mockFetch.mockResolvedValueOnce(jsonResponse(200, { id: '1' }))
+
+      await exampleApi.findById('1', request)
+
+      expect(mockFetch.mock.calls[0][1].headers).toEqual({
+        'x-cdp-request-id': 'trace-123',
+        'x-organisation-id': 'org-1',
+        Authorization: 'Bearer access-token'
+      })
+    })
+
+    test('Should not send an organisation the token was not issued for', async () => {
+      request = mockRequest({
+        accessToken: 'access-token',
+        currentRelationshipId: 'rel-1',
+        relationships: [
+          'rel-1:org-1:Green Farm Ltd:1:Employee:0',
+          'rel-2:org-2:Blue Farm Ltd:1:Employee:0'
+        ]
+      })
+      // Chosen on the organisations page, before signing in again
+      request.yar.set('relationshipId', 'rel-2')
+      mockFetch.mockResolvedValueOnce(jsonResponse(200, { id: '1' }))
+
+      await exampleApi.findById('1', request)
+
+      expect(mockFetch.mock.calls[0][1].headers).toEqual({
+        'x-cdp-request-id': 'trace-123',
+        Authorization: 'Bearer access-token'
+      })
+    })
+
+    test('Should refresh tokens and retry once after a 401', async () => {
+      mockFetch
+        .mockResolvedValueOnce(jsonResponse(401))
+        .mockResolvedValueOnce(jsonResponse(200, { id: '1' }))
+      mockRefreshTokens.mockResolvedValueOnce({
+        access_token: 'new-access-token',
+        refresh_token: 'new-refresh-token',
+        expires_in: 3600
+      })
+
+      const result = await exampleApi.findById('1', request)
+
+      expect(result).toMatchObject({ id: '1' })
+      expect(mockRefreshTokens).toHaveBeenCalledWith(
+        'refresh-token',
+        'trace-123'
+      )
+      expect(mockFetch.mock.calls[1][1].headers.Authorization).toBe(
+        'Bearer new-access-token'
+      )
+      expect(getSessionValue(request, 'auth')).toMatchObject({
+        contactId: 'contact-1',
+        accessToken: 'new-access-token',
+        refreshToken: 'new-refresh-token'
+      })
+    })
+
+    test('Should require sign in when the refresh fails', async () => {
+      mockFetch.mockResolvedValueOnce(jsonResponse(401))
+      mockRefreshTokens.mockRejectedValueOnce(new Error('invalid_grant'))
+
+      await expect(exampleApi.findById('1', request)).rejects.toMatchObject({
+        output: { statusCode: 401 },
+        data: { reauthenticate: true }
+      })
+      expect(mockFetch).toHaveBeenCalledTimes(1)
+      expect(getSessionValue(request, 'auth')).toBeNull()
+    })
+
+    test('Should require sign in when the retry is also rejected', async () => {
+      mockFetch.mockResolvedValue(jsonResponse(401))
+      mockRefreshTokens.mockResolvedValueOnce({
+        access_token: 'new-access-token',
+        refresh_token: 'new-refresh-token',
+        expires_in: 3600
+      })
+
+      await expect(exampleApi.findById('1', request)).rejects.toMatchObject({
+        data: { reauthenticate: true }
+      })
+      expect(mockFetch).toHaveBeenCalledTimes(2)
+      expect(mockRefreshTokens).toHaveBeenCalledTimes(1)
+      expect(getSessionValue(request, 'auth')).toBeNull()
+    })
+  })
+
+  test('Should require sign in on a 401 when the user is not signed in', async () => {
+    mockFetch.mockResolvedValueOnce(jsonResponse(401))
+
+    await expect(exampleApi.findById('1', request)).rejects.toMatchObject({
+      data: { reauthenticate: true }
+    })
+    expect(mockRefreshTokens).not.toHaveBeenCalled()
+  })
+})
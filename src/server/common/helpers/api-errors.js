@@ -0,0 +1,126 @@
+/**
+ * Typed errors for trade-demo-backend responses
+ *
+ * Failed responses are turned into one of these classes so controllers can use
+ * instanceof rather than checking status codes. The backend's JSON problem
+ * body (RFC 9457 style: type, title, status, detail, errors) is kept on
+ * error.problem, and field level validation messages on error.fieldErrors.
+ */
+
+import Boom from '@hapi/boom'
+
+import { statusCodes } from '../constants/status-codes.js'
+
+/**
+ * Base class for all backend API errors
+ */
+export class BackendApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options]
+   * @param {number} [options.statusCode] - HTTP status from the backend
+   * @param {object} [options.problem] - Parsed JSON problem body
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { statusCode, problem = null, cause } = {}) {
+    super(message, { cause })
+    this.name = this.constructor.name
+    this.statusCode = statusCode
+    this.problem = problem
+  }
+}
+
+/** Example (or other resource) does not exist - 404 */
+export class NotFoundError extends BackendApiError {}
+
+/** Request clashes with the stored state - 409 or 412 */
+export class ConflictError extends BackendApiError {}
+
+/** Backend rejected the submitted data - 400 or 422 */
+export class ValidationFailedError extends BackendApiError {
+  constructor(message, options = {}) {
+    super(message, options)
+    this.fieldErrors = parseFieldErrors(options.problem)
+  }
+}
+
+/** Backend cannot serve the request - 5xx, timeout or network failure */
+export class UnavailableError extends BackendApiError {}
+
+const errorClasses = {
+  [statusCodes.badRequest]: ValidationFailedError,
+  [statusCodes.notFound]: NotFoundError,
+  [statusCodes.conflict]: ConflictError,
+  [statusCodes.preconditionFailed]: ConflictError,
+  [statusCodes.unprocessableEntity]: ValidationFailedError,
+  [statusCodes.badGateway]: UnavailableError,
+  [statusCodes.serviceUnavailable]: UnavailableError,
+  [statusCodes.gatewayTimeout]: UnavailableError
+}
+
+/**
+ * Normalise problem body field errors to [{ field, message }]
+ * Accepts `errors: [{ field, message }]` or `invalid-params: [{ name, reason }]`
+ * @param {object|null} problem - Parsed problem body
+ * @returns {Array<{field: string, message: string}>}
+ */
+function parseFieldErrors(problem) {
+  const errors = problem?.errors ?? problem?.['invalid-params'] ?? []
+
+  if (!Array.isArray(errors)) {
+    return []
+  }
+
+  return errors
+    .map((error) => ({
+      field: error.field ?? error.name,
+      message: error.message ?? error.reason
+    }))
+    .filter(({ message }) => Boolean(message))
+}
+
+/**
+ * Read the JSON problem body, if there is one
+ * @param {Response} response - fetch Response object
+ * @returns {Promise<object|null>} Parsed body or null
+ */
+async function readProblem(response) {
+  try {
+    const body = await response.json()
+    return body && typeof body === 'object' ? body : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Create a typed error from a failed response
+ * @param {Response} response - fetch Response object
+ * @returns {Promise<BackendApiError>} Error matching the response status
+ */
+export async function errorFromResponse(response) {
+  const problem = await readProblem(response)
+  const ErrorClass =
+    errorClasses[response.status] ??
+    (response.status >= statusCodes.internalServerError
+      ? UnavailableError
+      : BackendApiError)
+
+  return new ErrorClass(
+    `Backend API error: ${response.status} ${response.statusText}`,
+    { statusCode: response.status, problem }
+  )
+}
+
+/**
+ * Rethrow errors the api client has already turned into a Boom response for
+ * catchAll: backend unavailable (503) or sign in needed (401). Controllers call
+ * this first in their catch block, then handle the typed errors that are left
+ * @param {Error} error - Error from the api client
+ * @throws {Boom} The error itself, if it is a Boom
+ */
+export function rethrowForCatchAll(error) {
+  if (Boom.isBoom(error)) {
+    throw error
+  }
+}
@@ -0,0 +1,99 @@
+import Boom from '@hapi/boom'
+
+import {
+  BackendApiError,
+  ConflictError,
+  NotFoundError,
+  UnavailableError,
+  ValidationFailedError,
+  errorFromResponse,
+  rethrowForCatchAll
+} from './api-errors.js'
+
+function problemResponse(status, body) {
+  return {
+    status,
+    statusText: `Status ${status}`,
+    json: async () => {
+      if (body === undefined) {
+        throw new SyntaxError('Unexpected end of JSON input')
+      }
+      return body
+    }
+  }
+}
+
+describe('#errorFromResponse', () => {
+  test.each([
+    [400, ValidationFailedError],
+    [404, NotFoundError],
+    [409, ConflictError],
+    [412, ConflictError],
+    [422, ValidationFailedError],
+    [500, UnavailableError],
+    [503, UnavailableError],
+    [418, BackendApiError]
+  ])('Should map %i to %o', async (status, ErrorClass) => {
+    const error = await errorFromResponse(problemResponse(status))
+
+    expect(error).toBeInstanceOf(ErrorClass)
+    expect(error).toBeInstanceOf(BackendApiError)
+    expect(error.statusCode).toBe(status)
+    expect(error.message).toBe(`Backend API error: ${status} Status ${status}`)
+  })
+
+  test('Should keep the parsed problem body', async () => {
+    const problem = { title: 'Conflict', status: 409, detail: 'Name taken' }
+
+    const error = await errorFromResponse(problemResponse(409, problem))
+
+    expect(error.problem).toEqual(problem)
+  })
+
+  test('Should tolerate a missing or non-JSON body', async () => {
+    const error = await errorFromResponse(problemResponse(404))
+
+    expect(error.problem).toBeNull()
+  })
+
+  test('Should parse field errors from the problem body', async () => {
+    const error = await errorFromResponse(
+      problemResponse(400, {
+        errors: [
+          { field: 'name', message: 'Name is already in use' },
+          { field: 'counter' }
+        ]
+      })
+    )
+
+    expect(error.fieldErrors).toEqual([
+      { field: 'name', message: 'Name is already in use' }
+    ])
+  })
+
+  test('Should parse RFC 7807 invalid-params', async () => {
+    const error = await errorFromResponse(
+      problemResponse(422, {
+        'invalid-params': [{ name: 'value', reason: 'Value is too long' }]
+      })
+    )
+
+    expect(error.fieldErrors).toEqual([
+      { field: 'value', message: 'Value is too long' }
+    ])
+  })
+})
+
+describe('#rethrowForCatchAll', () => {
+  test('Should rethrow errors already turned into a Boom response', () => {
+    const error = Boom.boomify(new UnavailableError('Circuit is open'), {
+      statusCode: 503
+    })
+
+    expect(() => rethrowForCatchAll(error)).toThrow(error)
+  })
+
+  test('Should leave typed errors for the controller', () => {
+    expect(() => rethrowForCatchAll(new NotFoundError('Missing'))).not.toThrow()
+  })
+})
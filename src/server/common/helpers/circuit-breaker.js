@@ -0,0 +1,88 @@
+/**
+ * Circuit breaker for calls to downstream services
+ *
+ * closed    - calls flow normally, consecutive failures are counted
+ * open      - calls fail fast until resetTimeout has elapsed
+ * half-open - a single trial call is allowed; success closes, failure re-opens
+ */
+
+export const circuitStates = {
+  closed: 'closed',
+  open: 'open',
+  halfOpen: 'half-open'
+}
+
+/**
+ * Create a circuit breaker
+ * @param {object} options
+ * @param {number} options.failureThreshold - Consecutive failures before opening
+ * @param {number} options.resetTimeout - Milliseconds to stay open before a trial call
+ * @param {Function} [options.onStateChange] - Called with (newState, previousState)
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @returns {object} Circuit breaker
+ */
+export function createCircuitBreaker({
+  failureThreshold,
+  resetTimeout,
+  onStateChange = () => {},
+  now = Date.now
+}) {
+  let state = circuitStates.closed
+  let failures = 0
+  let openedAt = 0
+  let trialInFlight = false
+
+  function transition(newState) {
+    if (newState === state) {
+      return
+    }
+
+    const previousState = state
+    state = newState
+    onStateChange(newState, previousState)
+  }
+
+  return {
+    get state() {
+      return state
+    },
+
+    /**
+     * Whether a call may be attempted now
+     * Moves an expired open circuit to half-open and lets one trial call through
+     * @returns {boolean}
+     */
+    canRequest() {
+      if (state === circuitStates.open && now() - openedAt >= resetTimeout) {
+        transition(circuitStates.halfOpen)
+      }
+
+      if (state === circuitStates.halfOpen) {
+        if (trialInFlight) {
+          return false
+        }
+
+        trialInFlight = true
+        return true
+      }
+
+      return state === circuitStates.closed
+    },
+
+    recordSuccess() {
+      failures = 0
+      trialInFlight = false
+      transition(circuitStates.closed)
+    },
+
+    recordFailure() {
+      failures += 1
+      trialInFlight = false
+
+      if (state === circuitStates.halfOpen || failures >= failureThreshold) {
+        openedAt = now()
+        transition(circuitStates.open)
+      }
+    }
+  }
+}
@@ -0,0 +1,91 @@
+import { vi } from 'vitest'
+
+import { circuitStates, createCircuitBreaker } from './circuit-breaker.js'
+
+describe('#createCircuitBreaker', () => {
+  let now
+  let onStateChange
+  let breaker
+
+  beforeEach(() => {
+    now = 0
+    onStateChange = vi.fn()
+    breaker = createCircuitBreaker({
+      failureThreshold: 3,
+      resetTimeout: 1000,
+      onStateChange,
+      now: () => now
+    })
+  })
+
+  test('Should start closed and allow requests', () => {
+    expect(breaker.state).toBe(circuitStates.closed)
+    expect(breaker.canRequest()).toBe(true)
+  })
+
+  test('Should stay closed below the failure threshold', () => {
+    breaker.recordFailure()
+    breaker.recordFailure()
+
+    expect(breaker.state).toBe(circuitStates.closed)
+    expect(onStateChange).not.toHaveBeenCalled()
+  })
+
+  test('Should reset the failure count after a success', () => {
+    breaker.recordFailure()
+    breaker.recordFailure()
+    breaker.recordSuccess()
+    breaker.recordFailure()
+    breaker.recordFailure()
+
+    expect(breaker.state).toBe(circuitStates.closed)
+  })
+
+  test('Should open at the failure threshold and reject requests', () => {
+    breaker.recordFailure()
+    breaker.recordFailure()
+    breaker.recordFailure()
+
+    expect(breaker.state).toBe(circuitStates.open)
+    expect(breaker.canRequest()).toBe(false)
+    expect(onStateChange).toHaveBeenCalledWith(
+      circuitStates.open,
+      circuitStates.closed
+    )
+  })
+
+  describe('When the reset timeout has elapsed', () => {
+    beforeEach(() => {
+      breaker.recordFailure()
+      breaker.recordFailure()
+      breaker.recordFailure()
+      now = 1000
+    })
+
+    test('Should allow a single trial request when half-open', () => {
+      expect(breaker.canRequest()).toBe(true)
+      expect(breaker.state).toBe(circuitStates.halfOpen)
+      expect(breaker.canRequest()).toBe(false)
+    })
+
+    test('Should close after a successful trial request', () => {
+      breaker.canRequest()
+      breaker.recordSuccess()
+
+      expect(breaker.state).toBe(circuitStates.closed)
+      expect(breaker.canRequest()).toBe(true)
+      expect(onStateChange).toHaveBeenLastCalledWith(
+        circuitStates.closed,
+        circuitStates.halfOpen
+      )
+    })
+
+    test('Should re-open after a failed trial request', () => {
+      breaker.canRequest()
+      breaker.recordFailure()
+
+      expect(breaker.state).toBe(circuitStates.open)
+      expect(breaker.canRequest()).toBe(false)
+    })
+  })
+})
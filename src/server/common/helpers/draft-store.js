@@ -0,0 +1,79 @@
+/**
+ * Saved journey drafts for signed-in users
+ *
+ * Drafts outlive the session: they are kept in the server cache (Redis in
+ * deployed environments) under the user's DEFRA ID contactId, one cache entry
+ * per user holding all of their drafts keyed by draft ID.
+ */
+
+import { randomUUID } from 'node:crypto'
+
+/**
+ * Create a draft store on top of a catbox policy
+ * @param {object} cache - Policy from server.cache()
+ * @returns {object} Draft store
+ */
+export function createDraftStore(cache) {
+  async function read(contactId) {
+    return (await cache.get(contactId)) ?? {}
+  }
+
+  return {
+    /**
+     * All drafts for a user, most recently saved first
+     * @param {string} contactId - DEFRA ID contact ID
+     * @returns {Promise<Array<object>>} Drafts
+     */
+    async list(contactId) {
+      const drafts = Object.values(await read(contactId))
+      return drafts.sort((a, b) => b.savedAt.localeCompare(a.savedAt))
+    },
+
+    /**
+     * @param {string} contactId - DEFRA ID contact ID
+     * @param {string} draftId - Draft ID
+     * @returns {Promise<object|null>} Draft, or null if not found
+     */
+    async get(contactId, draftId) {
+      const drafts = await read(contactId)
+      return drafts[draftId] ?? null
+    },
+
+    /**
+     * Save a new draft, or overwrite one when draft.id is set
+     * @param {string} contactId - DEFRA ID contact ID
+     * @param {object} draft - { id?, journey, title, answers, resumePath }
+     * @returns {Promise<object>} Saved draft with id and savedAt
+     */
+    async save(contactId, draft) {
+      const drafts = await read(contactId)
+      const saved = {
+        ...draft,
+        id: draft.id ?? randomUUID(),
+        savedAt: new Date().toISOString()
+      }
+
+      await cache.set(contactId, { ...drafts, [saved.id]: saved })
+      return saved
+    },
+
+    /**
+     * @param {string} contactId - DEFRA ID contact ID
+     * @param {string} draftId - Draft ID
+     * @returns {Promise<void>}
+     */
+    async remove(contactId, draftId) {
+      const { [draftId]: removed, ...drafts } = await read(contactId)
+
+      if (!removed) {
+        return
+      }
+
+      if (Object.keys(drafts).length === 0) {
+        await cache.drop(contactId)
+      } else {
+        await cache.set(contactId, drafts)
+      }
+    }
+  }
+}
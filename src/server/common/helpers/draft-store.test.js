@@ -0,0 +1,105 @@
+import { vi } from 'vitest'
+
+import { createDraftStore } from './draft-store.js'
+
+function createFakeCache() {
+  const storage = new Map()
+
+  return {
+    storage,
+    get: vi.fn(async (key) => storage.get(key) ?? null),
+    set: vi.fn(async (key, value) => {
+      storage.set(key, value)
+    }),
+    drop: vi.fn(async (key) => {
+      storage.delete(key)
+    })
+  }
+}
+
+describe('#createDraftStore', () => {
+  let cache
+  let drafts
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2025-01-15T10:30:00.000Z'))
+    cache = createFakeCache()
+    drafts = createDraftStore(cache)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('Should save a new draft with an ID and saved time', async () => {
+    const saved = await drafts.save('contact-1', {
+      journey: 'create-example',
+      title: 'My draft',
+      answers: { name: 'My draft' }
+    })
+
+    expect(saved).toEqual({
+      id: expect.any(String),
+      journey: 'create-example',
+      title: 'My draft',
+      answers: { name: 'My draft' },
+      savedAt: '2025-01-15T10:30:00.000Z'
+    })
+    expect(await drafts.get('contact-1', saved.id)).toEqual(saved)
+  })
+
+  test('Should overwrite a draft saved with the same ID', async () => {
+    await drafts.save('contact-1', { id: 'draft-1', answers: { name: 'A' } })
+    await drafts.save('contact-1', { id: 'draft-1', answers: { name: 'B' } })
+
+    const list = await drafts.list('contact-1')
+
+    expect(list).toHaveLength(1)
+    expect(list[0].answers).toEqual({ name: 'B' })
+  })
+
+  test('Should list drafts newest first', async () => {
+    await drafts.save('contact-1', { id: 'older' })
+    vi.setSystemTime(new Date('2025-01-16T10:30:00.000Z'))
+    await drafts.save('contact-1', { id: 'newer' })
+
+    const list = await drafts.list('contact-1')
+
+    expect(list.map(({ id }) => id)).toEqual(['newer', 'older'])
+  })
+
+  test('Should keep drafts separate per contact', async () => {
+    await drafts.save('contact-1', { id: 'draft-1' })
+
+    expect(await drafts.list('contact-2')).toEqual([])
+    expect(await drafts.get('contact-2', 'draft-1')).toBeNull()
+  })
+
+  test('Should remove a draft', async () => {
+    await drafts.save('contact-1', { id: 'draft-1' })
+    await drafts.save('contact-1', { id: 'draft-2' })
+
+    await drafts.remove('contact-1', 'draft-1')
+
+    expect((await drafts.list('contact-1')).map(({ id }) => id)).toEqual([
+      'draft-2'
+    ])
+  })
+
+  test('Should drop the cache entry when the last draft is removed', async () => {
+    await drafts.save('contact-1', { id: 'draft-1' })
+
+    await drafts.remove('contact-1', 'draft-1')
+
+    expect(cache.drop).toHaveBeenCalledWith('contact-1')
+    expect(cache.storage.has('contact-1')).toBe(false)
+  })
+
+  test('Should ignore removing an unknown draft', async () => {
+    await drafts.remove('contact-1', 'missing')
+
+    expect(cache.set).not.toHaveBeenCalled()
+    expect(cache.drop).not.toHaveBeenCalled()
+  })
+})
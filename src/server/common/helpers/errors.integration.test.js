@@ -33,10 +33,11 @@ describe('#catchAll', () => {
   const mockErrorLogger = vi.fn()
   const mockStack = 'Mock error stack'
   const errorPage = 'error/index'
-  const mockRequest = (statusCode) => ({
+  const mockRequest = (statusCode, data = null) => ({
     response: {
       isBoom: true,
       stack: mockStack,
+      data,
       output: {
         statusCode
       }
@@ -62,10 +63,23 @@ describe('#catchAll', () => {
     expect(mockToolkitCode).toHaveBeenCalledWith(statusCodes.notFound)
   })
 
-  test('Should provide expected "Forbidden" page', () => {
-    catchAll(mockRequest(statusCodes.forbidden), mockToolkit)
+  test('Should provide expected "Forbidden" page for authorisation failures', () => {
+    catchAll(
+      mockRequest(statusCodes.forbidden, { authorisation: true }),
+      mockToolkit
+    )
 
     expect(mockErrorLogger).not.toHaveBeenCalledWith(mockStack)
+    expect(mockToolkitView).toHaveBeenCalledWith('error/forbidden', {
+      pageTitle: 'You do not have permission to view this page',
+      heading: 'You do not have permission to view this page'
+    })
+    expect(mockToolkitCode).toHaveBeenCalledWith(statusCodes.forbidden)
+  })
+
+  test('Should provide the default page for other 403s', () => {
+    catchAll(mockRequest(statusCodes.forbidden), mockToolkit)
+
     expect(mockToolkitView).toHaveBeenCalledWith(errorPage, {
       pageTitle: 'Forbidden',
       heading: statusCodes.forbidden,
@@ -110,6 +124,36 @@ describe('#catchAll', () => {
     expect(mockToolkitCode).toHaveBeenCalledWith(statusCodes.imATeapot)
   })
 
+  test('Should redirect to sign in when the backend requires reauthentication', () => {
+    const mockRedirect = vi.fn()
+
+    catchAll(
+      {
+        response: {
+          isBoom: true,
+          data: { reauthenticate: true },
+          output: { statusCode: statusCodes.unauthorized }
+        },
+        url: new URL('http://localhost/example/1/edit?from=list')
+      },
+      { redirect: mockRedirect }
+    )
+
+    expect(mockRedirect).toHaveBeenCalledWith(
+      '/auth/login?next=%2Fexample%2F1%2Fedit%3Ffrom%3Dlist'
+    )
+  })
+
+  test('Should provide service unavailable page for serviceUnavailable', () => {
+    catchAll(mockRequest(statusCodes.serviceUnavailable), mockToolkit)
+
+    expect(mockToolkitView).toHaveBeenCalledWith('error/service-unavailable', {
+      pageTitle: 'Sorry, the service is unavailable',
+      heading: 'Sorry, the service is unavailable'
+    })
+    expect(mockToolkitCode).toHaveBeenCalledWith(statusCodes.serviceUnavailable)
+  })
+
   test('Should provide expected "Something went wrong" page and log error for internalServerError', () => {
     catchAll(mockRequest(statusCodes.internalServerError), mockToolkit)
 
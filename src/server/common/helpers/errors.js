@@ -10,6 +10,8 @@ function statusCodeMessage(statusCode) {
       return 'Unauthorized'
     case statusCodes.badRequest:
       return 'Bad Request'
+    case statusCodes.serviceUnavailable:
+      return 'Sorry, the service is unavailable'
     default:
       return 'Something went wrong'
   }
@@ -23,12 +25,39 @@ export function catchAll(request, h) {
   }
 
   const statusCode = response.output.statusCode
+
+  // Backend rejected the user's tokens even after a refresh - sign in again
+  if (response.data?.reauthenticate) {
+    const next = `${request.url.pathname}${request.url.search}`
+    return h.redirect(`/auth/login?next=${encodeURIComponent(next)}`)
+  }
+
   const errorMessage = statusCodeMessage(statusCode)
 
   if (statusCode >= statusCodes.internalServerError) {
     request.logger.error(response?.stack)
   }
 
+  // Only authorisation failures get the permission page - other 403s, such as
+  // a rejected CSRF token, are not about what the user is allowed to do
+  if (response.data?.authorisation) {
+    return h
+      .view('error/forbidden', {
+        pageTitle: 'You do not have permission to view this page',
+        heading: 'You do not have permission to view this page'
+      })
+      .code(statusCode)
+  }
+
+  if (statusCode === statusCodes.serviceUnavailable) {
+    return h
+      .view('error/service-unavailable', {
+        pageTitle: errorMessage,
+        heading: errorMessage
+      })
+      .code(statusCode)
+  }
+
   return h
     .view('error/index', {
       pageTitle: errorMessage,
@@ -0,0 +1,101 @@
+/**
+ * GOV.UK error summary and inline error message helpers
+ *
+ * Builds the errorList for govukErrorSummary and the per-field errorMessage
+ * params for inputs from [{ field, message }], whether the messages came from
+ * route validation (Joi) or from a backend ValidationFailedError.
+ */
+
+import { statusCodes } from '../constants/status-codes.js'
+import { ConflictError, ValidationFailedError } from './api-errors.js'
+
+/**
+ * Map field errors onto GOV.UK error summary and inline messages
+ * @param {Array<{field: string, message: string}>} errors - Field errors
+ * @param {object} [options]
+ * @param {string[]} [options.fields] - Fields on the page; others only appear in the summary
+ * @param {object} [options.fieldHrefs] - Summary link per field, defaults to #field
+ * @returns {{errorList: Array<{text: string, href: string}>, fieldErrors: object}}
+ */
+export function toGovukErrors(errors, { fields, fieldHrefs = {} } = {}) {
+  const errorList = []
+  const fieldErrors = {}
+
+  for (const { field, message } of errors) {
+    const onPage = Boolean(field) && (!fields || fields.includes(field))
+
+    errorList.push({
+      text: message,
+      href: fieldHrefs[field] ?? (onPage ? `#${field}` : '#')
+    })
+
+    // First message wins inline, matching the summary order
+    if (onPage && !fieldErrors[field]) {
+      fieldErrors[field] = { text: message }
+    }
+  }
+
+  return { errorList, fieldErrors }
+}
+
+/**
+ * Field errors from a failed Joi validation, one per field in payload order
+ * @param {Error} error - Joi ValidationError, e.g. from a route failAction
+ * @returns {Array<{field: string, message: string}>} Field errors
+ */
+export function joiFieldErrors(error) {
+  const errors = []
+
+  for (const { path, message } of error?.details ?? []) {
+    const field = path.join('.')
+
+    if (!errors.some((existing) => existing.field === field)) {
+      errors.push({ field, message })
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Map a failed backend call onto GOV.UK error params for re-rendering a form
+ *
+ * ValidationFailedError field messages are shown inline, a ConflictError shows
+ * the backend's detail, anything else shows the fallback message.
+ *
+ * @param {Error} error - Error thrown by exampleApi
+ * @param {object} options
+ * @param {string} options.fallbackMessage - Message when the backend gave nothing usable
+ * @param {string[]} [options.fields] - Fields on the page
+ * @param {object} [options.fieldHrefs] - Summary link per field
+ * @returns {{errorList: Array<object>, fieldErrors: object, statusCode: number}}
+ */
+export function backendErrorToGovukErrors(
+  error,
+  { fallbackMessage, fields, fieldHrefs }
+) {
+  const detail = error.problem?.detail ?? fallbackMessage
+
+  if (error instanceof ValidationFailedError) {
+    const errors = error.fieldErrors.length
+      ? error.fieldErrors
+      : [{ message: detail }]
+
+    return {
+      ...toGovukErrors(errors, { fields, fieldHrefs }),
+      statusCode: statusCodes.badRequest
+    }
+  }
+
+  if (error instanceof ConflictError) {
+    return {
+      ...toGovukErrors([{ message: detail }]),
+      statusCode: statusCodes.conflict
+    }
+  }
+
+  return {
+    ...toGovukErrors([{ message: fallbackMessage }]),
+    statusCode: statusCodes.internalServerError
+  }
+}
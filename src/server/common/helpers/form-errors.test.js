@@ -0,0 +1,151 @@
+import Joi from 'joi'
+
+import { statusCodes } from '../constants/status-codes.js'
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationFailedError
+} from './api-errors.js'
+import {
+  backendErrorToGovukErrors,
+  joiFieldErrors,
+  toGovukErrors
+} from './form-errors.js'
+
+describe('#toGovukErrors', () => {
+  test('Should build the summary list and inline messages', () => {
+    const result = toGovukErrors([
+      { field: 'name', message: 'Enter a name' },
+      { field: 'value', message: 'Enter a value' }
+    ])
+
+    expect(result).toEqual({
+      errorList: [
+        { text: 'Enter a name', href: '#name' },
+        { text: 'Enter a value', href: '#value' }
+      ],
+      fieldErrors: {
+        name: { text: 'Enter a name' },
+        value: { text: 'Enter a value' }
+      }
+    })
+  })
+
+  test('Should keep the first inline message for a field', () => {
+    const { fieldErrors } = toGovukErrors([
+      { field: 'name', message: 'Enter a name' },
+      { field: 'name', message: 'Name is already in use' }
+    ])
+
+    expect(fieldErrors).toEqual({ name: { text: 'Enter a name' } })
+  })
+
+  test('Should only show fields not on the page in the summary', () => {
+    const result = toGovukErrors(
+      [{ field: 'owner', message: 'Owner is required' }],
+      { fields: ['name'] }
+    )
+
+    expect(result).toEqual({
+      errorList: [{ text: 'Owner is required', href: '#' }],
+      fieldErrors: {}
+    })
+  })
+
+  test('Should use the given summary links', () => {
+    const { errorList } = toGovukErrors(
+      [{ field: 'name', message: 'Name is already in use' }],
+      { fields: [], fieldHrefs: { name: '/example/create/name' } }
+    )
+
+    expect(errorList).toEqual([
+      { text: 'Name is already in use', href: '/example/create/name' }
+    ])
+  })
+})
+
+describe('#joiFieldErrors', () => {
+  test('Should keep the first message for each field', () => {
+    const schema = Joi.object({
+      name: Joi.string().min(5).alphanum(),
+      counter: Joi.number()
+    })
+    const { error } = schema.validate(
+      { name: '!!', counter: 'abc' },
+      { abortEarly: false }
+    )
+
+    expect(joiFieldErrors(error)).toEqual([
+      {
+        field: 'name',
+        message: '"name" length must be at least 5 characters long'
+      },
+      { field: 'counter', message: '"counter" must be a number' }
+    ])
+  })
+
+  test('Should return no errors without a validation error', () => {
+    expect(joiFieldErrors(undefined)).toEqual([])
+  })
+})
+
+describe('#backendErrorToGovukErrors', () => {
+  const options = {
+    fallbackMessage: 'Unable to save. Please try again later.',
+    fields: ['name', 'value']
+  }
+
+  test('Should show backend field errors inline with a 400', () => {
+    const error = new ValidationFailedError('Bad request', {
+      statusCode: 400,
+      problem: { errors: [{ field: 'name', message: 'Name is taken' }] }
+    })
+
+    expect(backendErrorToGovukErrors(error, options)).toEqual({
+      errorList: [{ text: 'Name is taken', href: '#name' }],
+      fieldErrors: { name: { text: 'Name is taken' } },
+      statusCode: statusCodes.badRequest
+    })
+  })
+
+  test('Should show the problem detail when there are no field errors', () => {
+    const error = new ValidationFailedError('Bad request', {
+      statusCode: 400,
+      problem: { detail: 'Counter and value disagree' }
+    })
+
+    expect(backendErrorToGovukErrors(error, options).errorList).toEqual([
+      { text: 'Counter and value disagree', href: '#' }
+    ])
+  })
+
+  test('Should show the conflict detail with a 409', () => {
+    const error = new ConflictError('Conflict', {
+      statusCode: 409,
+      problem: { detail: 'An example with this name already exists' }
+    })
+
+    expect(backendErrorToGovukErrors(error, options)).toEqual({
+      errorList: [
+        { text: 'An example with this name already exists', href: '#' }
+      ],
+      fieldErrors: {},
+      statusCode: statusCodes.conflict
+    })
+  })
+
+  test('Should fall back to the generic message for other errors', () => {
+    const error = new NotFoundError('Not found', {
+      statusCode: 404,
+      problem: { detail: 'Internal lookup failed' }
+    })
+
+    expect(backendErrorToGovukErrors(error, options)).toEqual({
+      errorList: [
+        { text: 'Unable to save. Please try again later.', href: '#' }
+      ],
+      fieldErrors: {},
+      statusCode: statusCodes.internalServerError
+    })
+  })
+})
@@ -0,0 +1,388 @@
+/**
+ * Hapi plugin generated from a journey definition
+ *
+ * GET {basePath} starts a new journey with its own journey ID and redirects to
+ * the first page. Every question page and the check your answers page then has
+ * GET and POST routes under {basePath}/{journeyId}/. Each journey's state
+ * ({ answers, draftId }) is kept in its own session key, so journeys in other
+ * tabs are untouched and finishing one clears only that journey's state.
+ * Completing a journey or saving it as a draft clears its state, and journeys
+ * left unused past journeys.ttl, or beyond journeys.maxOpen, are dropped.
+ *
+ * Every route first sends the user to the first incomplete earlier page, so
+ * steps cannot be skipped by typing a URL. Pages opened from a Change link
+ * return to check your answers when submitted.
+ *
+ * Page answers are checked by Hapi route validation against the page's fields
+ * (journey.payloadSchema). Its failAction re-renders the page with the error
+ * summary and inline errors.
+ *
+ * Journeys with a drafts definition let signed-in users "save and come back
+ * later": posting action=save stores the valid answers so far in request.drafts
+ * under the user's contactId, and GET {basePath}/resume/{draftId} loads them
+ * into a new journey and continues at the first incomplete page.
+ *
+ * Views receive:
+ * - pageTitle, heading, backLink
+ * - values: form values keyed by field name
+ * - errorList and fieldErrors on validation failure (see form-errors.js)
+ * - summaryRows on the check page
+ * - canSaveDraft when the save and come back later button should be shown
+ */
+
+import { randomUUID } from 'node:crypto'
+import Joi from 'joi'
+
+import { config } from '../../../../config/config.js'
+import { openJourneys } from './journey.js'
+import {
+  clearSessionValue,
+  getSessionValue,
+  setSessionValue
+} from '../session-helpers.js'
+import { statusCodes } from '../../constants/status-codes.js'
+import { joiFieldErrors, toGovukErrors } from '../form-errors.js'
+
+/**
+ * Create a Hapi plugin serving a journey
+ * @param {object} journey - Journey from createJourney
+ * @returns {object} Hapi plugin
+ */
+export function createJourneyPlugin(journey) {
+  const routeOptions = journey.routeOptions ?? {}
+  // Journey state lives in the session, so journeys answer with a 503 rather
+  // than losing answers while it is unavailable (see session-availability.js)
+  const options = {
+    ...routeOptions,
+    plugins: {
+      ...routeOptions.plugins,
+      sessionAvailability: { required: true }
+    }
+  }
+  const savedPath = journey.drafts?.savedPath ?? '/dashboard'
+
+  /**
+   * @param {object} request - Hapi request object
+   * @returns {{answers: object, draftId?: string}} Journey state, empty at the start
+   */
+  function getState(request) {
+    const key = journey.sessionKeyFor(request.params.journeyId)
+    return getSessionValue(request, key) ?? { answers: {} }
+  }
+
+  /**
+   * Record a journey as used or finished, clearing the state of any journeys
+   * that have been finished or abandoned
+   * @param {object} request - Hapi request object
+   * @param {object} change - { used } or { finished } journey ID
+   */
+  function trackOpen(request, change) {
+    const key = journey.openJourneysKey()
+    const { open, abandoned } = openJourneys(
+      getSessionValue(request, key) ?? {},
+      change,
+      config.get('journeys')
+    )
+
+    abandoned.forEach((journeyId) =>
+      clearSessionValue(request, journey.sessionKeyFor(journeyId))
+    )
+    setSessionValue(request, key, open)
+  }
+
+  function setState(request, state, journeyId = request.params.journeyId) {
+    setSessionValue(request, journey.sessionKeyFor(journeyId), state)
+    trackOpen(request, { used: journeyId })
+  }
+
+  /**
+   * Drop a journey's state, e.g. once completed or saved as a draft
+   * @param {object} request - Hapi request object
+   */
+  function clearState(request) {
+    const { journeyId } = request.params
+
+    clearSessionValue(request, journey.sessionKeyFor(journeyId))
+    trackOpen(request, { finished: journeyId })
+  }
+
+  /**
+   * Contact ID drafts are saved under, or null when drafts are not available
+   * Taken from the session strategy's credentials, so journey routes need
+   * session auth (mode 'try' for journeys open to everyone)
+   * @param {object} request - Hapi request object
+   * @returns {string|null}
+   */
+  function draftOwner(request) {
+    if (!journey.drafts || !request.auth.isAuthenticated) {
+      return null
+    }
+
+    return request.auth.credentials.contactId ?? null
+  }
+
+  function isSavingDraft(request) {
+    return request.payload?.action === 'save' && Boolean(draftOwner(request))
+  }
+
+  async function saveDraft(request, h, state) {
+    const draftId = state.draftId ?? randomUUID()
+
+    await request.drafts.save(draftOwner(request), {
+      id: draftId,
+      journey: journey.name,
+      title: journey.drafts.title(state.answers) || 'Untitled draft',
+      answers: state.answers,
+      resumePath: `${journey.basePath}/resume/${draftId}`
+    })
+
+    // The draft now holds the answers, resuming starts a fresh journey
+    clearState(request)
+
+    return h.redirect(savedPath)
+  }
+
+  /**
+   * Finish the journey: discard its saved draft and clear its session state
+   * @param {object} request - Hapi request object
+   * @returns {Promise<void>}
+   */
+  async function complete(request) {
+    const { draftId } = getState(request)
+    const contactId = draftOwner(request)
+
+    if (draftId && contactId) {
+      await request.drafts.remove(contactId, draftId)
+    }
+
+    clearState(request)
+  }
+
+  /**
+   * Wrap a handler with the journey ID check and first incomplete page guard
+   * @param {object|null} page - Page being served, null for the check page
+   * @param {Function} handler - (request, h, state, ...args) handler
+   * @returns {Function} Hapi handler, also usable as a failAction
+   */
+  function guarded(page, handler) {
+    return (request, h, ...args) => {
+      const { journeyId } = request.params
+
+      if (!journey.isJourneyId(journeyId)) {
+        return h.redirect(journey.basePath)
+      }
+
+      const state = getState(request)
+      const incomplete = journey.firstIncompletePage(state.answers, page)
+
+      if (incomplete) {
+        return h.redirect(journey.pathFor(journeyId, incomplete))
+      }
+
+      return handler(request, h, state, ...args)
+    }
+  }
+
+  /**
+   * Store a page's answers, then save a draft or move on to the next page
+   * @param {object} request - Hapi request object
+   * @param {object} h - Hapi response toolkit
+   * @param {object} page - Page answered
+   * @param {object} state - Journey state
+   * @param {object} answers - Valid answers from the page
+   * @returns {Promise<object>|object} Hapi response
+   */
+  function storeAnswers(request, h, page, state, answers) {
+    const updated = { ...state, answers: { ...state.answers, ...answers } }
+    setState(request, updated)
+
+    if (isSavingDraft(request)) {
+      return saveDraft(request, h, updated)
+    }
+
+    return h.redirect(
+      journey.nextPath(
+        request.params.journeyId,
+        page,
+        updated.answers,
+        journey.isChanging(request.query)
+      )
+    )
+  }
+
+  /**
+   * Route validation failAction for a page
+   * @param {object} page - Page answered
+   * @returns {Function} Hapi failAction
+   */
+  function rejectAnswers(page) {
+    const handler = guarded(page, (request, h, state, error) => {
+      // Keep whatever is valid so far - the rest is asked again on resume
+      if (isSavingDraft(request)) {
+        const answers = journey.validAnswers(page, request.payload)
+        return storeAnswers(request, h, page, state, answers)
+      }
+
+      return renderPage(request, h, page, state.answers, {
+        values: journey.formValues(page, request.payload ?? {}),
+        ...toGovukErrors(joiFieldErrors(error))
+      }).code(statusCodes.badRequest)
+    })
+
+    return async (request, h, error) =>
+      (await handler(request, h, error)).takeover()
+  }
+
+  function renderPage(request, h, page, answers, context) {
+    return h.view(page.view, {
+      pageTitle: page.title,
+      heading: page.title,
+      backLink: journey.previousPath(
+        request.params.journeyId,
+        page,
+        answers,
+        journey.isChanging(request.query)
+      ),
+      canSaveDraft: Boolean(draftOwner(request)),
+      ...context
+    })
+  }
+
+  function renderCheck(request, h, answers, context = {}) {
+    const { journeyId } = request.params
+
+    return h.view(journey.check.view, {
+      pageTitle: journey.check.title,
+      heading: journey.check.title,
+      backLink: journey.previousPath(journeyId, null, answers),
+      summaryRows: journey.summaryRows(journeyId, answers),
+      canSaveDraft: Boolean(draftOwner(request)),
+      ...context
+    })
+  }
+
+  const startRoute = {
+    method: 'GET',
+    path: journey.basePath,
+    options,
+    handler(_request, h) {
+      return h.redirect(
+        journey.pathFor(journey.newJourneyId(), journey.pages[0])
+      )
+    }
+  }
+
+  const pageRoutes = journey.pages.flatMap((page) => [
+    {
+      method: 'GET',
+      path: `${journey.basePath}/{journeyId}/${page.slug}`,
+      options,
+      handler: guarded(page, (request, h, { answers }) =>
+        renderPage(request, h, page, answers, {
+          values: journey.formValues(page, answers)
+        })
+      )
+    },
+    {
+      method: 'POST',
+      path: `${journey.basePath}/{journeyId}/${page.slug}`,
+      options: {
+        ...options,
+        validate: {
+          payload: journey.payloadSchema(page).keys({ action: Joi.string() }),
+          options: { abortEarly: false, stripUnknown: true },
+          failAction: rejectAnswers(page)
+        }
+      },
+      handler: guarded(page, (request, h, state) =>
+        storeAnswers(
+          request,
+          h,
+          page,
+          state,
+          journey.validAnswers(page, request.payload)
+        )
+      )
+    }
+  ])
+
+  const checkRoutes = [
+    {
+      method: 'GET',
+      path: `${journey.basePath}/{journeyId}/${journey.check.slug}`,
+      options,
+      handler: guarded(null, (request, h, { answers }) =>
+        renderCheck(request, h, answers)
+      )
+    },
+    {
+      method: 'POST',
+      path: `${journey.basePath}/{journeyId}/${journey.check.slug}`,
+      options,
+      handler: guarded(null, (request, h, state) => {
+        if (isSavingDraft(request)) {
+          return saveDraft(request, h, state)
+        }
+
+        return journey.check.submit(request, h, {
+          journeyId: request.params.journeyId,
+          answers: journey.activeAnswers(state.answers),
+          renderCheck: (context) =>
+            renderCheck(request, h, state.answers, context),
+          complete: () => complete(request)
+        })
+      })
+    }
+  ]
+
+  const draftRoutes = journey.drafts
+    ? [
+        {
+          method: 'GET',
+          path: `${journey.basePath}/resume/{draftId}`,
+          options: { ...options, auth: 'session' },
+          async handler(request, h) {
+            const { contactId } = request.auth.credentials
+            const draft = await request.drafts.get(
+              contactId,
+              request.params.draftId
+            )
+
+            if (draft?.journey !== journey.name) {
+              return h.redirect(savedPath)
+            }
+
+            // Resume into a fresh journey so an open tab is not overwritten
+            const journeyId = journey.newJourneyId()
+            setState(
+              request,
+              { answers: draft.answers, draftId: draft.id },
+              journeyId
+            )
+
+            const incomplete = journey.firstIncompletePage(draft.answers)
+
+            return h.redirect(
+              incomplete
+                ? journey.pathFor(journeyId, incomplete)
+                : journey.checkPathFor(journeyId)
+            )
+          }
+        }
+      ]
+    : []
+
+  return {
+    plugin: {
+      name: journey.name,
+      register(server) {
+        server.route([
+          startRoute,
+          ...pageRoutes,
+          ...checkRoutes,
+          ...draftRoutes
+        ])
+      }
+    }
+  }
+}
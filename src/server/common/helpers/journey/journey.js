@@ -0,0 +1,445 @@
+/**
+ * Declarative multi-step form journeys
+ *
+ * A journey definition lists question pages in order. Each page has fields with
+ * a Joi schema, and an optional condition so a page is only asked when earlier
+ * answers need it (branching). From the definition the journey works out:
+ * - which page comes next or before, skipping pages whose condition fails
+ * - the first incomplete page, used to guard pages the user has jumped ahead to
+ * - the check your answers summary rows with Change links
+ *
+ * Change links add ?returnTo=check so that, once the answer is valid, the user
+ * goes straight back to check your answers instead of through every later page.
+ * The marker is compared against a fixed value rather than used as a URL, so it
+ * cannot be turned into an open redirect.
+ *
+ * Each time a user starts a journey it gets its own journey ID, carried in every
+ * path ({basePath}/{journeyId}/{slug}), so two journeys in different browser
+ * tabs keep separate answers. The journeys open in a session are listed with
+ * when each was last used, so abandoned ones can be dropped (see openJourneys).
+ *
+ * Routes are generated from a journey by createJourneyPlugin (journey-plugin.js).
+ *
+ * @example
+ * createJourney({
+ *   name: 'create-example',
+ *   basePath: '/example/create',
+ *   sessionKey: 'example',
+ *   backLink: '/examples',
+ *   pages: [
+ *     {
+ *       slug: 'name',
+ *       title: 'What is the name?',
+ *       view: 'examples/create/name',
+ *       fields: [{ name: 'name', label: 'Name', schema: Joi.string().required() }]
+ *     }
+ *   ],
+ *   check: { title: 'Check your answers', view: 'examples/create/check', submit }
+ * })
+ */
+
+import { randomUUID } from 'node:crypto'
+import Joi from 'joi'
+
+// Query marker added to Change links on the check page
+const returnToParam = 'returnTo'
+const returnToCheck = 'check'
+
+// Journey IDs are UUIDs - anything else in the path is not one of ours
+const journeyIdPattern = /^[0-9a-f-]{36}$/
+
+// Every journey created, see journeySessionKeysIn
+const journeys = new Set()
+
+/**
+ * A field counts as answered once a value (null for a skipped optional field)
+ * has been stored
+ * @param {object} answers - Stored answers
+ * @param {object} field - Field definition
+ * @returns {boolean}
+ */
+function isAnswered(answers, field) {
+  return answers[field.name] !== undefined
+}
+
+/**
+ * Convert a stored answer back to the string shown in a form input
+ * @param {*} value - Stored answer
+ * @returns {string}
+ */
+function toFormValue(value) {
+  return value === null || value === undefined ? '' : String(value)
+}
+
+/**
+ * Create a journey from its definition
+ * @param {object} definition
+ * @param {string} definition.name - Unique journey name, used for the plugin name
+ * @param {string} definition.basePath - Path prefix, GET basePath starts a new journey
+ * @param {string} definition.sessionKey - Prefix for each journey's session key
+ * @param {string} definition.backLink - Back link for the first page
+ * @param {Array<object>} definition.pages - Question pages in order
+ * @param {object} definition.check - Check your answers page, with submit(request, h, context)
+ * @param {object} [definition.routeOptions] - Hapi route options applied to every route
+ * @param {object} [definition.drafts] - Enables save and come back later, with
+ *   title(answers) naming the draft and an optional savedPath to redirect to
+ * @returns {object} Journey
+ */
+export function createJourney(definition) {
+  const { pages, basePath } = definition
+  const check = { slug: 'check', ...definition.check }
+
+  const journey = {
+    ...definition,
+    check,
+
+    /**
+     * @returns {string} ID for a newly started journey
+     */
+    newJourneyId() {
+      return randomUUID()
+    },
+
+    /**
+     * @param {string} journeyId - Journey ID from the path
+     * @returns {boolean} True when the ID could have come from newJourneyId
+     */
+    isJourneyId(journeyId) {
+      return journeyIdPattern.test(journeyId ?? '')
+    },
+
+    /**
+     * @param {string} journeyId - Journey ID
+     * @returns {string} Session key holding this journey's state
+     */
+    sessionKeyFor(journeyId) {
+      return `${definition.sessionKey}.${journeyId}`
+    },
+
+    /**
+     * @returns {string} Session key listing the open journeys, see openJourneys
+     */
+    openJourneysKey() {
+      return `${definition.sessionKey}.open`
+    },
+
+    /**
+     * @param {string} journeyId - Journey ID
+     * @param {object} page - Page definition
+     * @returns {string} Page path
+     */
+    pathFor(journeyId, page) {
+      return `${basePath}/${journeyId}/${page.slug}`
+    },
+
+    /**
+     * @param {string} journeyId - Journey ID
+     * @returns {string} Check your answers path
+     */
+    checkPathFor(journeyId) {
+      return `${basePath}/${journeyId}/${check.slug}`
+    },
+
+    /**
+     * Page path from a check your answers Change link
+     * @param {string} journeyId - Journey ID
+     * @param {object} page - Page definition
+     * @returns {string} Page path with the return to check marker
+     */
+    changePathFor(journeyId, page) {
+      return `${journey.pathFor(journeyId, page)}?${returnToParam}=${returnToCheck}`
+    },
+
+    /**
+     * @param {object} query - Request query
+     * @returns {boolean} True when the page was reached from a Change link
+     */
+    isChanging(query) {
+      return query?.[returnToParam] === returnToCheck
+    },
+
+    /**
+     * Pages the user needs to answer given their answers so far
+     * @param {object} answers - Stored answers
+     * @returns {Array<object>} Pages in journey order
+     */
+    activePages(answers) {
+      return pages.filter((page) => !page.condition || page.condition(answers))
+    },
+
+    /**
+     * @param {object} page - Page definition
+     * @param {object} answers - Stored answers
+     * @returns {boolean} True when every field on the page has been answered
+     */
+    isComplete(page, answers) {
+      return page.fields.every((field) => isAnswered(answers, field))
+    },
+
+    /**
+     * First active page that has not been answered
+     * @param {object} answers - Stored answers
+     * @param {object} [upTo] - Only look at pages before this one
+     * @returns {object|null} Page definition, or null when all are complete
+     */
+    firstIncompletePage(answers, upTo) {
+      for (const page of journey.activePages(answers)) {
+        if (page === upTo) {
+          return null
+        }
+
+        if (!journey.isComplete(page, answers)) {
+          return page
+        }
+      }
+
+      return null
+    },
+
+    /**
+     * Where to go after answering a page
+     *
+     * When changing an answer from check your answers, go back there - unless the
+     * change opened a branch with pages still to answer, which are asked first.
+     *
+     * @param {string} journeyId - Journey ID
+     * @param {object} page - Page just answered
+     * @param {object} answers - Stored answers including this page
+     * @param {boolean} [changing] - Page was reached from a Change link
+     * @returns {string} Next page path, or the check page
+     */
+    nextPath(journeyId, page, answers, changing = false) {
+      if (changing) {
+        const incomplete = journey.firstIncompletePage(answers)
+
+        return incomplete
+          ? journey.changePathFor(journeyId, incomplete)
+          : journey.checkPathFor(journeyId)
+      }
+
+      const active = journey.activePages(answers)
+      const next = active[active.indexOf(page) + 1]
+
+      return next
+        ? journey.pathFor(journeyId, next)
+        : journey.checkPathFor(journeyId)
+    },
+
+    /**
+     * Back link for a page, or for the check page when page is null
+     * @param {string} journeyId - Journey ID
+     * @param {object|null} page - Current page
+     * @param {object} answers - Stored answers
+     * @param {boolean} [changing] - Page was reached from a Change link
+     * @returns {string} Previous page path, or the journey back link
+     */
+    previousPath(journeyId, page, answers, changing = false) {
+      if (changing) {
+        return journey.checkPathFor(journeyId)
+      }
+
+      const active = journey.activePages(answers)
+      const index = page ? active.indexOf(page) : active.length
+      const previous = active[index - 1]
+
+      return previous
+        ? journey.pathFor(journeyId, previous)
+        : definition.backLink
+    },
+
+    /**
+     * Joi schema for a page's form payload, for the route's validate.payload
+     * @param {object} page - Page definition
+     * @returns {object} Joi object schema of the page's fields
+     */
+    payloadSchema(page) {
+      return Joi.object(
+        Object.fromEntries(
+          page.fields.map((field) => [field.name, field.schema])
+        )
+      )
+    },
+
+    /**
+     * Answers from a page's form payload that pass their field's schema,
+     * converted by Joi (trimmed, parsed, defaulted). Invalid answers are left out.
+     * @param {object} page - Page definition
+     * @param {object} payload - Request payload
+     * @returns {object} Answers keyed by field name
+     */
+    validAnswers(page, payload) {
+      const answers = {}
+
+      for (const field of page.fields) {
+        const { value, error } = field.schema.validate(payload?.[field.name])
+
+        if (!error) {
+          answers[field.name] = value
+        }
+      }
+
+      return answers
+    },
+
+    /**
+     * Stored answers as strings for pre-filling a page's inputs
+     * @param {object} page - Page definition
+     * @param {object} answers - Stored answers
+     * @returns {object} Form values keyed by field name
+     */
+    formValues(page, answers) {
+      return Object.fromEntries(
+        page.fields.map((field) => [
+          field.name,
+          toFormValue(answers[field.name])
+        ])
+      )
+    },
+
+    /**
+     * Answers for active pages only, dropping answers left behind on pages a
+     * branch no longer asks
+     * @param {object} answers - Stored answers
+     * @returns {object} Answers to submit
+     */
+    activeAnswers(answers) {
+      return Object.fromEntries(
+        journey
+          .activePages(answers)
+          .flatMap((page) => page.fields)
+          .map((field) => [field.name, answers[field.name]])
+      )
+    },
+
+    /**
+     * Path of the page asking each field, for linking errors to Change pages
+     * @param {string} journeyId - Journey ID
+     * @returns {object} Page path keyed by field name
+     */
+    fieldPaths(journeyId) {
+      return Object.fromEntries(
+        pages.flatMap((page) =>
+          page.fields.map((field) => [
+            field.name,
+            journey.changePathFor(journeyId, page)
+          ])
+        )
+      )
+    },
+
+    /**
+     * govukSummaryList rows for the check your answers page
+     * @param {string} journeyId - Journey ID
+     * @param {object} answers - Stored answers
+     * @returns {Array<object>} Summary list rows
+     */
+    summaryRows(journeyId, answers) {
+      return journey.activePages(answers).flatMap((page) =>
+        page.fields.map((field) => {
+          const value = answers[field.name]
+
+          return {
+            key: { text: field.label },
+            value: {
+              text: field.format ? field.format(value) : toFormValue(value)
+            },
+            actions: {
+              items: [
+                {
+                  href: journey.changePathFor(journeyId, page),
+                  text: 'Change',
+                  visuallyHiddenText: field.label.toLowerCase()
+                }
+              ]
+            }
+          }
+        })
+      )
+    }
+  }
+
+  journeys.add(journey)
+
+  return journey
+}
+
+/**
+ * Session keys holding journey state: each journey's list of open journeys
+ * and the state of every journey in it. Yar cannot list a session's keys, so
+ * this is how journeys in progress are found, e.g. to copy them to a new session
+ * @param {Function} get - Reads a session key, e.g. request.yar.get
+ * @returns {string[]} Session keys
+ */
+export function journeySessionKeysIn(get) {
+  return [...journeys].flatMap((journey) => {
+    const open = get(journey.openJourneysKey())
+
+    return open
+      ? [
+          journey.openJourneysKey(),
+          ...Object.keys(open).map((journeyId) =>
+            journey.sessionKeyFor(journeyId)
+          )
+        ]
+      : []
+  })
+}
+
+/**
+ * Journeys in progress as they may be carried over to a fresh sign in: the
+ * answers entered and the list of open journeys, but not a draft being
+ * resumed, as anything else put in the session before sign in may be planted
+ * @param {Function} get - Reads a session key, e.g. request.yar.get
+ * @returns {object} Session values by key
+ */
+export function journeyAnswersIn(get) {
+  return Object.fromEntries(
+    [...journeys].flatMap((journey) => {
+      const open = get(journey.openJourneysKey())
+
+      return open
+        ? [
+            [journey.openJourneysKey(), open],
+            ...Object.keys(open).map((journeyId) => {
+              const key = journey.sessionKeyFor(journeyId)
+              return [key, { answers: get(key)?.answers ?? {} }]
+            })
+          ]
+        : []
+    })
+  )
+}
+
+/**
+ * Journeys still open once one has been used or finished. Journeys not used
+ * within ttl are abandoned, as are the least recently used beyond maxOpen, so
+ * abandoned answers do not build up in the session
+ * @param {object} open - Last used time (ms) keyed by journey ID
+ * @param {object} change
+ * @param {string} [change.used] - Journey ID just used
+ * @param {string} [change.finished] - Journey ID just completed or saved as a draft
+ * @param {object} limits - { ttl, maxOpen } from the journeys config
+ * @param {number} [now] - Current time (ms)
+ * @returns {{open: object, abandoned: Array<string>}} Journeys left open, and
+ *   the IDs whose state should be cleared
+ */
+export function openJourneys(
+  open,
+  { used, finished },
+  { ttl, maxOpen },
+  now = Date.now()
+) {
+  const all = { ...open, ...(used && { [used]: now }) }
+  delete all[finished]
+
+  const kept = Object.entries(all)
+    .filter(([, usedAt]) => now - usedAt < ttl)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, maxOpen)
+  const keptIds = new Set(kept.map(([journeyId]) => journeyId))
+
+  return {
+    open: Object.fromEntries(kept),
+    abandoned: Object.keys(open).filter((journeyId) => !keptIds.has(journeyId))
+  }
+}
@@ -0,0 +1,342 @@
+import Joi from 'joi'
+
+import {
+  createJourney,
+  journeyAnswersIn,
+  journeySessionKeysIn,
+  openJourneys
+} from './journey.js'
+
+const journey = createJourney({
+  name: 'test-journey',
+  basePath: '/test',
+  sessionKey: 'test',
+  backLink: '/start',
+  pages: [
+    {
+      slug: 'importing',
+      title: 'Are you importing?',
+      view: 'test/importing',
+      fields: [
+        {
+          name: 'importing',
+          label: 'Importing',
+          schema: Joi.string().required()
+        }
+      ]
+    },
+    {
+      slug: 'country',
+      title: 'Which country?',
+      view: 'test/country',
+      condition: (answers) => answers.importing === 'yes',
+      fields: [
+        {
+          name: 'country',
+          label: 'Country',
+          schema: Joi.string().trim().max(5).required()
+        }
+      ]
+    },
+    {
+      slug: 'quantity',
+      title: 'How many?',
+      view: 'test/quantity',
+      fields: [
+        {
+          name: 'quantity',
+          label: 'Quantity',
+          schema: Joi.number().integer().min(1).max(10).empty('').default(null),
+          format: (value) => (value === null ? 'Not provided' : `${value}`)
+        }
+      ]
+    }
+  ],
+  check: { title: 'Check', view: 'test/check', submit: () => null }
+})
+
+const [importingPage, countryPage, quantityPage] = journey.pages
+const journeyId = '6f1c1a52-0d7e-4d0b-9a57-2c1f5b8e7d40'
+const base = `/test/${journeyId}`
+
+describe('#createJourney', () => {
+  test('Should build page and check paths', () => {
+    expect(journey.pathFor(journeyId, countryPage)).toBe(`${base}/country`)
+    expect(journey.checkPathFor(journeyId)).toBe(`${base}/check`)
+  })
+
+  describe('Journey IDs', () => {
+    test('Should start each journey with a new ID', () => {
+      const first = journey.newJourneyId()
+
+      expect(journey.isJourneyId(first)).toBe(true)
+      expect(journey.newJourneyId()).not.toBe(first)
+    })
+
+    test('Should reject IDs it could not have issued', () => {
+      expect(journey.isJourneyId('check')).toBe(false)
+      expect(journey.isJourneyId('../admin')).toBe(false)
+      expect(journey.isJourneyId(undefined)).toBe(false)
+    })
+
+    test('Should keep each journey in its own session key', () => {
+      expect(journey.sessionKeyFor(journeyId)).toBe(`test.${journeyId}`)
+    })
+
+    test('Should find the session keys of open journeys', () => {
+      const session = {
+        'test.open': { [journeyId]: 1000 },
+        [`test.${journeyId}`]: { answers: {} },
+        auth: {}
+      }
+
+      expect(journeySessionKeysIn((key) => session[key])).toEqual([
+        'test.open',
+        `test.${journeyId}`
+      ])
+    })
+
+    test('Should find open journeys without the draft being resumed', () => {
+      const session = {
+        'test.open': { [journeyId]: 1000 },
+        [`test.${journeyId}`]: { answers: { quantity: 2 }, draftId: 'draft-1' },
+        auth: {}
+      }
+
+      expect(journeyAnswersIn((key) => session[key])).toEqual({
+        'test.open': { [journeyId]: 1000 },
+        [`test.${journeyId}`]: { answers: { quantity: 2 } }
+      })
+    })
+  })
+
+  describe('Branching', () => {
+    test('Should ask conditional pages when the condition holds', () => {
+      expect(journey.activePages({ importing: 'yes' })).toEqual([
+        importingPage,
+        countryPage,
+        quantityPage
+      ])
+      expect(
+        journey.nextPath(journeyId, importingPage, { importing: 'yes' })
+      ).toBe(`${base}/country`)
+    })
+
+    test('Should skip conditional pages when the condition fails', () => {
+      expect(
+        journey.nextPath(journeyId, importingPage, { importing: 'no' })
+      ).toBe(`${base}/quantity`)
+      expect(
+        journey.previousPath(journeyId, quantityPage, { importing: 'no' })
+      ).toBe(`${base}/importing`)
+    })
+
+    test('Should drop answers from pages no longer asked', () => {
+      expect(
+        journey.activeAnswers({
+          importing: 'no',
+          country: 'FR',
+          quantity: 2
+        })
+      ).toEqual({ importing: 'no', quantity: 2 })
+    })
+  })
+
+  describe('Navigation', () => {
+    test('Should go to the check page after the last page', () => {
+      expect(
+        journey.nextPath(journeyId, quantityPage, { importing: 'no' })
+      ).toBe(`${base}/check`)
+    })
+
+    test('Should use the journey back link on the first page', () => {
+      expect(journey.previousPath(journeyId, importingPage, {})).toBe('/start')
+    })
+
+    test('Should link back from the check page to the last page', () => {
+      expect(journey.previousPath(journeyId, null, { importing: 'yes' })).toBe(
+        `${base}/quantity`
+      )
+    })
+  })
+
+  describe('Changing an answer from check your answers', () => {
+    test('Should only accept the fixed return marker', () => {
+      expect(journey.isChanging({ returnTo: 'check' })).toBe(true)
+      expect(journey.isChanging({ returnTo: 'https://evil.example' })).toBe(
+        false
+      )
+      expect(journey.isChanging({ returnTo: `${base}/check` })).toBe(false)
+      expect(journey.isChanging({})).toBe(false)
+    })
+
+    test('Should return to the check page after a change', () => {
+      const answers = { importing: 'yes', country: 'FR', quantity: 2 }
+
+      expect(journey.nextPath(journeyId, importingPage, answers, true)).toBe(
+        `${base}/check`
+      )
+    })
+
+    test('Should ask newly needed pages before returning', () => {
+      const answers = { importing: 'yes', quantity: 2 }
+
+      expect(journey.nextPath(journeyId, importingPage, answers, true)).toBe(
+        `${base}/country?returnTo=check`
+      )
+    })
+
+    test('Should link back to the check page', () => {
+      expect(journey.previousPath(journeyId, quantityPage, {}, true)).toBe(
+        `${base}/check`
+      )
+    })
+  })
+
+  describe('Guard', () => {
+    test('Should find the first incomplete page', () => {
+      expect(journey.firstIncompletePage({})).toBe(importingPage)
+      expect(journey.firstIncompletePage({ importing: 'yes' })).toBe(
+        countryPage
+      )
+    })
+
+    test('Should only look at pages before the current one', () => {
+      expect(journey.firstIncompletePage({}, importingPage)).toBeNull()
+      expect(
+        journey.firstIncompletePage({ importing: 'yes' }, countryPage)
+      ).toBeNull()
+      expect(
+        journey.firstIncompletePage({ importing: 'yes' }, quantityPage)
+      ).toBe(countryPage)
+    })
+
+    test('Should treat a skipped optional answer as complete', () => {
+      expect(
+        journey.firstIncompletePage({ importing: 'no', quantity: null })
+      ).toBeNull()
+    })
+  })
+
+  describe('Validation', () => {
+    test('Should build the payload schema from the page fields', () => {
+      const schema = journey.payloadSchema(countryPage)
+
+      expect(schema.validate({ country: '  FR ' }).value).toEqual({
+        country: 'FR'
+      })
+      expect(schema.validate({ country: 'Atlantis' }).error).toBeDefined()
+      expect(schema.validate({ other: 'x' }).error).toBeDefined()
+    })
+
+    test('Should keep only the valid converted answers', () => {
+      expect(journey.validAnswers(countryPage, { country: '  FR ' })).toEqual({
+        country: 'FR'
+      })
+      expect(
+        journey.validAnswers(countryPage, { country: 'Atlantis' })
+      ).toEqual({})
+    })
+
+    test('Should store blank optional answers as null', () => {
+      expect(journey.validAnswers(quantityPage, { quantity: '' })).toEqual({
+        quantity: null
+      })
+    })
+
+    test('Should parse answers', () => {
+      expect(journey.validAnswers(quantityPage, { quantity: '7' })).toEqual({
+        quantity: 7
+      })
+    })
+
+    test('Should treat a missing payload as blank', () => {
+      expect(journey.validAnswers(importingPage, null)).toEqual({})
+    })
+  })
+
+  test('Should pre-fill form values from stored answers', () => {
+    expect(journey.formValues(quantityPage, { quantity: 3 })).toEqual({
+      quantity: '3'
+    })
+    expect(journey.formValues(quantityPage, { quantity: null })).toEqual({
+      quantity: ''
+    })
+  })
+
+  test('Should map fields to the page asking them', () => {
+    expect(journey.fieldPaths(journeyId)).toEqual({
+      importing: `${base}/importing?returnTo=check`,
+      country: `${base}/country?returnTo=check`,
+      quantity: `${base}/quantity?returnTo=check`
+    })
+  })
+
+  test('Should build check your answers rows for active pages', () => {
+    expect(
+      journey.summaryRows(journeyId, {
+        importing: 'no',
+        country: 'FR',
+        quantity: null
+      })
+    ).toEqual([
+      {
+        key: { text: 'Importing' },
+        value: { text: 'no' },
+        actions: {
+          items: [
+            {
+              href: `${base}/importing?returnTo=check`,
+              text: 'Change',
+              visuallyHiddenText: 'importing'
+            }
+          ]
+        }
+      },
+      {
+        key: { text: 'Quantity' },
+        value: { text: 'Not provided' },
+        actions: {
+          items: [
+            {
+              href: `${base}/quantity?returnTo=check`,
+              text: 'Change',
+              visuallyHiddenText: 'quantity'
+            }
+          ]
+        }
+      }
+    ])
+  })
+})
+
+describe('#openJourneys', () => {
+  const limits = { ttl: 1000, maxOpen: 2 }
+  const now = 10000
+
+  test('Should mark the journey used as used now', () => {
+    expect(openJourneys({ a: 9500 }, { used: 'b' }, limits, now)).toEqual({
+      open: { a: 9500, b: now },
+      abandoned: []
+    })
+  })
+
+  test('Should drop a finished journey', () => {
+    expect(
+      openJourneys({ a: 9500, b: 9800 }, { finished: 'a' }, limits, now)
+    ).toEqual({ open: { b: 9800 }, abandoned: ['a'] })
+  })
+
+  test('Should abandon journeys not used within the ttl', () => {
+    expect(openJourneys({ a: 8000 }, { used: 'b' }, limits, now)).toEqual({
+      open: { b: now },
+      abandoned: ['a']
+    })
+  })
+
+  test('Should abandon the least recently used beyond the limit', () => {
+    expect(
+      openJourneys({ a: 9100, b: 9500 }, { used: 'c' }, limits, now)
+    ).toEqual({ open: { b: 9500, c: now }, abandoned: ['a'] })
+  })
+})
@@ -0,0 +1,119 @@
+/**
+ * Pagination helpers for list pages
+ *
+ * Parses paging/sorting query parameters and builds the params object
+ * expected by the GOV.UK pagination component (govukPagination)
+ *
+ * @see https://design-system.service.gov.uk/components/pagination/
+ */
+
+export const paginationDefaults = {
+  page: 1,
+  pageSize: 20,
+  maxPageSize: 100,
+  order: 'asc'
+}
+
+const sortOrders = ['asc', 'desc']
+
+/**
+ * Parse a positive integer query value, falling back when invalid
+ * @param {*} value - Raw query value
+ * @param {number} fallback - Value to use when not a positive integer
+ * @returns {number} Parsed integer
+ */
+function toPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10)
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback
+}
+
+/**
+ * Parse page, pageSize, sort and order from a request query
+ * Unknown sort fields and orders fall back to the defaults rather than erroring
+ * @param {object} query - Hapi request.query
+ * @param {string[]} sortFields - Allowed sort fields, first is the default
+ * @returns {{page: number, pageSize: number, sort: string, order: string}}
+ */
+export function parsePaginationQuery(query, sortFields) {
+  const page = toPositiveInt(query.page, paginationDefaults.page)
+  const pageSize = Math.min(
+    toPositiveInt(query.pageSize, paginationDefaults.pageSize),
+    paginationDefaults.maxPageSize
+  )
+  const sort = sortFields.includes(query.sort) ? query.sort : sortFields[0]
+  const order = sortOrders.includes(query.order)
+    ? query.order
+    : paginationDefaults.order
+
+  return { page, pageSize, sort, order }
+}
+
+/**
+ * Build a URL for a list page, dropping empty query values
+ * @param {string} path - Page path, e.g. /examples
+ * @param {object} params - Query parameters
+ * @returns {string} Path with query string
+ */
+export function buildListUrl(path, params) {
+  const searchParams = new URLSearchParams()
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      searchParams.set(key, String(value))
+    }
+  })
+
+  const queryString = searchParams.toString()
+  return queryString ? `${path}?${queryString}` : path
+}
+
+/**
+ * Page numbers to show: first, last and a window around the current page
+ * Gaps are represented by null (rendered as an ellipsis)
+ * @param {number} page - Current page
+ * @param {number} totalPages - Total number of pages
+ * @returns {Array<number|null>} Page numbers with null for ellipses
+ */
+function pageNumbers(page, totalPages) {
+  const numbers = []
+
+  for (let number = 1; number <= totalPages; number++) {
+    const isEdge = number === 1 || number === totalPages
+    const isNearCurrent = Math.abs(number - page) <= 1
+
+    if (isEdge || isNearCurrent) {
+      numbers.push(number)
+    } else if (numbers.at(-1) !== null) {
+      numbers.push(null)
+    }
+  }
+
+  return numbers
+}
+
+/**
+ * Build govukPagination params
+ * @param {object} options
+ * @param {number} options.page - Current page (1-based)
+ * @param {number} options.totalPages - Total number of pages
+ * @param {string} options.path - Page path the links point at
+ * @param {object} [options.query] - Query values to keep on every link (search, sort, etc.)
+ * @returns {object|null} Pagination params, or null when there is only one page
+ */
+export function buildPagination({ page, totalPages, path, query = {} }) {
+  if (!totalPages || totalPages <= 1) {
+    return null
+  }
+
+  const pageUrl = (number) => buildListUrl(path, { ...query, page: number })
+
+  return {
+    previous: page > 1 ? { href: pageUrl(page - 1) } : null,
+    next: page < totalPages ? { href: pageUrl(page + 1) } : null,
+    items: pageNumbers(page, totalPages).map((number) =>
+      number === null
+        ? { ellipsis: true }
+        : { number, href: pageUrl(number), current: number === page }
+    )
+  }
+}
@@ -0,0 +1,129 @@
+import {
+  buildListUrl,
+  buildPagination,
+  parsePaginationQuery
+} from './pagination.js'
+
+const sortFields = ['name', 'value', 'counter']
+
+describe('#parsePaginationQuery', () => {
+  test('Should use defaults when query is empty', () => {
+    expect(parsePaginationQuery({}, sortFields)).toEqual({
+      page: 1,
+      pageSize: 20,
+      sort: 'name',
+      order: 'asc'
+    })
+  })
+
+  test('Should parse valid values', () => {
+    expect(
+      parsePaginationQuery(
+        { page: '4', pageSize: '50', sort: 'counter', order: 'desc' },
+        sortFields
+      )
+    ).toEqual({ page: 4, pageSize: 50, sort: 'counter', order: 'desc' })
+  })
+
+  test('Should fall back for invalid values and cap pageSize', () => {
+    expect(
+      parsePaginationQuery(
+        { page: 'abc', pageSize: '1000', sort: 'id', order: 'random' },
+        sortFields
+      )
+    ).toEqual({ page: 1, pageSize: 100, sort: 'name', order: 'asc' })
+  })
+})
+
+describe('#buildListUrl', () => {
+  test('Should drop empty values', () => {
+    expect(buildListUrl('/examples', { search: '', page: 2 })).toBe(
+      '/examples?page=2'
+    )
+  })
+
+  test('Should return the bare path when there are no values', () => {
+    expect(buildListUrl('/examples', { search: undefined })).toBe('/examples')
+  })
+
+  test('Should encode values', () => {
+    expect(buildListUrl('/examples', { search: 'a&b "c"' })).toBe(
+      '/examples?search=a%26b+%22c%22'
+    )
+  })
+})
+
+describe('#buildPagination', () => {
+  test('Should return null for a single page', () => {
+    expect(
+      buildPagination({ page: 1, totalPages: 1, path: '/examples' })
+    ).toBeNull()
+  })
+
+  test('Should omit previous link on the first page', () => {
+    const pagination = buildPagination({
+      page: 1,
+      totalPages: 3,
+      path: '/examples'
+    })
+
+    expect(pagination.previous).toBeNull()
+    expect(pagination.next).toEqual({ href: '/examples?page=2' })
+    expect(pagination.items).toEqual([
+      { number: 1, href: '/examples?page=1', current: true },
+      { number: 2, href: '/examples?page=2', current: false },
+      { number: 3, href: '/examples?page=3', current: false }
+    ])
+  })
+
+  test('Should omit next link on the last page', () => {
+    const pagination = buildPagination({
+      page: 3,
+      totalPages: 3,
+      path: '/examples'
+    })
+
+    expect(pagination.previous).toEqual({ href: '/examples?page=2' })
+    expect(pagination.next).toBeNull()
+  })
+
+  test('Should add ellipses around the current page window', () => {
+    const pagination = buildPagination({
+      page: 5,
+      totalPages: 10,
+      path: '/examples'
+    })
+
+    expect(
+      pagination.items.map((item) => (item.ellipsis ? '…' : item.number))
+    ).toEqual([1, '…', 4, 5, 6, '…', 10])
+  })
+
+  test('Should not add an ellipsis for adjacent pages', () => {
+    const pagination = buildPagination({
+      page: 2,
+      totalPages: 4,
+      path: '/examples'
+    })
+
+    expect(
+      pagination.items.map((item) => (item.ellipsis ? '…' : item.number))
+    ).toEqual([1, 2, 3, 4])
+  })
+
+  test('Should keep query values on every link', () => {
+    const pagination = buildPagination({
+      page: 2,
+      totalPages: 3,
+      path: '/examples',
+      query: { search: 'Example', sort: 'counter', order: 'desc' }
+    })
+
+    expect(pagination.next.href).toBe(
+      '/examples?search=Example&sort=counter&order=desc&page=3'
+    )
+    expect(pagination.previous.href).toBe(
+      '/examples?search=Example&sort=counter&order=desc&page=1'
+    )
+  })
+})
@@ -1,12 +1,62 @@
 import { Cluster, Redis } from 'ioredis'
 
 import { createLogger } from './logging/logger.js'
+import { metricsCounter } from './metrics.js'
+
+/**
+ * Delay before each attempt to reconnect: exponential backoff from
+ * initialDelay, capped at maxDelay. Never gives up, so the app recovers
+ * on its own once Redis is back
+ * @param {{initialDelay: number, maxDelay: number}} reconnect - redis.reconnect config
+ * @returns {Function} ioredis retry strategy, called with the attempt number
+ */
+export function reconnectBackoff({ initialDelay, maxDelay }) {
+  return (attempt) => Math.min(initialDelay * 2 ** (attempt - 1), maxDelay)
+}
+
+/**
+ * Log connection state changes and count them as metrics
+ * @param {object} redisClient - ioredis client or cluster
+ * @param {object} logger - Pino logger
+ */
+function watchConnection(redisClient, logger) {
+  redisClient.on('connect', () => {
+    logger.info('Connected to Redis server')
+  })
+
+  redisClient.on('ready', () => {
+    logger.info('Redis connection ready')
+    metricsCounter('RedisConnectionReady')
+  })
+
+  redisClient.on('error', (error) => {
+    logger.error(`Redis connection error ${error}`)
+    metricsCounter('RedisConnectionError')
+  })
+
+  redisClient.on('close', () => {
+    logger.warn('Redis connection closed')
+    metricsCounter('RedisConnectionClosed')
+  })
+
+  redisClient.on('reconnecting', (delay) => {
+    logger.warn(`Reconnecting to Redis in ${delay}ms`)
+    metricsCounter('RedisReconnecting')
+  })
+
+  redisClient.on('end', () => {
+    logger.warn('Redis connection ended, no more reconnection attempts')
+  })
+}
 
 /**
  * Setup Redis and provide a redis client
  *
  * Local development - 1 Redis instance
  * Environments - Elasticache / Redis Cluster with username and password
+ *
+ * Lost connections are retried with backoff (see reconnectBackoff). While
+ * reconnecting the session cache is not ready, see src/plugins/session.js
  */
 export function buildRedisClient(redisConfig) {
   const logger = createLogger()
@@ -24,6 +74,7 @@ export function buildRedisClient(redisConfig) {
           password: redisConfig.password
         }
   const tls = redisConfig.useTLS ? { tls: {} } : {}
+  const retryStrategy = reconnectBackoff(redisConfig.reconnect)
 
   if (redisConfig.useSingleInstanceCache) {
     redisClient = new Redis({
@@ -31,6 +82,7 @@ export function buildRedisClient(redisConfig) {
       host,
       db,
       keyPrefix,
+      retryStrategy,
       ...credentials,
       ...tls
     })
@@ -46,8 +98,10 @@ export function buildRedisClient(redisConfig) {
         keyPrefix,
         slotsRefreshTimeout: 10000,
         dnsLookup: (address, callback) => callback(null, address),
+        clusterRetryStrategy: retryStrategy,
         redisOptions: {
           db,
+          retryStrategy,
           ...credentials,
           ...tls
         }
@@ -55,13 +109,7 @@ export function buildRedisClient(redisConfig) {
     )
   }
 
-  redisClient.on('connect', () => {
-    logger.info('Connected to Redis server')
-  })
-
-  redisClient.on('error', (error) => {
-    logger.error(`Redis connection error ${error}`)
-  })
+  watchConnection(redisClient, logger)
 
   return redisClient
 }
@@ -3,12 +3,28 @@ import { vi } from 'vitest'
 import { Cluster, Redis } from 'ioredis'
 
 import { config } from '../../../config/config.js'
-import { buildRedisClient } from './redis-client.js'
+import { buildRedisClient, reconnectBackoff } from './redis-client.js'
+
+const mockMetricsCounter = vi.fn()
+const mockLoggerWarn = vi.fn()
+const listeners = new Map()
 
 vi.mock('ioredis', () => ({
   ...vi.importActual('ioredis'),
   Cluster: vi.fn().mockReturnValue({ on: () => ({}) }),
-  Redis: vi.fn().mockReturnValue({ on: () => ({}) })
+  Redis: vi.fn().mockReturnValue({
+    on: (event, listener) => listeners.set(event, listener)
+  })
+}))
+vi.mock('./metrics.js', () => ({
+  metricsCounter: (...args) => mockMetricsCounter(...args)
+}))
+vi.mock('./logging/logger.js', () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: (...args) => mockLoggerWarn(...args),
+    error: vi.fn()
+  })
 }))
 
 describe('#buildRedisClient', () => {
@@ -22,9 +38,25 @@ describe('#buildRedisClient', () => {
         db: 0,
         host: '127.0.0.1',
         keyPrefix: 'trade-demo-frontend:',
-        port: 6379
+        port: 6379,
+        retryStrategy: expect.any(Function)
       })
     })
+
+    test('Should log and count reconnection attempts', () => {
+      listeners.get('reconnecting')(400)
+
+      expect(mockLoggerWarn).toHaveBeenCalledWith(
+        'Reconnecting to Redis in 400ms'
+      )
+      expect(mockMetricsCounter).toHaveBeenCalledWith('RedisReconnecting')
+    })
+
+    test('Should count lost connections', () => {
+      listeners.get('close')()
+
+      expect(mockMetricsCounter).toHaveBeenCalledWith('RedisConnectionClosed')
+    })
   })
 
   describe('When a Redis Cluster is requested', () => {
@@ -44,10 +76,27 @@ describe('#buildRedisClient', () => {
         {
           dnsLookup: expect.any(Function),
           keyPrefix: 'trade-demo-frontend:',
-          redisOptions: { db: 0, password: 'pass', tls: {}, username: 'user' },
+          clusterRetryStrategy: expect.any(Function),
+          redisOptions: {
+            db: 0,
+            password: 'pass',
+            retryStrategy: expect.any(Function),
+            tls: {},
+            username: 'user'
+          },
           slotsRefreshTimeout: 10000
         }
       )
     })
   })
 })
+
+describe('#reconnectBackoff', () => {
+  test('Should double the delay after each attempt up to the maximum', () => {
+    const backoff = reconnectBackoff({ initialDelay: 100, maxDelay: 1000 })
+
+    expect([1, 2, 3, 4, 5, 50].map(backoff)).toEqual([
+      100, 200, 400, 800, 1000, 1000
+    ])
+  })
+})
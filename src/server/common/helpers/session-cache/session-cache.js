@@ -16,7 +16,9 @@ export const sessionCache = {
       expiresIn: sessionConfig.cache.ttl
     },
     storeBlank: false,
-    errorOnCacheNotReady: true,
+    // Carry on without sessions while the cache is unavailable, see
+    // src/plugins/session-availability.js
+    errorOnCacheNotReady: false,
     cookieOptions: {
       password: sessionConfig.cookie.password,
       ttl: sessionConfig.cookie.ttl,
@@ -0,0 +1,113 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  hkdfSync,
+  randomBytes
+} from 'node:crypto'
+
+import { config } from '../../../../config/config.js'
+
+/**
+ * Authenticated encryption (AES-256-GCM) for secrets kept in the session cache,
+ * so Redis access alone does not give away users' tokens
+ *
+ * Values are sealed with the current key from config (session.encryption.key).
+ * Keys listed in session.encryption.previousKeys can still open values, which
+ * are then reported as stale so the caller can seal them again. To rotate,
+ * make the old key a previous key and set a new one; once every session has
+ * been read or has expired (session.cache.ttl), drop the old key.
+ *
+ * Sealed values look like v1.<key id>.<iv>.<auth tag>.<ciphertext>
+ */
+
+const algorithm = 'aes-256-gcm'
+const version = 'v1'
+const ivBytes = 12
+
+// Keys derived from config secrets, by secret
+const derivedKeys = new Map()
+
+function deriveKey(secret) {
+  if (!derivedKeys.has(secret)) {
+    const key = Buffer.from(
+      hkdfSync('sha256', secret, '', 'session-encryption', 32)
+    )
+    const id = createHash('sha256').update(key).digest('hex').slice(0, 8)
+    derivedKeys.set(secret, { id, key })
+  }
+
+  return derivedKeys.get(secret)
+}
+
+/**
+ * Encryption keys from config, current key first
+ * @returns {Array<{id: string, key: Buffer}>}
+ */
+export function sessionKeys() {
+  const { key, previousKeys } = config.get('session.encryption')
+  return [key, ...previousKeys].map(deriveKey)
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True if value was sealed by sealValue
+ */
+export function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(`${version}.`)
+}
+
+/**
+ * Encrypt a string with the current key
+ * @param {string} plaintext
+ * @param {string} context - What the value is, e.g. 'auth.accessToken'. The
+ * same context must be given to open it, so sealed values cannot be swapped
+ * @param {Array<{id: string, key: Buffer}>} [keys] - Defaults to sessionKeys()
+ * @returns {string} Sealed value
+ */
+export function sealValue(plaintext, context, keys = sessionKeys()) {
+  const { id, key } = keys[0]
+  const iv = randomBytes(ivBytes)
+  const cipher = createCipheriv(algorithm, key, iv).setAAD(Buffer.from(context))
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, 'utf8'),
+    cipher.final()
+  ])
+
+  return [version, id, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join('.')
+}
+
+/**
+ * Decrypt a value sealed by sealValue
+ * @param {string} sealed
+ * @param {string} context - As given to sealValue
+ * @param {Array<{id: string, key: Buffer}>} [keys] - Defaults to sessionKeys()
+ * @returns {{plaintext: string, stale: boolean}} stale is true if an earlier
+ * key was used, so the value should be sealed again with the current key
+ * @throws {Error} If the key is unknown or the value has been tampered with
+ */
+export function openValue(sealed, context, keys = sessionKeys()) {
+  const [, keyId, iv, tag, ciphertext] = sealed.split('.')
+  const index = keys.findIndex(({ id }) => id === keyId)
+
+  if (index === -1) {
+    throw new Error(`Session value sealed with unknown key ${keyId}`)
+  }
+
+  const decipher = createDecipheriv(
+    algorithm,
+    keys[index].key,
+    Buffer.from(iv, 'base64url')
+  )
+    .setAAD(Buffer.from(context))
+    .setAuthTag(Buffer.from(tag, 'base64url'))
+
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8')
+
+  return { plaintext, stale: index > 0 }
+}
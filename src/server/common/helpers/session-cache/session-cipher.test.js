@@ -0,0 +1,70 @@
+import { openValue, sealValue, sessionKeys } from './session-cipher.js'
+import { config } from '../../../../config/config.js'
+
+describe('#sessionCipher', () => {
+  const currentKey = config.get('session.encryption.key')
+
+  afterEach(() => {
+    config.set('session.encryption.key', currentKey)
+    config.set('session.encryption.previousKeys', [])
+  })
+
+  test('Should open what it sealed', () => {
+    const sealed = sealValue('access-token', 'auth.accessToken')
+
+    expect(sealed).toMatch(/^v1\.[0-9a-f]{8}\./)
+    expect(sealed).not.toContain('access-token')
+    expect(openValue(sealed, 'auth.accessToken')).toEqual({
+      plaintext: 'access-token',
+      stale: false
+    })
+  })
+
+  test('Should seal the same value differently each time', () => {
+    expect(sealValue('token', 'auth.accessToken')).not.toBe(
+      sealValue('token', 'auth.accessToken')
+    )
+  })
+
+  test('Should refuse a value sealed for another field', () => {
+    const sealed = sealValue('refresh-token', 'auth.refreshToken')
+
+    expect(() => openValue(sealed, 'auth.accessToken')).toThrow()
+  })
+
+  test('Should refuse a tampered value', () => {
+    const parts = sealValue('access-token', 'auth.accessToken').split('.')
+    parts[4] = Buffer.from('another-token').toString('base64url')
+
+    expect(() => openValue(parts.join('.'), 'auth.accessToken')).toThrow()
+  })
+
+  test('Should open values sealed with a previous key and mark them stale', () => {
+    const sealed = sealValue('access-token', 'auth.accessToken')
+
+    config.set('session.encryption.previousKeys', [currentKey])
+    config.set(
+      'session.encryption.key',
+      'a-new-key-that-is-at-least-32-characters'
+    )
+
+    expect(sessionKeys()).toHaveLength(2)
+    expect(openValue(sealed, 'auth.accessToken')).toEqual({
+      plaintext: 'access-token',
+      stale: true
+    })
+  })
+
+  test('Should refuse values sealed with a retired key', () => {
+    const sealed = sealValue('access-token', 'auth.accessToken')
+
+    config.set(
+      'session.encryption.key',
+      'a-new-key-that-is-at-least-32-characters'
+    )
+
+    expect(() => openValue(sealed, 'auth.accessToken')).toThrow(
+      'Session value sealed with unknown key'
+    )
+  })
+})
@@ -4,7 +4,72 @@
  *
  * Session data is stored server-side (Redis in production, memory in dev)
  * Only an encrypted session ID cookie is sent to the browser
+ *
+ * Secrets in session values (see encryptedFields) are also encrypted at rest,
+ * here, so callers always set and get them in plain text
+ */
+
+import {
+  isSealed,
+  openValue,
+  sealValue
+} from './session-cache/session-cipher.js'
+
+// Fields encrypted in the session cache, by session key
+const encryptedFields = {
+  auth: ['accessToken', 'refreshToken']
+}
+
+/**
+ * Copy of value with its secret fields passed through transform
+ * @param {string} key - Session key
+ * @param {*} value - Session value
+ * @param {Function} transform - Called with (field value, context)
+ * @returns {*} Value, copied if any field was transformed
+ */
+function mapEncryptedFields(key, value, transform) {
+  const fields = (encryptedFields[key] ?? []).filter(
+    (field) => typeof value?.[field] === 'string'
+  )
+
+  if (fields.length === 0) {
+    return value
+  }
+
+  return {
+    ...value,
+    ...Object.fromEntries(
+      fields.map((field) => [field, transform(value[field], `${key}.${field}`)])
+    )
+  }
+}
+
+function encryptFields(key, value) {
+  return mapEncryptedFields(key, value, (field, context) =>
+    isSealed(field) ? field : sealValue(field, context)
+  )
+}
+
+/**
+ * Decrypt a session value's secret fields
+ * @returns {{value: *, reseal: boolean}} reseal is true if a field was in
+ * plain text (stored before encryption) or sealed with an earlier key
  */
+function decryptFields(key, value) {
+  let reseal = false
+  const decrypted = mapEncryptedFields(key, value, (field, context) => {
+    if (!isSealed(field)) {
+      reseal = true
+      return field
+    }
+
+    const { plaintext, stale } = openValue(field, context)
+    reseal ||= stale
+    return plaintext
+  })
+
+  return { value: decrypted, reseal }
+}
 
 /**
  * Set a value in the session
@@ -14,21 +79,43 @@
  * @returns {*} The value that was set
  */
 export function setSessionValue(request, key, value) {
-  return request.yar.set(key, value)
+  request.yar.set(key, encryptFields(key, value))
+  return value
 }
 
 /**
  * Get a value from the session
+ * Values with secrets encrypted under an earlier key are saved again under the
+ * current one. A value that cannot be decrypted is cleared and treated as
+ * missing, e.g. after its key was retired
  * @param {object} request - Hapi request object
  * @param {string} key - Session key
  * @param {boolean} clear - If true, clear the key after reading
  * @returns {*} The stored value, or null if not found
  */
 export function getSessionValue(request, key, clear = false) {
-  if (request.yar) {
-    return request.yar.get(key, clear)
+  if (!request.yar) {
+    return null
+  }
+
+  const stored = request.yar.get(key, clear)
+
+  try {
+    const { value, reseal } = decryptFields(key, stored)
+
+    if (reseal && !clear) {
+      setSessionValue(request, key, value)
+    }
+
+    return value
+  } catch (error) {
+    request.logger?.warn(
+      { err: error, key },
+      'Session value could not be decrypted'
+    )
+    request.yar.clear(key)
+    return null
   }
-  return null
 }
 
 /**
@@ -66,3 +153,27 @@ export function resetSession(request) {
 export function getSessionId(request) {
   return request.yar.id
 }
+
+/**
+ * Give the session a new ID, dropping the old one from the cache
+ * Only the keys named, and the values given, are put in the new session
+ * @param {object} request - Hapi request object
+ * @param {string[]} keys - Session keys to carry over, where set
+ * @param {object} [values] - Values to set in the new session, by key
+ * @returns {{previousId: string, sessionId: string}} Old and new session IDs
+ */
+export function rotateSession(request, keys, values = {}) {
+  const previousId = request.yar.id
+  const carried = keys
+    .map((key) => [key, request.yar.get(key)])
+    .filter(([, value]) => value !== null && value !== undefined)
+    .concat(Object.entries(values))
+
+  request.yar.reset()
+
+  if (carried.length > 0) {
+    request.yar.set(Object.fromEntries(carried))
+  }
+
+  return { previousId, sessionId: request.yar.id }
+}
@@ -0,0 +1,95 @@
+import { vi } from 'vitest'
+
+import { getSessionValue, setSessionValue } from './session-helpers.js'
+import { sealValue } from './session-cache/session-cipher.js'
+import { config } from '../../../config/config.js'
+
+const auth = {
+  contactId: 'contact-1',
+  accessToken: 'access-token',
+  refreshToken: 'refresh-token'
+}
+
+function mockRequest(values = {}) {
+  const store = new Map(Object.entries(values))
+
+  return {
+    store,
+    logger: { warn: vi.fn() },
+    yar: {
+      get: (key) => store.get(key) ?? null,
+      set: (key, value) => store.set(key, value),
+      clear: (key) => store.delete(key)
+    }
+  }
+}
+
+describe('#sessionHelpers', () => {
+  const currentKey = config.get('session.encryption.key')
+
+  afterEach(() => {
+    config.set('session.encryption.key', currentKey)
+    config.set('session.encryption.previousKeys', [])
+  })
+
+  test('Should encrypt tokens in the session and return them decrypted', () => {
+    const request = mockRequest()
+
+    expect(setSessionValue(request, 'auth', auth)).toEqual(auth)
+
+    const stored = request.store.get('auth')
+    expect(stored.contactId).toBe('contact-1')
+    expect(stored.accessToken).toMatch(/^v1\./)
+    expect(stored.refreshToken).toMatch(/^v1\./)
+    expect(getSessionValue(request, 'auth')).toEqual(auth)
+  })
+
+  test('Should leave other session values as they are', () => {
+    const request = mockRequest()
+
+    setSessionValue(request, 'redirectPath', '/dashboard')
+
+    expect(request.store.get('redirectPath')).toBe('/dashboard')
+  })
+
+  test('Should encrypt tokens stored in plain text when they are read', () => {
+    const request = mockRequest({ auth })
+
+    expect(getSessionValue(request, 'auth')).toEqual(auth)
+    expect(request.store.get('auth').accessToken).toMatch(/^v1\./)
+  })
+
+  test('Should re-encrypt tokens sealed with a previous key', () => {
+    const request = mockRequest()
+    setSessionValue(request, 'auth', auth)
+    const sealedBefore = request.store.get('auth').accessToken
+
+    config.set('session.encryption.previousKeys', [currentKey])
+    config.set(
+      'session.encryption.key',
+      'a-new-key-that-is-at-least-32-characters'
+    )
+
+    expect(getSessionValue(request, 'auth')).toEqual(auth)
+
+    const sealedAfter = request.store.get('auth').accessToken
+    expect(sealedAfter).not.toBe(sealedBefore)
+    expect(sealedAfter.split('.')[1]).not.toBe(sealedBefore.split('.')[1])
+  })
+
+  test('Should drop a session value that cannot be decrypted', () => {
+    const request = mockRequest({
+      auth: {
+        ...auth,
+        accessToken: sealValue('access-token', 'auth.refreshToken')
+      }
+    })
+
+    expect(getSessionValue(request, 'auth')).toBeNull()
+    expect(request.store.has('auth')).toBe(false)
+    expect(request.logger.warn).toHaveBeenCalledWith(
+      expect.objectContaining({ key: 'auth' }),
+      'Session value could not be decrypted'
+    )
+  })
+})
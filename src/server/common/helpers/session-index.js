@@ -0,0 +1,250 @@
+/**
+ * Index of signed-in users' sessions
+ *
+ * Yar sessions are keyed by a random session ID, so on their own there is no
+ * way to find a user's sessions. This index maps each DEFRA ID contactId (the
+ * token subject) to the yar session IDs it is signed in with, and each DEFRA
+ * ID session (sid) to its user. It is kept in Redis with the session cache, or
+ * in memory with the memory cache (see session-index/).
+ * It lets sign out at DEFRA ID end every session the user has in this service,
+ * and admins see and end sessions.
+ *
+ * A signed-in session must be in the index: the session strategy rejects one
+ * that is not (see src/plugins/auth.js), so ending a session here ends it even
+ * if a request in flight writes the yar session back. Each session is its own
+ * entry, changed atomically, so concurrent requests for a user's sessions
+ * cannot undo each other's changes and sign the user out.
+ *
+ * A yar session ID is a bearer secret, so sessions are listed without it.
+ * Each has an opaque handle instead, an HMAC of its ID, which is resolved back
+ * to the session here, e.g. to end it from a link on the admin page.
+ *
+ * Stores (session-index/redis-store.js, memory-store.js) provide:
+ * - put, get, update (only if still indexed), rename, remove and list of a
+ *   user's sessions
+ * - listMany: list of several users' sessions at once
+ * - users: contactIds with sessions
+ * - setSid, getSid, dropSid: user signed in through a DEFRA ID session
+ */
+
+import { createHmac } from 'node:crypto'
+
+// Last seen is recorded at most this often, to save a write per request
+const seenIntervalMs = 60 * 1000
+
+/**
+ * Sort order for listed sessions: most recently seen first
+ * @param {object} a - Session from list()
+ * @param {object} b - Session from list()
+ * @returns {number}
+ */
+export const byLastSeen = (a, b) =>
+  (b.lastSeenAt ?? '').localeCompare(a.lastSeenAt ?? '')
+
+/**
+ * Create a session index on top of a store
+ * @param {object} store - From createRedisIndexStore or createMemoryIndexStore
+ * @param {Function} revoke - Drops a yar session by ID (server.yar.revoke)
+ * @param {string} handleKey - Secret for session handles, the same on every instance
+ * @returns {object} Session index
+ */
+export function createSessionIndex(store, revoke, handleKey) {
+  const handleOf = (sessionId) =>
+    createHmac('sha256', handleKey).update(sessionId).digest('base64url')
+
+  const withHandles = (sessions) =>
+    sessions.map(({ sessionId, ...details }) => ({
+      ...details,
+      handle: handleOf(sessionId)
+    }))
+
+  async function end(contactId, sessionIds) {
+    for (const sessionId of sessionIds) {
+      await revoke(sessionId)
+    }
+
+    await store.remove(contactId, sessionIds)
+    return sessionIds.length
+  }
+
+  return {
+    /**
+     * Record a session the user has signed in with
+     * @param {string} contactId - DEFRA ID contact ID
+     * @param {string} sessionId - Yar session ID
+     * @param {object} [details]
+     * @param {string} [details.sid] - DEFRA ID session the sign in belongs to
+     * @param {string} [details.email] - User's email address, to find them by
+     * @param {string} [details.browser] - Browser signed in with, e.g. 'Chrome 120'
+     * @param {string} [details.device] - Device or operating system, e.g. 'iPhone'
+     * @param {string} [details.organisation] - Organisation being acted for
+     * @returns {Promise<void>}
+     */
+    async add(
+      contactId,
+      sessionId,
+      { sid, email, browser, device, organisation } = {}
+    ) {
+      const now = new Date().toISOString()
+
+      await store.put(contactId, sessionId, {
+        sid,
+        email,
+        browser,
+        device,
+        organisation,
+        signedInAt: now,
+        lastSeenAt: now
+      })
+
+      if (sid) {
+        await store.setSid(sid, contactId)
+      }
+    },
+
+    /**
+     * Record that a session has been used, and check it has not been ended
+     * @param {string} contactId - DEFRA ID contact ID
+     * @param {string} sessionId - Yar session ID
+     * @param {object} [details] - { organisation } being acted for now
+     * @returns {Promise<boolean>} False if the session is not in the index
+     */
+    async seen(contactId, sessionId, { organisation } = {}) {
+      const session = await store.get(contactId, sessionId)
+
+      if (!session) {
+        return false
+      }
+
+      const now = Date.now()
+      const lastSeen = Date.parse(session.lastSeenAt ?? session.signedInAt)
+
+      if (
+        now - lastSeen < seenIntervalMs &&
+        session.organisation === organisation
+      ) {
+        return true
+      }
+
+      // False if the session was ended since it was read
+      return store.update(contactId, sessionId, {
+        ...session,
+        organisation,
+        lastSeenAt: new Date(now).toISOString()
+      })
+    },
+
+    /**
+     * Handle a session is listed with
+     * @param {string} sessionId - Yar session ID
+     * @returns {string} Handle
+     */
+    handleOf,
+
+    /**
+     * @param {string} contactId - DEFRA ID contact ID
+     * @returns {Promise<Array<object>>} The user's sessions, each with a handle
+     */
+    async list(contactId) {
+      return withHandles(await store.list(contactId))
+    },
+
+    /**
+     * Every signed-in user's sessions, read together
+     * @returns {Promise<Array<{contactId: string, sessions: Array<object>}>>}
+     *   Users with sessions, each session with a handle
+     */
+    async listAll() {
+      const contactIds = await store.users()
+      const sessionLists = await store.listMany(contactIds)
+
+      return contactIds
+        .map((contactId, i) => ({
+          contactId,
+          sessions: withHandles(sessionLists[i])
+        }))
+        .filter(({ sessions }) => sessions.length > 0)
+    },
+
+    /**
+     * @returns {Promise<string[]>} Contact IDs of users with sessions
+     */
+    async users() {
+      return store.users()
+    },
+
+    /**
+     * Forget a session that has ended, e.g. on sign out
+     * @param {string} contactId - DEFRA ID contact ID
+     * @param {string} sessionId - Yar session ID
+     * @returns {Promise<void>}
+     */
+    async remove(contactId, sessionId) {
+      await store.remove(contactId, [sessionId])
+    },
+
+    /**
+     * Follow a session to its new ID after rotation, keeping its details
+     * @param {string} contactId - DEFRA ID contact ID
+     * @param {string} previousId - Yar session ID before rotation
+     * @param {string} sessionId - Yar session ID after rotation
+     * @returns {Promise<void>}
+     */
+    async move(contactId, previousId, sessionId) {
+      await store.rename(contactId, previousId, sessionId)
+    },
+
+    /**
+     * End one of a user's sessions
+     * @param {string} contactId - DEFRA ID contact ID
+     * @param {string} handle - Handle the session was listed with
+     * @returns {Promise<number>} Number of sessions ended, 0 if not found
+     */
+    async endSession(contactId, handle) {
+      const session = (await store.list(contactId)).find(
+        ({ sessionId }) => handleOf(sessionId) === handle
+      )
+
+      if (!session) {
+        return 0
+      }
+
+      return end(contactId, [session.sessionId])
+    },
+
+    /**
+     * End all of a user's sessions, or all but one
+     * @param {string} contactId - DEFRA ID contact ID
+     * @param {object} [options]
+     * @param {string} [options.except] - Yar session ID to leave signed in
+     * @returns {Promise<number>} Number of sessions ended
+     */
+    async endForUser(contactId, { except } = {}) {
+      const sessionIds = (await store.list(contactId))
+        .map(({ sessionId }) => sessionId)
+        .filter((sessionId) => sessionId !== except)
+
+      return end(contactId, sessionIds)
+    },
+
+    /**
+     * End the sessions signed in through one DEFRA ID session
+     * @param {string} sid - DEFRA ID session ID
+     * @returns {Promise<number>} Number of sessions ended
+     */
+    async endForSid(sid) {
+      const contactId = await store.getSid(sid)
+
+      if (!contactId) {
+        return 0
+      }
+
+      const sessionIds = (await store.list(contactId))
+        .filter((session) => session.sid === sid)
+        .map(({ sessionId }) => sessionId)
+
+      await store.dropSid(sid)
+      return end(contactId, sessionIds)
+    }
+  }
+}
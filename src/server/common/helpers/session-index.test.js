@@ -0,0 +1,253 @@
+import { vi } from 'vitest'
+
+import { byLastSeen, createSessionIndex } from './session-index.js'
+import { createMemoryIndexStore } from './session-index/memory-store.js'
+
+const ttl = 4 * 60 * 60 * 1000
+
+describe('#createSessionIndex', () => {
+  let store
+  let revoke
+  let sessionIndex
+
+  const handles = (...sessionIds) => sessionIds.map(sessionIndex.handleOf)
+  const listedHandles = async (contactId) =>
+    (await sessionIndex.list(contactId)).map(({ handle }) => handle)
+
+  beforeEach(async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2025-01-15T10:30:00.000Z'))
+    store = createMemoryIndexStore(ttl)
+    revoke = vi.fn()
+    sessionIndex = createSessionIndex(store, revoke, 'handle-key')
+
+    await sessionIndex.add('contact-1', 'session-a', {
+      sid: 'sid-1',
+      email: 'user@example.com',
+      browser: 'Firefox 128',
+      device: 'Windows',
+      organisation: 'Farm Ltd'
+    })
+    await sessionIndex.add('contact-1', 'session-b', { sid: 'sid-1' })
+    await sessionIndex.add('contact-1', 'session-c', { sid: 'sid-2' })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('Should list the sessions a user is signed in with', async () => {
+    expect(await sessionIndex.list('contact-1')).toEqual([
+      {
+        handle: sessionIndex.handleOf('session-a'),
+        sid: 'sid-1',
+        email: 'user@example.com',
+        browser: 'Firefox 128',
+        device: 'Windows',
+        organisation: 'Farm Ltd',
+        signedInAt: '2025-01-15T10:30:00.000Z',
+        lastSeenAt: '2025-01-15T10:30:00.000Z'
+      },
+      expect.objectContaining({ handle: sessionIndex.handleOf('session-b') }),
+      expect.objectContaining({ handle: sessionIndex.handleOf('session-c') })
+    ])
+    expect(await sessionIndex.list('contact-2')).toEqual([])
+    expect(await sessionIndex.users()).toEqual(['contact-1'])
+  })
+
+  test('Should record when a session was last seen, at most once a minute', async () => {
+    vi.setSystemTime(new Date('2025-01-15T10:30:30.000Z'))
+    expect(
+      await sessionIndex.seen('contact-1', 'session-a', {
+        organisation: 'Farm Ltd'
+      })
+    ).toBe(true)
+    expect((await sessionIndex.list('contact-1'))[0].lastSeenAt).toBe(
+      '2025-01-15T10:30:00.000Z'
+    )
+
+    vi.setSystemTime(new Date('2025-01-15T10:31:00.000Z'))
+    await sessionIndex.seen('contact-1', 'session-a', {
+      organisation: 'Farm Ltd'
+    })
+
+    expect((await sessionIndex.list('contact-1'))[0].lastSeenAt).toBe(
+      '2025-01-15T10:31:00.000Z'
+    )
+  })
+
+  test('Should record a change of organisation straight away', async () => {
+    await sessionIndex.seen('contact-1', 'session-a', {
+      organisation: 'Estate Ltd'
+    })
+
+    expect((await sessionIndex.list('contact-1'))[0].organisation).toBe(
+      'Estate Ltd'
+    )
+  })
+
+  test('Should not see a session that is not in the index', async () => {
+    expect(await sessionIndex.seen('contact-1', 'session-z')).toBe(false)
+    expect(await sessionIndex.seen('contact-2', 'session-a')).toBe(false)
+  })
+
+  test('Should list sessions by handle, not session ID', async () => {
+    const [handle] = handles('session-a')
+
+    expect(handle).not.toContain('session-a')
+    expect(handles('session-b')).not.toEqual([handle])
+    expect(
+      createSessionIndex(store, revoke, 'other-key').handleOf('session-a')
+    ).not.toBe(handle)
+    expect(JSON.stringify(await sessionIndex.listAll())).not.toContain(
+      'session-a'
+    )
+  })
+
+  test('Should list every user sessions together', async () => {
+    await sessionIndex.add('contact-2', 'session-d')
+    vi.spyOn(store, 'list')
+
+    expect(await sessionIndex.listAll()).toEqual([
+      {
+        contactId: 'contact-1',
+        sessions: handles('session-a', 'session-b', 'session-c').map((handle) =>
+          expect.objectContaining({ handle })
+        )
+      },
+      {
+        contactId: 'contact-2',
+        sessions: [expect.objectContaining({ handle: handles('session-d')[0] })]
+      }
+    ])
+    expect(store.list).not.toHaveBeenCalled()
+  })
+
+  test('Should end one session by its handle', async () => {
+    const [handle] = handles('session-b')
+
+    expect(await sessionIndex.endSession('contact-1', handle)).toBe(1)
+    expect(await sessionIndex.endSession('contact-1', handle)).toBe(0)
+    expect(await sessionIndex.endSession('contact-1', 'session-c')).toBe(0)
+
+    expect(revoke).toHaveBeenCalledExactlyOnceWith('session-b')
+    expect(await sessionIndex.seen('contact-1', 'session-b')).toBe(false)
+  })
+
+  test('Should forget a session that has ended', async () => {
+    await sessionIndex.remove('contact-1', 'session-b')
+
+    expect(await listedHandles('contact-1')).toEqual(
+      handles('session-a', 'session-c')
+    )
+    expect(revoke).not.toHaveBeenCalled()
+  })
+
+  test('Should follow a session to its new ID', async () => {
+    vi.setSystemTime(new Date('2025-01-15T11:00:00.000Z'))
+
+    await sessionIndex.move('contact-1', 'session-a', 'session-d')
+
+    const sessions = await sessionIndex.list('contact-1')
+    expect(sessions.map(({ handle }) => handle)).toEqual(
+      handles('session-b', 'session-c', 'session-d')
+    )
+    expect(sessions[2]).toEqual(
+      expect.objectContaining({
+        handle: sessionIndex.handleOf('session-d'),
+        sid: 'sid-1',
+        signedInAt: '2025-01-15T10:30:00.000Z'
+      })
+    )
+    expect(revoke).not.toHaveBeenCalled()
+  })
+
+  test('Should end only the sessions for a DEFRA ID session', async () => {
+    const ended = await sessionIndex.endForSid('sid-1')
+
+    expect(ended).toBe(2)
+    expect(revoke).toHaveBeenCalledWith('session-a')
+    expect(revoke).toHaveBeenCalledWith('session-b')
+    expect(await listedHandles('contact-1')).toEqual(handles('session-c'))
+    expect(await store.getSid('sid-1')).toBeNull()
+  })
+
+  test('Should end nothing for an unknown DEFRA ID session', async () => {
+    expect(await sessionIndex.endForSid('sid-unknown')).toBe(0)
+    expect(revoke).not.toHaveBeenCalled()
+  })
+
+  test('Should end all of a user sessions', async () => {
+    const ended = await sessionIndex.endForUser('contact-1')
+
+    expect(ended).toBe(3)
+    expect(revoke).toHaveBeenCalledTimes(3)
+    expect(await sessionIndex.list('contact-1')).toEqual([])
+    expect(await sessionIndex.users()).toEqual([])
+  })
+
+  test('Should not write back a session ended while it was being seen', async () => {
+    vi.setSystemTime(new Date('2025-01-15T10:32:00.000Z'))
+    const get = store.get
+    // Ended by another request between reading and recording last seen
+    store.get = async (...args) => {
+      store.get = get
+      const session = await get(...args)
+      await sessionIndex.endSession('contact-1', handles('session-a')[0])
+      return session
+    }
+
+    expect(await sessionIndex.seen('contact-1', 'session-a')).toBe(false)
+    expect(await sessionIndex.seen('contact-1', 'session-a')).toBe(false)
+  })
+
+  test('Should keep changes to other sessions made at the same time', async () => {
+    vi.setSystemTime(new Date('2025-01-15T10:32:00.000Z'))
+
+    await Promise.all([
+      sessionIndex.seen('contact-1', 'session-a'),
+      sessionIndex.seen('contact-1', 'session-b'),
+      sessionIndex.add('contact-1', 'session-d')
+    ])
+
+    const sessions = await sessionIndex.list('contact-1')
+    expect(sessions.map(({ handle }) => handle)).toEqual(
+      handles('session-a', 'session-b', 'session-c', 'session-d')
+    )
+    expect(sessions[1].lastSeenAt).toBe('2025-01-15T10:32:00.000Z')
+  })
+
+  test('Should forget sessions once they expire', async () => {
+    vi.setSystemTime(Date.now() + ttl)
+
+    expect(await sessionIndex.list('contact-1')).toEqual([])
+    expect(await sessionIndex.users()).toEqual([])
+    expect(await sessionIndex.endForSid('sid-1')).toBe(0)
+  })
+
+  test('Should end all of a user sessions except one', async () => {
+    const ended = await sessionIndex.endForUser('contact-1', {
+      except: 'session-b'
+    })
+
+    expect(ended).toBe(2)
+    expect(revoke).not.toHaveBeenCalledWith('session-b')
+    expect(await listedHandles('contact-1')).toEqual(handles('session-b'))
+  })
+})
+
+describe('#byLastSeen', () => {
+  test('Should put the most recently seen session first', () => {
+    const sessions = [
+      { handle: 'a', lastSeenAt: '2025-01-15T10:30:00.000Z' },
+      { handle: 'b' },
+      { handle: 'c', lastSeenAt: '2025-01-15T11:00:00.000Z' }
+    ]
+
+    expect(sessions.sort(byLastSeen).map(({ handle }) => handle)).toEqual([
+      'c',
+      'a',
+      'b'
+    ])
+  })
+})
@@ -0,0 +1,110 @@
+/**
+ * Session index storage in memory, for the memory session cache (local
+ * development, one instance). Each change is made synchronously, so it is
+ * atomic like its Redis counterpart (see redis-store.js).
+ */
+
+/**
+ * @param {number} ttl - How long index entries live unused, in ms
+ * @returns {object} Session index store, see createSessionIndex
+ */
+export function createMemoryIndexStore(ttl) {
+  // contactId -> Map of sessionId -> { details, expiresAt }
+  const users = new Map()
+  // sid -> { contactId, expiresAt }
+  const sids = new Map()
+
+  const live = (entry) => entry && entry.expiresAt > Date.now()
+
+  function sessionsOf(contactId) {
+    const sessions = users.get(contactId) ?? new Map()
+
+    for (const [sessionId, entry] of sessions) {
+      if (!live(entry)) {
+        sessions.delete(sessionId)
+      }
+    }
+
+    if (sessions.size === 0) {
+      users.delete(contactId)
+    }
+
+    return sessions
+  }
+
+  function write(contactId, sessionId, details) {
+    const sessions = sessionsOf(contactId)
+    sessions.set(sessionId, { details, expiresAt: Date.now() + ttl })
+    users.set(contactId, sessions)
+  }
+
+  function list(contactId) {
+    return [...sessionsOf(contactId)].map(([sessionId, { details }]) => ({
+      ...details,
+      sessionId
+    }))
+  }
+
+  return {
+    async put(contactId, sessionId, details) {
+      write(contactId, sessionId, details)
+    },
+
+    async get(contactId, sessionId) {
+      return sessionsOf(contactId).get(sessionId)?.details ?? null
+    },
+
+    async update(contactId, sessionId, details) {
+      if (!sessionsOf(contactId).has(sessionId)) {
+        return false
+      }
+
+      write(contactId, sessionId, details)
+      return true
+    },
+
+    async rename(contactId, previousId, sessionId) {
+      const sessions = sessionsOf(contactId)
+      const entry = sessions.get(previousId)
+
+      if (entry) {
+        sessions.delete(previousId)
+        sessions.set(sessionId, entry)
+      }
+    },
+
+    async remove(contactId, sessionIds) {
+      const sessions = sessionsOf(contactId)
+      sessionIds.forEach((sessionId) => sessions.delete(sessionId))
+      // Drops the user once they have no sessions left
+      sessionsOf(contactId)
+    },
+
+    async list(contactId) {
+      return list(contactId)
+    },
+
+    async listMany(contactIds) {
+      return contactIds.map(list)
+    },
+
+    async users() {
+      return [...users.keys()].filter(
+        (contactId) => sessionsOf(contactId).size > 0
+      )
+    },
+
+    async setSid(sid, contactId) {
+      sids.set(sid, { contactId, expiresAt: Date.now() + ttl })
+    },
+
+    async getSid(sid) {
+      const entry = sids.get(sid)
+      return live(entry) ? entry.contactId : null
+    },
+
+    async dropSid(sid) {
+      sids.delete(sid)
+    }
+  }
+}
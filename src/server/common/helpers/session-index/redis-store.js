@@ -0,0 +1,163 @@
+/**
+ * Session index storage in Redis
+ *
+ * Every change is a single atomic Redis command (or a MULTI on one user's
+ * keys), never a read-modify-write of a shared value, so concurrent requests
+ * cannot overwrite each other's changes:
+ *
+ * - session-index:{contactId}:session:<sessionId> - one session's details
+ * - session-index:{contactId}:sessions - set of the user's session IDs
+ * - session-index:sid:<sid> - contactId signed in through a DEFRA ID session
+ * - session-index:users - sorted set of contactIds by when last active
+ *
+ * The {contactId} hash tag keeps a user's keys in one cluster slot, so they
+ * can be changed together. Keys expire after the session cache TTL, renewed
+ * as sessions are used. The client's keyPrefix (redis.keyPrefix) applies.
+ */
+
+const prefix = 'session-index'
+const usersKey = `${prefix}:users`
+const sidKey = (sid) => `${prefix}:sid:${sid}`
+const sessionsKey = (contactId) => `${prefix}:{${contactId}}:sessions`
+const sessionKey = (contactId, sessionId) =>
+  `${prefix}:{${contactId}}:session:${sessionId}`
+
+/**
+ * Read the details of a user's sessions. Members whose details have expired
+ * are skipped
+ * @param {object} redis - ioredis client or cluster
+ * @param {string} contactId - DEFRA ID contact ID
+ * @param {string[]} sessionIds - Members of the user's sessions set
+ * @returns {Promise<Array<object>>} Sessions
+ */
+async function readSessions(redis, contactId, sessionIds) {
+  if (sessionIds.length === 0) {
+    return []
+  }
+
+  const details = await redis.mget(
+    ...sessionIds.map((sessionId) => sessionKey(contactId, sessionId))
+  )
+
+  return sessionIds.flatMap((sessionId, i) =>
+    details[i] ? [{ ...JSON.parse(details[i]), sessionId }] : []
+  )
+}
+
+/**
+ * @param {object} redis - ioredis client or cluster
+ * @param {number} ttl - How long index entries live unused, in ms
+ * @returns {object} Session index store, see createSessionIndex
+ */
+export function createRedisIndexStore(redis, ttl) {
+  return {
+    async put(contactId, sessionId, details) {
+      await redis
+        .multi()
+        .set(
+          sessionKey(contactId, sessionId),
+          JSON.stringify(details),
+          'PX',
+          ttl
+        )
+        .sadd(sessionsKey(contactId), sessionId)
+        .pexpire(sessionsKey(contactId), ttl)
+        .exec()
+      await redis.zadd(usersKey, Date.now(), contactId)
+    },
+
+    async get(contactId, sessionId) {
+      const details = await redis.get(sessionKey(contactId, sessionId))
+      return details ? JSON.parse(details) : null
+    },
+
+    async update(contactId, sessionId, details) {
+      // XX: a session ended meanwhile is not written back
+      const updated = await redis.set(
+        sessionKey(contactId, sessionId),
+        JSON.stringify(details),
+        'PX',
+        ttl,
+        'XX'
+      )
+
+      if (updated !== 'OK') {
+        return false
+      }
+
+      await redis.pexpire(sessionsKey(contactId), ttl)
+      await redis.zadd(usersKey, Date.now(), contactId)
+      return true
+    },
+
+    async rename(contactId, previousId, sessionId) {
+      if (!(await redis.exists(sessionKey(contactId, previousId)))) {
+        return
+      }
+
+      await redis
+        .multi()
+        .rename(
+          sessionKey(contactId, previousId),
+          sessionKey(contactId, sessionId)
+        )
+        .srem(sessionsKey(contactId), previousId)
+        .sadd(sessionsKey(contactId), sessionId)
+        .exec()
+    },
+
+    async remove(contactId, sessionIds) {
+      if (sessionIds.length === 0) {
+        return
+      }
+
+      await redis
+        .multi()
+        .del(...sessionIds.map((sessionId) => sessionKey(contactId, sessionId)))
+        .srem(sessionsKey(contactId), ...sessionIds)
+        .exec()
+
+      // A sign in racing this may drop off the users list until next seen
+      if ((await redis.scard(sessionsKey(contactId))) === 0) {
+        await redis.zrem(usersKey, contactId)
+      }
+    },
+
+    async list(contactId) {
+      const sessionIds = await redis.smembers(sessionsKey(contactId))
+      return readSessions(redis, contactId, sessionIds)
+    },
+
+    async listMany(contactIds) {
+      // Each step's commands are sent together rather than one user at a
+      // time, so this takes two round trips however many users there are.
+      // Each command reads one user's slot, as a cluster requires
+      const memberLists = await Promise.all(
+        contactIds.map((contactId) => redis.smembers(sessionsKey(contactId)))
+      )
+
+      return Promise.all(
+        contactIds.map((contactId, i) =>
+          readSessions(redis, contactId, memberLists[i])
+        )
+      )
+    },
+
+    async users() {
+      await redis.zremrangebyscore(usersKey, '-inf', Date.now() - ttl)
+      return redis.zrange(usersKey, 0, -1)
+    },
+
+    async setSid(sid, contactId) {
+      await redis.set(sidKey(sid), contactId, 'PX', ttl)
+    },
+
+    async getSid(sid) {
+      return redis.get(sidKey(sid))
+    },
+
+    async dropSid(sid) {
+      await redis.del(sidKey(sid))
+    }
+  }
+}
@@ -0,0 +1,181 @@
+import { vi } from 'vitest'
+
+import { createRedisIndexStore } from './redis-store.js'
+
+/**
+ * In-memory stand-in for the ioredis commands the store uses (no expiry)
+ */
+function fakeRedis() {
+  const strings = new Map()
+  const sets = new Map()
+  const sortedSets = new Map()
+  const setOf = (key) => sets.get(key) ?? sets.set(key, new Set()).get(key)
+  const sortedSetOf = (key) =>
+    sortedSets.get(key) ?? sortedSets.set(key, new Map()).get(key)
+
+  const commands = {
+    get: async (key) => strings.get(key) ?? null,
+    mget: async (...keys) => keys.map((key) => strings.get(key) ?? null),
+    exists: async (key) => Number(strings.has(key)),
+    set: async (key, value, ...options) => {
+      if (options.includes('XX') && !strings.has(key)) {
+        return null
+      }
+      strings.set(key, value)
+      return 'OK'
+    },
+    del: async (...keys) => keys.filter((key) => strings.delete(key)).length,
+    rename: async (key, newKey) => {
+      strings.set(newKey, strings.get(key))
+      strings.delete(key)
+      return 'OK'
+    },
+    sadd: async (key, ...members) => members.forEach((m) => setOf(key).add(m)),
+    srem: async (key, ...members) =>
+      members.forEach((m) => setOf(key).delete(m)),
+    smembers: async (key) => [...setOf(key)],
+    scard: async (key) => setOf(key).size,
+    pexpire: async () => 1,
+    zadd: async (key, score, member) => sortedSetOf(key).set(member, score),
+    zrem: async (key, member) => sortedSetOf(key).delete(member),
+    zrange: async (key) => [...sortedSetOf(key).keys()],
+    zremrangebyscore: async (key, _min, max) => {
+      for (const [member, score] of sortedSetOf(key)) {
+        if (score <= max) {
+          sortedSetOf(key).delete(member)
+        }
+      }
+    }
+  }
+
+  const redis = Object.fromEntries(
+    Object.entries(commands).map(([name, command]) => [name, vi.fn(command)])
+  )
+
+  redis.multi = () => {
+    const queued = []
+    const transaction = new Proxy(
+      {
+        exec: async () => {
+          const results = []
+          for (const [name, args] of queued) {
+            results.push([null, await redis[name](...args)])
+          }
+          return results
+        }
+      },
+      {
+        get: (target, name) =>
+          target[name] ??
+          ((...args) => {
+            queued.push([name, args])
+            return transaction
+          })
+      }
+    )
+    return transaction
+  }
+
+  return redis
+}
+
+describe('#createRedisIndexStore', () => {
+  const ttl = 60000
+  const details = { sid: 'sid-1', lastSeenAt: '2025-01-15T10:30:00.000Z' }
+  let redis
+  let store
+
+  beforeEach(async () => {
+    redis = fakeRedis()
+    store = createRedisIndexStore(redis, ttl)
+
+    await store.put('contact-1', 'session-a', details)
+  })
+
+  test('Should keep each session in its own key, in the user slot', async () => {
+    expect(redis.set).toHaveBeenCalledWith(
+      'session-index:{contact-1}:session:session-a',
+      JSON.stringify(details),
+      'PX',
+      ttl
+    )
+    expect(redis.sadd).toHaveBeenCalledWith(
+      'session-index:{contact-1}:sessions',
+      'session-a'
+    )
+    expect(await store.list('contact-1')).toEqual([
+      { ...details, sessionId: 'session-a' }
+    ])
+    expect(await store.users()).toEqual(['contact-1'])
+  })
+
+  test('Should only update a session that is still indexed', async () => {
+    expect(await store.update('contact-1', 'session-a', details)).toBe(true)
+    expect(redis.set).toHaveBeenLastCalledWith(
+      'session-index:{contact-1}:session:session-a',
+      JSON.stringify(details),
+      'PX',
+      ttl,
+      'XX'
+    )
+
+    await store.remove('contact-1', ['session-a'])
+
+    expect(await store.update('contact-1', 'session-a', details)).toBe(false)
+    expect(await store.get('contact-1', 'session-a')).toBeNull()
+    expect(await store.users()).toEqual([])
+  })
+
+  test('Should move a session to its new ID', async () => {
+    await store.rename('contact-1', 'session-a', 'session-b')
+    await store.rename('contact-1', 'session-z', 'session-y')
+
+    expect(await store.list('contact-1')).toEqual([
+      { ...details, sessionId: 'session-b' }
+    ])
+  })
+
+  test('Should list several users sessions together', async () => {
+    await store.put('contact-2', 'session-b', details)
+    redis.smembers.mockClear()
+    redis.mget.mockClear()
+
+    expect(
+      await store.listMany(['contact-1', 'contact-2', 'contact-3'])
+    ).toEqual([
+      [{ ...details, sessionId: 'session-a' }],
+      [{ ...details, sessionId: 'session-b' }],
+      []
+    ])
+    expect(redis.smembers).toHaveBeenCalledTimes(3)
+    // One read of details per user with sessions, in that user's slot
+    expect(redis.mget).toHaveBeenCalledTimes(2)
+    expect(redis.mget).toHaveBeenCalledWith(
+      'session-index:{contact-2}:session:session-b'
+    )
+  })
+
+  test('Should skip sessions whose details have expired', async () => {
+    await redis.del('session-index:{contact-1}:session:session-a')
+
+    expect(await store.list('contact-1')).toEqual([])
+  })
+
+  test('Should drop users not active within the TTL', async () => {
+    await store.users()
+
+    expect(redis.zremrangebyscore).toHaveBeenCalledWith(
+      'session-index:users',
+      '-inf',
+      expect.any(Number)
+    )
+  })
+
+  test('Should map a DEFRA ID session to its user', async () => {
+    await store.setSid('sid-1', 'contact-1')
+    expect(await store.getSid('sid-1')).toBe('contact-1')
+
+    await store.dropSid('sid-1')
+    expect(await store.getSid('sid-1')).toBeNull()
+  })
+})
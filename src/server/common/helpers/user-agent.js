@@ -0,0 +1,20 @@
+/**
+ * Browser and device named in a user agent, as parsed by Scooter
+ * (request.plugins.scooter), for showing users where they are signed in
+ *
+ * Desktop browsers do not name their device, so the operating system is used
+ * instead. Anything the parser does not recognise is left out.
+ *
+ * @param {object} [agent] - Scooter user agent
+ * @returns {{browser: string|null, device: string|null}} e.g. { browser: 'Chrome 120', device: 'Mac OS X' }
+ */
+export function describeUserAgent(agent) {
+  const known = (family) => (family && family !== 'Other' ? family : null)
+  const browser = known(agent?.family)
+  const device = known(agent?.device?.family) ?? known(agent?.os?.family)
+
+  return {
+    browser: browser && [browser, agent.major].filter(Boolean).join(' '),
+    device
+  }
+}
@@ -0,0 +1,35 @@
+import { describeUserAgent } from './user-agent.js'
+
+// Shape of the user agents Scooter puts in request.plugins.scooter
+function agent(family, major, os, device = 'Other') {
+  return { family, major, os: { family: os }, device: { family: device } }
+}
+
+describe('#describeUserAgent', () => {
+  test('Should name a desktop browser and its operating system', () => {
+    expect(describeUserAgent(agent('Chrome', '120', 'Mac OS X'))).toEqual({
+      browser: 'Chrome 120',
+      device: 'Mac OS X'
+    })
+  })
+
+  test('Should name a mobile device', () => {
+    expect(
+      describeUserAgent(agent('Mobile Safari', '17', 'iOS', 'iPhone'))
+    ).toEqual({
+      browser: 'Mobile Safari 17',
+      device: 'iPhone'
+    })
+  })
+
+  test('Should leave out what it does not recognise', () => {
+    expect(describeUserAgent(agent('Other', '0', 'Other'))).toEqual({
+      browser: null,
+      device: null
+    })
+    expect(describeUserAgent(undefined)).toEqual({
+      browser: null,
+      device: null
+    })
+  })
+})
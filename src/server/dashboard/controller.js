@@ -12,15 +12,19 @@ import { format } from 'date-fns'
 import { getSessionValue } from '../common/helpers/session-helpers.js'
 import { getOidcEndpoints } from '../../auth/oidc-well-known-discovery.js'
 
+const savedAtFormat = "d MMMM yyyy 'at' h:mm a"
+
 /**
  * Factory function to create dashboard controller with injected dependencies
  * @param {Function} getSessionValue - Async function to retrieve session data (defaults to fake implementation)
  * @param {Function} getEndpoints - Async function to retrieve OIDC endpoints (defaults to fake implementation)
+ * @param {Function} listDrafts - Async function to retrieve the user's saved drafts (defaults to fake implementation)
  * @returns {Object} Controller with async handler method
  */
 export const createDashboardController = function (
   getSessionValue = getFakeSessionValue, // fake implementation for development/testing
-  getEndpoints = getFakeOidcEndpoints
+  getEndpoints = getFakeOidcEndpoints,
+  listDrafts = getFakeDrafts
 ) {
   return {
     /**
@@ -55,6 +59,11 @@ export const createDashboardController = function (
         }
       }
 
+      // Saved "come back later" journeys, newest first
+      const drafts = authData?.contactId
+        ? await listDrafts(request, authData.contactId)
+        : []
+
       return h.view('dashboard/index', {
         pageTitle: 'Dashboard',
         heading: 'Trade Imports Dashboard',
@@ -69,6 +78,11 @@ export const createDashboardController = function (
           expiresAt: formattedExpiresAt
         },
         showImportsLink: true,
+        drafts: drafts.map((draft) => ({
+          title: draft.title,
+          resumePath: draft.resumePath,
+          savedAt: format(new Date(draft.savedAt), savedAtFormat)
+        })),
         oidcEndpoints,
         oidcError
       })
@@ -104,8 +118,37 @@ export async function getFakeOidcEndpoints() {
   }
 }
 
-// Production export uses real session from Redis
+/**
+ * Fake drafts function for development/testing
+ * @param {Object} request - Hapi request object
+ * @param {string} contactId - Contact ID the drafts are saved under
+ * @returns {Promise<Array<Object>>} Fake saved drafts
+ */
+export async function getFakeDrafts(request, contactId) {
+  return [
+    {
+      id: 'draft-1',
+      journey: 'create-example',
+      title: 'Hard coded draft',
+      resumePath: '/example/create/resume/draft-1',
+      savedAt: '2025-01-15T10:30:00.000Z'
+    }
+  ]
+}
+
+/**
+ * Saved drafts from the server cache (see src/plugins/drafts.js)
+ * @param {Object} request - Hapi request object
+ * @param {string} contactId - Contact ID the drafts are saved under
+ * @returns {Promise<Array<Object>>} Saved drafts, newest first
+ */
+function listSavedDrafts(request, contactId) {
+  return request.drafts.list(contactId)
+}
+
+// Production export uses real session and drafts from Redis
 export const dashboardController = createDashboardController(
   getSessionValue,
-  getOidcEndpoints
+  getOidcEndpoints,
+  listSavedDrafts
 )
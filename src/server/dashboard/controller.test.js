@@ -2,7 +2,8 @@ import { describe, expect, test, beforeEach, vi } from 'vitest'
 import {
   createDashboardController,
   getFakeSessionValue,
-  getFakeOidcEndpoints
+  getFakeOidcEndpoints,
+  getFakeDrafts
 } from './controller.js'
 
 describe('Dashboard Controller', () => {
@@ -15,10 +16,11 @@ describe('Dashboard Controller', () => {
     mockViewRenderer = {
       view: vi.fn()
     }
-    // Inject both fake functions from controller
+    // Inject the fake functions from controller
     controller = createDashboardController(
       getFakeSessionValue,
-      getFakeOidcEndpoints
+      getFakeOidcEndpoints,
+      getFakeDrafts
     )
   })
 
@@ -97,4 +99,53 @@ describe('Dashboard Controller', () => {
       })
     )
   })
+
+  test('Should list saved drafts with resume links', async () => {
+    await controller.handler(mockRequest, mockViewRenderer)
+
+    expect(mockViewRenderer.view).toHaveBeenCalledWith(
+      'dashboard/index',
+      expect.objectContaining({
+        drafts: [
+          {
+            title: 'Hard coded draft',
+            resumePath: '/example/create/resume/draft-1',
+            savedAt: '15 January 2025 at 10:30 AM'
+          }
+        ]
+      })
+    )
+  })
+
+  test('Should look up drafts for the signed-in contact', async () => {
+    const mockListDrafts = vi.fn().mockResolvedValue([])
+
+    const testController = createDashboardController(
+      getFakeSessionValue,
+      getFakeOidcEndpoints,
+      mockListDrafts
+    )
+
+    await testController.handler(mockRequest, mockViewRenderer)
+
+    expect(mockListDrafts).toHaveBeenCalledWith(mockRequest, '00000000000')
+    expect(mockViewRenderer.view).toHaveBeenCalledWith(
+      'dashboard/index',
+      expect.objectContaining({ drafts: [] })
+    )
+  })
+
+  test('Should not look up drafts without a contact ID', async () => {
+    const mockListDrafts = vi.fn()
+
+    const testController = createDashboardController(
+      async () => null,
+      getFakeOidcEndpoints,
+      mockListDrafts
+    )
+
+    await testController.handler(mockRequest, mockViewRenderer)
+
+    expect(mockListDrafts).not.toHaveBeenCalled()
+  })
 })
@@ -0,0 +1,30 @@
+import { config } from '../../config/config.js'
+
+/**
+ * Route options for pages that change or delete examples
+ * Users must be signed in and hold an editor role (see src/plugins/authorisation.js)
+ */
+export const exampleEditorRouteOptions = {
+  auth: 'session',
+  plugins: {
+    authorisation: {
+      roles: config.get('examples.editorRoles'),
+      relationships: config.get('examples.editorRelationships')
+    }
+  }
+}
+
+/**
+ * Route options for deleting examples
+ * As for editing, plus a minimum assurance level: sessions below it are sent
+ * through DEFRA ID to step up first
+ */
+export const exampleDeleteRouteOptions = {
+  ...exampleEditorRouteOptions,
+  plugins: {
+    authorisation: {
+      ...exampleEditorRouteOptions.plugins.authorisation,
+      assurance: { aal: config.get('examples.deleteAal') }
+    }
+  }
+}
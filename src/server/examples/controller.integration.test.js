@@ -5,6 +5,17 @@ import { vi } from 'vitest'
 
 vi.mock('../common/helpers/api-client.js')
 
+function pageOf(items, overrides = {}) {
+  return {
+    items,
+    page: 1,
+    pageSize: 20,
+    totalItems: items.length,
+    totalPages: 1,
+    ...overrides
+  }
+}
+
 describe('#examplesController', () => {
   let server
 
@@ -28,7 +39,7 @@ describe('#examplesController', () => {
         { id: '2', name: 'Example Two', value: 'Value 2', counter: 20 }
       ]
 
-      vi.mocked(exampleApi.findAll).mockResolvedValue(mockExamples)
+      vi.mocked(exampleApi.findPage).mockResolvedValue(pageOf(mockExamples))
 
       const { result, statusCode } = await server.inject({
         method: 'GET',
@@ -39,16 +50,19 @@ describe('#examplesController', () => {
       expect(result).toEqual(expect.stringContaining('Example One'))
       expect(result).toEqual(expect.stringContaining('Example Two'))
       expect(statusCode).toBe(statusCodes.ok)
-      expect(exampleApi.findAll).toHaveBeenCalledTimes(1)
+      expect(exampleApi.findPage).toHaveBeenCalledTimes(1)
+      expect(exampleApi.findPage).toHaveBeenCalledWith(
+        { page: 1, pageSize: 20, sort: 'name', order: 'asc', search: '' },
+        expect.anything()
+      )
     })
 
-    test('Should filter examples by search query', async () => {
+    test('Should pass search query to the backend', async () => {
       const mockExamples = [
-        { id: '1', name: 'Example One', value: 'Value 1', counter: 10 },
         { id: '2', name: 'Another Example', value: 'Value 2', counter: 20 }
       ]
 
-      vi.mocked(exampleApi.findAll).mockResolvedValue(mockExamples)
+      vi.mocked(exampleApi.findPage).mockResolvedValue(pageOf(mockExamples))
 
       const { result, statusCode } = await server.inject({
         method: 'GET',
@@ -57,16 +71,129 @@ describe('#examplesController', () => {
 
       expect(result).toEqual(expect.stringContaining('All Examples'))
       expect(result).toEqual(expect.stringContaining('Another Example'))
-      expect(result).not.toEqual(expect.stringContaining('Example One'))
       expect(statusCode).toBe(statusCodes.ok)
+      expect(exampleApi.findPage).toHaveBeenCalledWith(
+        expect.objectContaining({ search: 'Another' }),
+        expect.anything()
+      )
     })
 
-    test('Should display no results message when search returns empty', async () => {
-      const mockExamples = [
-        { id: '1', name: 'Example One', value: 'Value 1', counter: 10 }
-      ]
+    test('Should pass page, pageSize, sort and order to the backend', async () => {
+      vi.mocked(exampleApi.findPage).mockResolvedValue(
+        pageOf([{ id: '1', name: 'Example', value: 'Value', counter: 1 }], {
+          page: 3,
+          pageSize: 10,
+          totalItems: 21,
+          totalPages: 3
+        })
+      )
+
+      const { statusCode } = await server.inject({
+        method: 'GET',
+        url: '/examples?page=3&pageSize=10&sort=counter&order=desc'
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(exampleApi.findPage).toHaveBeenCalledWith(
+        { page: 3, pageSize: 10, sort: 'counter', order: 'desc', search: '' },
+        expect.anything()
+      )
+    })
+
+    test('Should fall back to defaults for invalid paging and sort parameters', async () => {
+      vi.mocked(exampleApi.findPage).mockResolvedValue(pageOf([]))
+
+      await server.inject({
+        method: 'GET',
+        url: '/examples?page=-2&pageSize=5000&sort=password&order=sideways'
+      })
+
+      expect(exampleApi.findPage).toHaveBeenCalledWith(
+        { page: 1, pageSize: 100, sort: 'name', order: 'asc', search: '' },
+        expect.anything()
+      )
+    })
+
+    test('Should render pagination links that keep the search term', async () => {
+      vi.mocked(exampleApi.findPage).mockResolvedValue(
+        pageOf([{ id: '1', name: 'Example', value: 'Value', counter: 1 }], {
+          page: 2,
+          totalItems: 100,
+          totalPages: 5
+        })
+      )
+
+      const { result } = await server.inject({
+        method: 'GET',
+        url: '/examples?search=Example&page=2'
+      })
+
+      expect(result).toEqual(expect.stringContaining('govuk-pagination'))
+      expect(result).toEqual(
+        expect.stringContaining(
+          'href="/examples?search=Example&amp;sort=name&amp;order=asc&amp;pageSize=20&amp;page=3"'
+        )
+      )
+      expect(result).toEqual(expect.stringContaining('Showing 21 to 21 of 100'))
+    })
+
+    test('Should keep the sort and page size when searching', async () => {
+      vi.mocked(exampleApi.findPage).mockResolvedValue(pageOf([]))
+
+      const { result } = await server.inject({
+        method: 'GET',
+        url: '/examples?sort=counter&order=desc&pageSize=10&page=2'
+      })
+
+      expect(result).toEqual(
+        expect.stringContaining(
+          '<input type="hidden" name="sort" value="counter">'
+        )
+      )
+      expect(result).toEqual(
+        expect.stringContaining(
+          '<input type="hidden" name="order" value="desc">'
+        )
+      )
+      expect(result).toEqual(
+        expect.stringContaining(
+          '<input type="hidden" name="pageSize" value="10">'
+        )
+      )
+      expect(result).not.toEqual(expect.stringContaining('name="page"'))
+    })
+
+    test('Should redirect a page past the last to the last page', async () => {
+      vi.mocked(exampleApi.findPage).mockResolvedValue(
+        pageOf([], { page: 9, totalItems: 45, totalPages: 3 })
+      )
+
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/examples?search=Example&sort=counter&page=9'
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe(
+        '/examples?search=Example&sort=counter&order=asc&pageSize=20&page=3'
+      )
+    })
+
+    test('Should not render pagination for a single page', async () => {
+      vi.mocked(exampleApi.findPage).mockResolvedValue(
+        pageOf([{ id: '1', name: 'Example', value: 'Value', counter: 1 }])
+      )
 
-      vi.mocked(exampleApi.findAll).mockResolvedValue(mockExamples)
+      const { result } = await server.inject({
+        method: 'GET',
+        url: '/examples'
+      })
+
+      expect(result).not.toEqual(expect.stringContaining('govuk-pagination'))
+    })
+
+    test('Should display no results message when search returns empty', async () => {
+      vi.mocked(exampleApi.findPage).mockResolvedValue(pageOf([]))
 
       const { result, statusCode } = await server.inject({
         method: 'GET',
@@ -78,7 +205,7 @@ describe('#examplesController', () => {
     })
 
     test('Should handle backend API error gracefully', async () => {
-      vi.mocked(exampleApi.findAll).mockRejectedValue(
+      vi.mocked(exampleApi.findPage).mockRejectedValue(
         new Error('Backend connection failed')
       )
 
@@ -92,7 +219,7 @@ describe('#examplesController', () => {
     })
 
     test('Should display message when no examples exist', async () => {
-      vi.mocked(exampleApi.findAll).mockResolvedValue([])
+      vi.mocked(exampleApi.findPage).mockResolvedValue(pageOf([]))
 
       const { result, statusCode } = await server.inject({
         method: 'GET',
@@ -1,37 +1,113 @@
 /**
  * Examples list controller
- * Fetches examples from backend and implements client-side search
+ * Fetches a page of examples from the backend, sorted and searched server-side
  */
 
+import { rethrowForCatchAll } from '../common/helpers/api-errors.js'
 import { exampleApi } from '../common/helpers/api-client.js'
 import { statusCodes } from '../common/constants/status-codes.js'
+import {
+  buildListUrl,
+  buildPagination,
+  parsePaginationQuery
+} from '../common/helpers/pagination.js'
+
+const listPath = '/examples'
+
+// First entry is the default sort
+const sortableColumns = [
+  { field: 'name', text: 'Name' },
+  { field: 'value', text: 'Value' },
+  { field: 'counter', text: 'Counter' }
+]
+
+/**
+ * Build table head cells with sort links that keep the current search
+ * Clicking the active column flips the order, other columns sort ascending
+ * @param {object} listQuery - Current search, sort, order and pageSize
+ * @returns {Array<object>} govukTable head cells
+ */
+function buildTableHead({ search, sort, order, pageSize }) {
+  const sortCells = sortableColumns.map(({ field, text }) => {
+    const isActive = field === sort
+    const nextOrder = isActive && order === 'asc' ? 'desc' : 'asc'
+    const href = buildListUrl(listPath, {
+      search,
+      sort: field,
+      order: nextOrder,
+      pageSize
+    })
+    const ariaSort = order === 'asc' ? 'ascending' : 'descending'
+
+    return {
+      html: `<a class="govuk-link" href="${href}">${text}</a>`,
+      attributes: { 'aria-sort': isActive ? ariaSort : 'none' }
+    }
+  })
+
+  return [...sortCells, { text: 'Actions' }]
+}
 
 export const examplesController = {
   list: {
     async handler(request, h) {
+      const searchQuery = request.query.search || ''
+      const { page, pageSize, sort, order } = parsePaginationQuery(
+        request.query,
+        sortableColumns.map(({ field }) => field)
+      )
+
       try {
-        const traceId = request.headers['x-cdp-request-id']
-        const searchQuery = request.query.search || ''
+        // Backend applies search, sort and paging
+        const result = await exampleApi.findPage(
+          { page, pageSize, sort, order, search: searchQuery },
+          request
+        )
+        const examples = result.items ?? []
 
-        // Fetch all examples from backend
-        const allExamples = await exampleApi.findAll(traceId)
+        // Past the last page, e.g. after items were deleted: go to the last
+        const { totalPages } = result
+        if (examples.length === 0 && totalPages > 0 && page > totalPages) {
+          return h.redirect(
+            buildListUrl(listPath, {
+              search: searchQuery,
+              sort,
+              order,
+              pageSize,
+              page: totalPages
+            })
+          )
+        }
 
-        // Client-side filter by name
-        const examples = searchQuery
-          ? allExamples.filter((e) =>
-              e.name.toLowerCase().includes(searchQuery.toLowerCase())
-            )
-          : allExamples
+        const firstItem = (result.page - 1) * result.pageSize + 1
 
         return h.view('examples/list', {
           pageTitle: 'All Examples',
           heading: 'All Examples',
           examples,
           searchQuery,
+          // Kept by the search form, which starts again at the first page
+          listQuery: { sort, order, pageSize },
           hasResults: examples.length > 0,
-          totalCount: allExamples.length
+          totalCount: result.totalItems,
+          firstItem,
+          lastItem: firstItem + examples.length - 1,
+          tableHead: buildTableHead({
+            search: searchQuery,
+            sort,
+            order,
+            pageSize
+          }),
+          pagination: buildPagination({
+            page: result.page,
+            totalPages: result.totalPages,
+            path: listPath,
+            query: { search: searchQuery, sort, order, pageSize }
+          })
         })
       } catch (error) {
+        rethrowForCatchAll(error)
+
         request.logger.error(`Failed to fetch examples: ${error.message}`)
 
         // Return error view with user-friendly message
@@ -9,7 +9,13 @@ export const createConfirmation = {
           method: 'GET',
           path: '/example/create/confirmation',
           ...createConfirmationController,
-          options: { ...createConfirmationController.options, auth: false }
+          options: {
+            ...createConfirmationController.options,
+            auth: {
+              strategy: 'session',
+              mode: 'try' // Accessible to all, populates user info if authenticated
+            }
+          }
         }
       ])
     }
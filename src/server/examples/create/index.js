@@ -0,0 +1,4 @@
+import { createJourneyPlugin } from '../../common/helpers/journey/journey-plugin.js'
+import { createExampleJourney } from './journey.js'
+
+export const createExample = createJourneyPlugin(createExampleJourney)
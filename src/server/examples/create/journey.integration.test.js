@@ -0,0 +1,417 @@
+import { createServer } from '../../server.js'
+import { statusCodes } from '../../common/constants/status-codes.js'
+import { exampleApi } from '../../common/helpers/api-client.js'
+import { vi } from 'vitest'
+
+vi.mock('../../common/helpers/api-client.js')
+
+const journeyId = '6f1c1a52-0d7e-4d0b-9a57-2c1f5b8e7d40'
+const base = `/example/create/${journeyId}`
+
+function sessionCookie(response) {
+  return response.headers['set-cookie']
+    .map((cookie) => cookie.split(';')[0])
+    .join('; ')
+}
+
+describe('#createExampleJourney', () => {
+  let server
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  describe('GET /example/create', () => {
+    test('Should start a new journey on the name page', async () => {
+      const first = await server.inject({
+        method: 'GET',
+        url: '/example/create'
+      })
+      const second = await server.inject({
+        method: 'GET',
+        url: '/example/create'
+      })
+
+      expect(first.statusCode).toBe(statusCodes.movedTemporarily)
+      expect(first.headers.location).toMatch(
+        /^\/example\/create\/[0-9a-f-]{36}\/name$/
+      )
+      expect(second.headers.location).not.toBe(first.headers.location)
+    })
+
+    test('Should start a new journey when the journey ID is not valid', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/example/create/not-a-journey/name'
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe('/example/create')
+    })
+  })
+
+  describe('GET /example/create/{journeyId}/name', () => {
+    test('Should display name input page', async () => {
+      const { result, statusCode } = await server.inject({
+        method: 'GET',
+        url: `${base}/name`
+      })
+
+      expect(result).toEqual(expect.stringContaining('What is the name?'))
+      expect(result).toEqual(expect.stringContaining('Enter a unique name'))
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).not.toContain('Save and come back later')
+    })
+
+    test('Should offer saving a draft to signed-in users', async () => {
+      const { result, statusCode } = await server.inject({
+        method: 'GET',
+        url: `${base}/name`,
+        auth: { strategy: 'session', credentials: { contactId: 'contact-1' } }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).toContain('Save and come back later')
+    })
+  })
+
+  describe('POST /example/create/{journeyId}/name', () => {
+    test('Should store valid name and redirect to value page', async () => {
+      const response = await server.inject({
+        method: 'POST',
+        url: `${base}/name`,
+        payload: {
+          name: 'My Example'
+        }
+      })
+
+      expect(response.statusCode).toBe(statusCodes.movedTemporarily)
+      expect(response.headers.location).toBe(`${base}/value`)
+    })
+
+    test('Should trim whitespace from name', async () => {
+      const response = await server.inject({
+        method: 'POST',
+        url: `${base}/name`,
+        payload: {
+          name: '  Trimmed Example  '
+        }
+      })
+
+      expect(response.statusCode).toBe(statusCodes.movedTemporarily)
+      expect(response.headers.location).toBe(`${base}/value`)
+    })
+
+    test('Should show error when name is empty', async () => {
+      const { result, statusCode } = await server.inject({
+        method: 'POST',
+        url: `${base}/name`,
+        payload: {
+          name: ''
+        }
+      })
+
+      expect(result).toEqual(expect.stringContaining('Enter a name'))
+      expect(result).toEqual(expect.stringContaining('There is a problem'))
+      expect(statusCode).toBe(statusCodes.badRequest)
+    })
+
+    test('Should show error when name is only whitespace', async () => {
+      const { result, statusCode } = await server.inject({
+        method: 'POST',
+        url: `${base}/name`,
+        payload: {
+          name: '   '
+        }
+      })
+
+      expect(result).toEqual(expect.stringContaining('Enter a name'))
+      expect(statusCode).toBe(statusCodes.badRequest)
+    })
+
+    test('Should show error when name exceeds 100 characters', async () => {
+      const longName = 'a'.repeat(101)
+
+      const { result, statusCode } = await server.inject({
+        method: 'POST',
+        url: `${base}/name`,
+        payload: {
+          name: longName
+        }
+      })
+
+      expect(result).toEqual(
+        expect.stringContaining('Name must be 100 characters or less')
+      )
+      expect(statusCode).toBe(statusCodes.badRequest)
+    })
+
+    test('Should preserve entered value on validation error', async () => {
+      const longName = 'a'.repeat(101)
+
+      const { result } = await server.inject({
+        method: 'POST',
+        url: `${base}/name`,
+        payload: {
+          name: longName
+        }
+      })
+
+      expect(result).toEqual(expect.stringContaining(`value="${longName}"`))
+    })
+  })
+
+  describe('GET /example/create/{journeyId}/value', () => {
+    test('Should redirect to name page if name not in session (guard pattern)', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: `${base}/value`
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe(`${base}/name`)
+    })
+  })
+
+  describe('POST /example/create/{journeyId}/value', () => {
+    test('Should redirect to name page if name not in session (guard pattern)', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'POST',
+        url: `${base}/value`,
+        payload: {
+          value: 'test value'
+        }
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe(`${base}/name`)
+    })
+  })
+
+  describe('GET /example/create/{journeyId}/counter', () => {
+    test('Should redirect to name page if name not in session (guard pattern)', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: `${base}/counter`
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe(`${base}/name`)
+    })
+  })
+
+  describe('POST /example/create/{journeyId}/counter', () => {
+    test('Should redirect to name page if required session data missing (guard pattern)', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'POST',
+        url: `${base}/counter`,
+        payload: {
+          counter: '42'
+        }
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe(`${base}/name`)
+    })
+  })
+
+  describe('POST /example/create/{journeyId}/check', () => {
+    test('Should redirect to name page if session is empty (guard pattern)', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'POST',
+        url: `${base}/check`
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe(`${base}/name`)
+      expect(exampleApi.create).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Whole journey', () => {
+    let cookie
+    let path
+
+    async function start() {
+      const response = await server.inject({
+        method: 'GET',
+        url: '/example/create',
+        headers: cookie ? { cookie } : {}
+      })
+      return response.headers.location.replace(/\/name$/, '')
+    }
+
+    async function answer(slug, payload, journeyPath = path) {
+      const response = await server.inject({
+        method: 'POST',
+        url: `${journeyPath}/${slug}`,
+        headers: cookie ? { cookie } : {},
+        payload
+      })
+      cookie = sessionCookie(response)
+      return response
+    }
+
+    beforeEach(async () => {
+      vi.clearAllMocks()
+      cookie = null
+      path = await start()
+
+      await answer('name', { name: '  My Example  ' })
+      await answer('value', { value: 'My value' })
+    })
+
+    test('Should go to check your answers after the last page', async () => {
+      const { headers } = await answer('counter', { counter: '' })
+
+      expect(headers.location).toBe(`${path}/check`)
+    })
+
+    test('Should show the answers with Change links', async () => {
+      await answer('counter', { counter: '' })
+
+      const { result, statusCode } = await server.inject({
+        method: 'GET',
+        url: `${path}/check`,
+        headers: { cookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).toEqual(expect.stringContaining('My Example'))
+      expect(result).toEqual(expect.stringContaining('Not provided'))
+      expect(result).toEqual(
+        expect.stringContaining(`href="${path}/value?returnTo=check"`)
+      )
+      expect(result).toEqual(
+        expect.stringContaining(`href="${path}/counter?returnTo=check"`)
+      )
+    })
+
+    test('Should return to check your answers after changing an answer', async () => {
+      await answer('counter', { counter: '' })
+
+      const { statusCode, headers } = await answer('name?returnTo=check', {
+        name: 'Changed name'
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe(`${path}/check`)
+    })
+
+    test('Should link back to check your answers when changing an answer', async () => {
+      await answer('counter', { counter: '' })
+
+      const { result } = await server.inject({
+        method: 'GET',
+        url: `${path}/name?returnTo=check`,
+        headers: { cookie }
+      })
+
+      expect(result).toEqual(
+        expect.stringContaining(`href="${path}/check" class="govuk-back-link"`)
+      )
+    })
+
+    test('Should ignore return markers that are not the check page', async () => {
+      await answer('counter', { counter: '' })
+
+      const { headers } = await answer('name?returnTo=https://evil.example', {
+        name: 'Changed name'
+      })
+
+      expect(headers.location).toBe(`${path}/value`)
+    })
+
+    test('Should keep answers separate for journeys in other tabs', async () => {
+      const otherPath = await start()
+      await answer('name', { name: 'Other tab' }, otherPath)
+      await answer('counter', { counter: '' })
+
+      const { result } = await server.inject({
+        method: 'GET',
+        url: `${path}/check`,
+        headers: { cookie }
+      })
+
+      expect(result).toEqual(expect.stringContaining('My Example'))
+      expect(result).not.toEqual(expect.stringContaining('Other tab'))
+    })
+
+    test('Should only clear the completed journey', async () => {
+      vi.mocked(exampleApi.create).mockResolvedValue({ id: 'abc123' })
+      const otherPath = await start()
+      await answer('name', { name: 'Other tab' }, otherPath)
+      await answer('counter', { counter: '' })
+      await answer('check', {})
+
+      const completed = await server.inject({
+        method: 'GET',
+        url: `${path}/check`,
+        headers: { cookie }
+      })
+      const other = await server.inject({
+        method: 'GET',
+        url: `${otherPath}/value`,
+        headers: { cookie }
+      })
+
+      expect(completed.headers.location).toBe(`${path}/name`)
+      expect(other.statusCode).toBe(statusCodes.ok)
+    })
+
+    test('Should send users with missing answers to the first incomplete page', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: `${path}/check`,
+        headers: { cookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe(`${path}/counter`)
+    })
+
+    test('Should show a counter validation error', async () => {
+      const { result, statusCode } = await answer('counter', {
+        counter: '1000'
+      })
+
+      expect(statusCode).toBe(statusCodes.badRequest)
+      expect(result).toEqual(
+        expect.stringContaining('Counter must be between 0 and 999')
+      )
+    })
+
+    test('Should create the example and redirect to confirmation', async () => {
+      vi.mocked(exampleApi.create).mockResolvedValue({ id: 'abc123' })
+      await answer('counter', { counter: '42' })
+
+      const { statusCode, headers } = await answer('check', {})
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe('/example/create/confirmation?id=abc123')
+      expect(exampleApi.create).toHaveBeenCalledWith(
+        { name: 'My Example', value: 'My value', counter: 42 },
+        expect.anything()
+      )
+    })
+
+    test('Should show error when backend API fails', async () => {
+      vi.mocked(exampleApi.create).mockRejectedValue(
+        new Error('Backend connection failed')
+      )
+      await answer('counter', { counter: '42' })
+
+      const { result, statusCode } = await answer('check', {})
+
+      expect(statusCode).toBe(statusCodes.internalServerError)
+      expect(result).toEqual(
+        expect.stringContaining('Unable to create example')
+      )
+    })
+  })
+})
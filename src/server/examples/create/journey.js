@@ -0,0 +1,106 @@
+/**
+ * Create example journey
+ * Name, value and optional counter, then check your answers and create
+ */
+
+import { rethrowForCatchAll } from '../../common/helpers/api-errors.js'
+import { exampleApi } from '../../common/helpers/api-client.js'
+import { backendErrorToGovukErrors } from '../../common/helpers/form-errors.js'
+import { createJourney } from '../../common/helpers/journey/journey.js'
+import { exampleSchema } from '../schema.js'
+
+/**
+ * Create the example in the backend and show the confirmation page
+ * @param {object} request - Hapi request object
+ * @param {object} h - Hapi response toolkit
+ * @param {object} context - { journeyId, answers, renderCheck, complete }
+ * @returns {Promise<object>} Hapi response
+ */
+async function submit(
+  request,
+  h,
+  { journeyId, answers, renderCheck, complete }
+) {
+  let created
+
+  try {
+    // Submit to backend API
+    created = await exampleApi.create(answers, request)
+  } catch (error) {
+    rethrowForCatchAll(error)
+
+    request.logger.error(`Failed to create example: ${error.message}`, error)
+
+    // Backend field errors link to the page where the answer can be changed
+    const { errorList, statusCode } = backendErrorToGovukErrors(error, {
+      fallbackMessage: 'Unable to create example. Please try again later.',
+      fields: [],
+      fieldHrefs: createExampleJourney.fieldPaths(journeyId)
+    })
+
+    return renderCheck({ errorList }).code(statusCode)
+  }
+
+  // Clear this journey's answers and saved draft - other journeys and sign in are kept
+  await complete()
+
+  // Redirect to confirmation page with created ID
+  return h.redirect(`/example/create/confirmation?id=${created.id}`)
+}
+
+export const createExampleJourney = createJourney({
+  name: 'create-example',
+  basePath: '/example/create',
+  sessionKey: 'example',
+  backLink: '/examples',
+  // Open to everyone, but signed-in users' sessions are validated (timeouts,
+  // revocation, token refresh) so they can save drafts and call the backend
+  routeOptions: { auth: { strategy: 'session', mode: 'try' } },
+  drafts: {
+    title: (answers) => answers.name
+  },
+  pages: [
+    {
+      slug: 'name',
+      title: 'What is the name?',
+      view: 'examples/create/name',
+      fields: [
+        {
+          name: 'name',
+          label: 'Name',
+          schema: exampleSchema.extract('name')
+        }
+      ]
+    },
+    {
+      slug: 'value',
+      title: 'What is the value?',
+      view: 'examples/create/value',
+      fields: [
+        {
+          name: 'value',
+          label: 'Value',
+          schema: exampleSchema.extract('value')
+        }
+      ]
+    },
+    {
+      slug: 'counter',
+      title: 'What is the counter value?',
+      view: 'examples/create/counter',
+      fields: [
+        {
+          name: 'counter',
+          label: 'Counter',
+          schema: exampleSchema.extract('counter'),
+          format: (value) => (value === null ? 'Not provided' : String(value))
+        }
+      ]
+    }
+  ],
+  check: {
+    title: 'Check your answers',
+    view: 'examples/create/check',
+    submit
+  }
+})
@@ -1,10 +1,22 @@
 import { createServer } from '../../server.js'
 import { statusCodes } from '../../common/constants/status-codes.js'
 import { exampleApi } from '../../common/helpers/api-client.js'
+import { NotFoundError } from '../../common/helpers/api-errors.js'
+import { sessionFromUser } from '../../../test-helpers/auth-test-helpers.js'
 import { vi } from 'vitest'
 
 vi.mock('../../common/helpers/api-client.js')
 
+const editorAuth = {
+  strategy: 'session',
+  credentials: sessionFromUser({
+    userId: 'editor-contact-id',
+    email: 'editor@example.com',
+    firstName: 'Editor',
+    aal: '1'
+  })
+}
+
 describe('#deleteController', () => {
   let server
 
@@ -21,6 +33,74 @@ describe('#deleteController', () => {
     vi.clearAllMocks()
   })
 
+  describe('Authorisation', () => {
+    test('Should send signed out users to sign in', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/example/123/delete'
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toEqual(expect.stringContaining('/auth/login'))
+    })
+
+    test('Should show the forbidden page to users without an editor role', async () => {
+      const { result, statusCode } = await server.inject({
+        method: 'POST',
+        url: '/example/123/delete',
+        auth: {
+          strategy: 'session',
+          credentials: { ...editorAuth.credentials, roles: ['Viewer'] }
+        }
+      })
+
+      expect(statusCode).toBe(statusCodes.forbidden)
+      expect(result).toEqual(
+        expect.stringContaining('You do not have permission to view this page')
+      )
+      expect(exampleApi.findById).not.toHaveBeenCalled()
+      expect(exampleApi.delete).not.toHaveBeenCalled()
+    })
+
+    test('Should send sessions below the required assurance to step up', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/example/123/delete',
+        auth: {
+          strategy: 'session',
+          credentials: { ...editorAuth.credentials, aal: '0' }
+        }
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe(
+        '/auth/login?next=%2Fexample%2F123%2Fdelete&aal=1'
+      )
+      expect(exampleApi.findById).not.toHaveBeenCalled()
+    })
+
+    test('Should return a stepped-up delete to the page it was submitted from', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'POST',
+        url: '/example/123/delete',
+        headers: {
+          host: 'localhost:3000',
+          referer: 'http://localhost:3000/example/123/delete'
+        },
+        auth: {
+          strategy: 'session',
+          credentials: { ...editorAuth.credentials, aal: '0' }
+        }
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe(
+        '/auth/login?next=%2Fexample%2F123%2Fdelete&aal=1'
+      )
+      expect(exampleApi.delete).not.toHaveBeenCalled()
+    })
+  })
+
   describe('GET /example/{id}/delete', () => {
     test('Should display delete confirmation page', async () => {
       const mockExample = {
@@ -33,6 +113,7 @@ describe('#deleteController', () => {
       vi.mocked(exampleApi.findById).mockResolvedValue(mockExample)
 
       const { result, statusCode } = await server.inject({
+        auth: editorAuth,
         method: 'GET',
         url: '/example/123/delete'
       })
@@ -51,12 +132,12 @@ describe('#deleteController', () => {
     })
 
     test('Should redirect to examples when example not found', async () => {
-      const error = new Error('Not found')
-      error.statusCode = 404
+      const error = new NotFoundError('Not found', { statusCode: 404 })
 
       vi.mocked(exampleApi.findById).mockRejectedValue(error)
 
       const { statusCode, headers } = await server.inject({
+        auth: editorAuth,
         method: 'GET',
         url: '/example/999/delete'
       })
@@ -71,6 +152,7 @@ describe('#deleteController', () => {
       vi.mocked(exampleApi.delete).mockResolvedValue(undefined)
 
       const { statusCode, headers } = await server.inject({
+        auth: editorAuth,
         method: 'POST',
         url: '/example/123/delete'
       })
@@ -93,6 +175,7 @@ describe('#deleteController', () => {
       vi.mocked(exampleApi.findById).mockResolvedValue(mockExample)
 
       const { result, statusCode } = await server.inject({
+        auth: editorAuth,
         method: 'POST',
         url: '/example/123/delete'
       })
@@ -108,6 +191,7 @@ describe('#deleteController', () => {
       vi.mocked(exampleApi.findById).mockRejectedValue(new Error('Not found'))
 
       const { statusCode, headers } = await server.inject({
+        auth: editorAuth,
         method: 'POST',
         url: '/example/123/delete'
       })
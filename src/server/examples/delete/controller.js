@@ -1,14 +1,17 @@
 import { exampleApi } from '../../common/helpers/api-client.js'
+import {
+  NotFoundError,
+  rethrowForCatchAll
+} from '../../common/helpers/api-errors.js'
 import { statusCodes } from '../../common/constants/status-codes.js'
 
 export const deleteController = {
   get: {
     handler: async (request, h) => {
       const { id } = request.params
-      const traceId = request.headers['x-cdp-request-id']
 
       try {
-        const example = await exampleApi.findById(id, traceId)
+        const example = await exampleApi.findById(id, request)
 
         return h.view('examples/delete/index', {
           pageTitle: 'Delete example',
@@ -16,15 +19,18 @@ export const deleteController = {
           example
         })
       } catch (error) {
+        rethrowForCatchAll(error)
+
+        // Nothing to confirm - back to the list
+        if (error instanceof NotFoundError) {
+          return h.redirect('/examples')
+        }
+
         request.logger.error(
           `Failed to fetch example ${id} for deletion: ${error.message}`,
           error
         )
 
-        if (error.statusCode === 404) {
-          return h.redirect('/examples')
-        }
-
         return h.redirect('/examples')
       }
     }
@@ -33,14 +39,20 @@ export const deleteController = {
   post: {
     handler: async (request, h) => {
       const { id } = request.params
-      const traceId = request.headers['x-cdp-request-id']
 
       try {
-        await exampleApi.delete(id, traceId)
+        await exampleApi.delete(id, request)
 
         // Redirect to examples list with success
         return h.redirect('/examples')
       } catch (error) {
+        rethrowForCatchAll(error)
+
+        // Already deleted - the outcome the user asked for
+        if (error instanceof NotFoundError) {
+          return h.redirect('/examples')
+        }
+
         request.logger.error(
           `Failed to delete example ${id}: ${error.message}`,
           error
@@ -48,7 +60,7 @@ export const deleteController = {
 
         // Try to fetch the example to display error on confirmation page
         try {
-          const example = await exampleApi.findById(id, traceId)
+          const example = await exampleApi.findById(id, request)
 
           return h
             .view('examples/delete/index', {
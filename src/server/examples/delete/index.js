@@ -1,3 +1,4 @@
+import { exampleDeleteRouteOptions } from '../access.js'
 import { deleteController } from './controller.js'
 
 export const deleteExample = {
@@ -9,13 +10,19 @@ export const deleteExample = {
           method: 'GET',
           path: '/example/{id}/delete',
           ...deleteController.get,
-          options: { ...deleteController.get.options, auth: false }
+          options: {
+            ...deleteController.get.options,
+            ...exampleDeleteRouteOptions
+          }
         },
         {
           method: 'POST',
           path: '/example/{id}/delete',
           ...deleteController.post,
-          options: { ...deleteController.post.options, auth: false }
+          options: {
+            ...deleteController.post.options,
+            ...exampleDeleteRouteOptions
+          }
         }
       ])
     }
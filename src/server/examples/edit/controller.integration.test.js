@@ -1,10 +1,31 @@
 import { createServer } from '../../server.js'
 import { statusCodes } from '../../common/constants/status-codes.js'
 import { exampleApi } from '../../common/helpers/api-client.js'
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationFailedError
+} from '../../common/helpers/api-errors.js'
+import { sessionFromUser } from '../../../test-helpers/auth-test-helpers.js'
 import { vi } from 'vitest'
 
 vi.mock('../../common/helpers/api-client.js')
 
+const editorAuth = {
+  strategy: 'session',
+  credentials: sessionFromUser({
+    userId: 'editor-contact-id',
+    email: 'editor@example.com',
+    firstName: 'Editor'
+  })
+}
+
+function sessionCookie(response) {
+  return response.headers['set-cookie']
+    .map((cookie) => cookie.split(';')[0])
+    .join('; ')
+}
+
 describe('#editController', () => {
   let server
 
@@ -21,6 +42,36 @@ describe('#editController', () => {
     vi.clearAllMocks()
   })
 
+  describe('Authorisation', () => {
+    test('Should send signed out users to sign in', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/example/123/edit'
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toEqual(expect.stringContaining('/auth/login'))
+    })
+
+    test('Should show the forbidden page to users without an editor role', async () => {
+      const { result, statusCode } = await server.inject({
+        method: 'POST',
+        url: '/example/123/edit',
+        auth: {
+          strategy: 'session',
+          credentials: { ...editorAuth.credentials, roles: ['Viewer'] }
+        }
+      })
+
+      expect(statusCode).toBe(statusCodes.forbidden)
+      expect(result).toEqual(
+        expect.stringContaining('You do not have permission to view this page')
+      )
+      expect(exampleApi.findById).not.toHaveBeenCalled()
+      expect(exampleApi.update).not.toHaveBeenCalled()
+    })
+  })
+
   describe('GET /example/{id}/edit', () => {
     test('Should display edit form with pre-filled data', async () => {
       const mockExample = {
@@ -33,6 +84,7 @@ describe('#editController', () => {
       vi.mocked(exampleApi.findById).mockResolvedValue(mockExample)
 
       const { result, statusCode } = await server.inject({
+        auth: editorAuth,
         method: 'GET',
         url: '/example/123/edit'
       })
@@ -44,13 +96,33 @@ describe('#editController', () => {
       expect(statusCode).toBe(statusCodes.ok)
     })
 
+    test('Should carry the example version in the form', async () => {
+      vi.mocked(exampleApi.findById).mockResolvedValue({
+        id: '123',
+        name: 'Existing Example',
+        value: 'Existing Value',
+        counter: 42,
+        etag: '"7"'
+      })
+
+      const { result } = await server.inject({
+        auth: editorAuth,
+        method: 'GET',
+        url: '/example/123/edit'
+      })
+
+      expect(result).toEqual(
+        expect.stringContaining('name="etag" value="&quot;7&quot;"')
+      )
+    })
+
     test('Should redirect to examples list when example not found', async () => {
-      const error = new Error('Not found')
-      error.statusCode = 404
+      const error = new NotFoundError('Not found', { statusCode: 404 })
 
       vi.mocked(exampleApi.findById).mockRejectedValue(error)
 
       const { statusCode, headers } = await server.inject({
+        auth: editorAuth,
         method: 'GET',
         url: '/example/999/edit'
       })
@@ -70,6 +142,7 @@ describe('#editController', () => {
       })
 
       const { statusCode, headers } = await server.inject({
+        auth: editorAuth,
         method: 'POST',
         url: '/example/123/edit',
         payload: {
@@ -84,6 +157,29 @@ describe('#editController', () => {
       expect(exampleApi.update).toHaveBeenCalledTimes(1)
     })
 
+    test('Should send the form version as If-Match', async () => {
+      vi.mocked(exampleApi.update).mockResolvedValue({ id: '123' })
+
+      await server.inject({
+        auth: editorAuth,
+        method: 'POST',
+        url: '/example/123/edit',
+        payload: {
+          name: 'Updated Name',
+          value: 'Updated Value',
+          counter: '50',
+          etag: '"7"'
+        }
+      })
+
+      expect(exampleApi.update).toHaveBeenCalledWith(
+        '123',
+        { name: 'Updated Name', value: 'Updated Value', counter: 50 },
+        expect.anything(),
+        '"7"'
+      )
+    })
+
     test('Should handle null counter', async () => {
       vi.mocked(exampleApi.update).mockResolvedValue({
         id: '123',
@@ -93,6 +189,7 @@ describe('#editController', () => {
       })
 
       const { statusCode } = await server.inject({
+        auth: editorAuth,
         method: 'POST',
         url: '/example/123/edit',
         payload: {
@@ -108,6 +205,7 @@ describe('#editController', () => {
 
     test('Should show validation error when name is empty', async () => {
       const { result, statusCode } = await server.inject({
+        auth: editorAuth,
         method: 'POST',
         url: '/example/123/edit',
         payload: {
@@ -124,6 +222,7 @@ describe('#editController', () => {
 
     test('Should show validation error when value is empty', async () => {
       const { result, statusCode } = await server.inject({
+        auth: editorAuth,
         method: 'POST',
         url: '/example/123/edit',
         payload: {
@@ -139,6 +238,7 @@ describe('#editController', () => {
 
     test('Should show validation error when counter is invalid', async () => {
       const { result, statusCode } = await server.inject({
+        auth: editorAuth,
         method: 'POST',
         url: '/example/123/edit',
         payload: {
@@ -154,10 +254,35 @@ describe('#editController', () => {
       expect(statusCode).toBe(statusCodes.badRequest)
     })
 
+    test('Should show every field error with the answers entered', async () => {
+      const { result, statusCode } = await server.inject({
+        auth: editorAuth,
+        method: 'POST',
+        url: '/example/123/edit',
+        payload: {
+          name: '',
+          value: 'b'.repeat(501),
+          counter: '1000'
+        }
+      })
+
+      expect(statusCode).toBe(statusCodes.badRequest)
+      expect(result).toEqual(expect.stringContaining('Enter a name'))
+      expect(result).toEqual(
+        expect.stringContaining('Value must be 500 characters or less')
+      )
+      expect(result).toEqual(
+        expect.stringContaining('Counter must be between 0 and 999')
+      )
+      expect(result).toEqual(expect.stringContaining('value="1000"'))
+      expect(exampleApi.update).not.toHaveBeenCalled()
+    })
+
     test('Should show error when backend update fails', async () => {
       vi.mocked(exampleApi.update).mockRejectedValue(new Error('Backend error'))
 
       const { result, statusCode } = await server.inject({
+        auth: editorAuth,
         method: 'POST',
         url: '/example/123/edit',
         payload: {
@@ -172,5 +297,137 @@ describe('#editController', () => {
       )
       expect(statusCode).toBe(statusCodes.internalServerError)
     })
+
+    test('Should show backend validation errors against the field', async () => {
+      vi.mocked(exampleApi.update).mockRejectedValue(
+        new ValidationFailedError('Bad request', {
+          statusCode: 400,
+          problem: {
+            errors: [{ field: 'name', message: 'Name is already in use' }]
+          }
+        })
+      )
+
+      const { result, statusCode } = await server.inject({
+        auth: editorAuth,
+        method: 'POST',
+        url: '/example/123/edit',
+        payload: {
+          name: 'Duplicate',
+          value: 'Valid Value',
+          counter: '10'
+        }
+      })
+
+      expect(result).toEqual(expect.stringContaining('href="#name"'))
+      expect(result).toEqual(
+        expect.stringContaining('Error:</span> Name is already in use')
+      )
+      expect(statusCode).toBe(statusCodes.badRequest)
+    })
+  })
+
+  describe('When someone else has changed the example', () => {
+    const answers = { name: 'Mine', value: 'My value', counter: '1' }
+    const saved = {
+      id: '123',
+      name: 'Theirs',
+      value: 'Their value',
+      counter: 2,
+      etag: '"8"'
+    }
+
+    async function postConflictingEdit() {
+      vi.mocked(exampleApi.update).mockRejectedValueOnce(
+        new ConflictError('Precondition failed', { statusCode: 412 })
+      )
+      vi.mocked(exampleApi.findById).mockResolvedValueOnce(saved)
+
+      return server.inject({
+        auth: editorAuth,
+        method: 'POST',
+        url: '/example/123/edit',
+        payload: { ...answers, etag: '"7"' }
+      })
+    }
+
+    test('Should compare the user answers with the saved version', async () => {
+      const { result, statusCode } = await postConflictingEdit()
+
+      expect(statusCode).toBe(statusCodes.conflict)
+      expect(result).toEqual(
+        expect.stringContaining('Someone else has changed this example')
+      )
+      expect(result).toEqual(expect.stringContaining('Mine'))
+      expect(result).toEqual(expect.stringContaining('Theirs'))
+    })
+
+    test('Should overwrite with the user answers against the new version', async () => {
+      const conflict = await postConflictingEdit()
+      vi.mocked(exampleApi.update).mockResolvedValueOnce({ id: '123' })
+
+      const { statusCode, headers } = await server.inject({
+        auth: editorAuth,
+        method: 'POST',
+        url: '/example/123/edit/conflict',
+        headers: { cookie: sessionCookie(conflict) },
+        payload: { keep: 'mine' }
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe('/example/123')
+      expect(exampleApi.update).toHaveBeenLastCalledWith(
+        '123',
+        { name: 'Mine', value: 'My value', counter: 1 },
+        expect.anything(),
+        '"8"'
+      )
+    })
+
+    test('Should keep the saved version without updating', async () => {
+      const conflict = await postConflictingEdit()
+
+      const { statusCode, headers } = await server.inject({
+        auth: editorAuth,
+        method: 'POST',
+        url: '/example/123/edit/conflict',
+        headers: { cookie: sessionCookie(conflict) },
+        payload: { keep: 'saved' }
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe('/example/123')
+      expect(exampleApi.update).toHaveBeenCalledTimes(1)
+    })
+
+    test('Should ask the user to choose a version', async () => {
+      const conflict = await postConflictingEdit()
+
+      const { result, statusCode } = await server.inject({
+        auth: editorAuth,
+        method: 'POST',
+        url: '/example/123/edit/conflict',
+        headers: { cookie: sessionCookie(conflict) },
+        payload: {}
+      })
+
+      expect(statusCode).toBe(statusCodes.badRequest)
+      expect(result).toEqual(
+        expect.stringContaining('Select which version to keep')
+      )
+    })
+
+    test('Should restart the edit when there is no conflict in progress', async () => {
+      const { statusCode, headers } = await server.inject({
+        auth: editorAuth,
+        method: 'POST',
+        url: '/example/123/edit/conflict',
+        payload: { keep: 'mine' }
+      })
+
+      expect(statusCode).toBe(statusCodes.movedTemporarily)
+      expect(headers.location).toBe('/example/123/edit')
+      expect(exampleApi.update).not.toHaveBeenCalled()
+    })
   })
 })
@@ -1,14 +1,115 @@
+import Joi from 'joi'
+
 import { exampleApi } from '../../common/helpers/api-client.js'
+import {
+  ConflictError,
+  NotFoundError,
+  rethrowForCatchAll
+} from '../../common/helpers/api-errors.js'
+import {
+  backendErrorToGovukErrors,
+  joiFieldErrors,
+  toGovukErrors
+} from '../../common/helpers/form-errors.js'
+import {
+  clearSessionValue,
+  getSessionValue,
+  setSessionValue
+} from '../../common/helpers/session-helpers.js'
 import { statusCodes } from '../../common/constants/status-codes.js'
+import { exampleSchema } from '../schema.js'
+
+const editFields = ['name', 'value', 'counter']
+
+// Holds { id, answers, current } while the user resolves an edit conflict
+const conflictSessionKey = 'editConflict'
+
+const conflictChoices = {
+  mine: 'mine',
+  saved: 'saved'
+}
+
+/**
+ * Re-render the edit form with the user's answers and errors
+ * @param {object} h - Hapi response toolkit
+ * @param {object} example - { id, name, value, counter, etag } as entered
+ * @param {object} errors - { errorList, fieldErrors } from form-errors.js
+ * @param {number} statusCode - Response status code
+ * @returns {object} Hapi response
+ */
+function renderEditForm(h, example, { errorList, fieldErrors }, statusCode) {
+  return h
+    .view('examples/edit/index', {
+      pageTitle: 'Edit example',
+      heading: 'Edit example',
+      example,
+      errorList,
+      fieldErrors
+    })
+    .code(statusCode)
+}
+
+/**
+ * Render the conflict page comparing the user's answers with the stored example
+ * @param {object} h - Hapi response toolkit
+ * @param {object} conflict - { id, answers, current }
+ * @param {Array<object>} [errorList] - Error summary items
+ * @returns {object} Hapi response
+ */
+function renderConflict(h, { id, answers, current }, errorList) {
+  return h
+    .view('examples/edit/conflict', {
+      pageTitle: 'Someone else has changed this example',
+      heading: 'Someone else has changed this example',
+      id,
+      rows: editFields.map((field) => ({
+        field,
+        yours: answers[field],
+        saved: current[field],
+        changed: answers[field] !== current[field]
+      })),
+      errorList
+    })
+    .code(errorList ? statusCodes.badRequest : statusCodes.conflict)
+}
+
+/**
+ * Start resolving an update rejected because the example changed since it was read
+ * Fetches the stored example and keeps both versions in the session
+ * @param {object} request - Hapi request object
+ * @param {object} h - Hapi response toolkit
+ * @param {string} id - Example ID
+ * @param {object} answers - The update the backend rejected
+ * @returns {Promise<object>} Hapi response
+ */
+async function showConflict(request, h, id, answers) {
+  let current
+
+  try {
+    current = await exampleApi.findById(id, request)
+  } catch (error) {
+    // Deleted by someone else - nothing left to keep
+    if (error instanceof NotFoundError) {
+      clearSessionValue(request, conflictSessionKey)
+      return h.redirect('/examples')
+    }
+
+    throw error
+  }
+
+  const conflict = { id, answers, current }
+  setSessionValue(request, conflictSessionKey, conflict)
+
+  return renderConflict(h, conflict)
+}
 
 export const editController = {
   get: {
     handler: async (request, h) => {
       const { id } = request.params
-      const traceId = request.headers['x-cdp-request-id']
 
       try {
-        const example = await exampleApi.findById(id, traceId)
+        const example = await exampleApi.findById(id, request)
 
         return h.view('examples/edit/index', {
           pageTitle: 'Edit example',
@@ -16,15 +117,17 @@ export const editController = {
           example
         })
       } catch (error) {
+        rethrowForCatchAll(error)
+
+        if (error instanceof NotFoundError) {
+          return h.redirect('/examples')
+        }
+
         request.logger.error(
           `Failed to fetch example ${id} for editing: ${error.message}`,
           error
         )
 
-        if (error.statusCode === 404) {
-          return h.redirect('/examples')
-        }
-
         return h
           .view('examples/edit/index', {
             pageTitle: 'Error',
@@ -41,112 +144,109 @@ export const editController = {
   },
 
   post: {
+    options: {
+      validate: {
+        payload: exampleSchema.keys({ etag: Joi.string().allow('') }),
+        options: { abortEarly: false, stripUnknown: true },
+        failAction: (request, h, error) =>
+          renderEditForm(
+            h,
+            { ...request.payload, id: request.params.id },
+            toGovukErrors(joiFieldErrors(error)),
+            statusCodes.badRequest
+          ).takeover()
+      }
+    },
     handler: async (request, h) => {
       const { id } = request.params
-      const { name, value, counter } = request.payload
-      const traceId = request.headers['x-cdp-request-id']
+      const { etag, ...answers } = request.payload
 
-      // Validation
-      const errors = []
+      try {
+        // If-Match stops this overwriting changes saved since the form was loaded
+        await exampleApi.update(id, answers, request, etag)
 
-      if (!name || name.trim() === '') {
-        errors.push({
-          text: 'Enter a name',
-          href: '#name'
-        })
-      } else if (name.length > 100) {
-        errors.push({
-          text: 'Name must be 100 characters or less',
-          href: '#name'
-        })
-      }
+        // Redirect to view page
+        return h.redirect(`/example/${id}`)
+      } catch (error) {
+        rethrowForCatchAll(error)
 
-      if (!value || value.trim() === '') {
-        errors.push({
-          text: 'Enter a value',
-          href: '#value'
-        })
-      } else if (value.length > 500) {
-        errors.push({
-          text: 'Value must be 500 characters or less',
-          href: '#value'
+        if (error instanceof NotFoundError) {
+          return h.redirect('/examples')
+        }
+
+        if (error instanceof ConflictError) {
+          return showConflict(request, h, id, answers)
+        }
+
+        request.logger.error(
+          `Failed to update example ${id}: ${error.message}`,
+          error
+        )
+
+        const { statusCode, ...errors } = backendErrorToGovukErrors(error, {
+          fallbackMessage: 'Unable to update example. Please try again later.',
+          fields: editFields
         })
+
+        return renderEditForm(h, { ...answers, id, etag }, errors, statusCode)
       }
+    }
+  },
 
-      // Counter is optional
-      if (counter && counter.trim() !== '') {
-        const counterNum = parseInt(counter, 10)
+  conflict: {
+    handler: async (request, h) => {
+      const { id } = request.params
+      const { keep } = request.payload ?? {}
+      const conflict = getSessionValue(request, conflictSessionKey)
 
-        if (isNaN(counterNum)) {
-          errors.push({
-            text: 'Counter must be a number',
-            href: '#counter'
-          })
-        } else if (counterNum < 0 || counterNum > 999) {
-          errors.push({
-            text: 'Counter must be between 0 and 999',
-            href: '#counter'
-          })
-        }
+      // No conflict in progress for this example - start the edit again
+      if (conflict?.id !== id) {
+        return h.redirect(`/example/${id}/edit`)
       }
 
-      if (errors.length > 0) {
-        return h
-          .view('examples/edit/index', {
-            pageTitle: 'Edit example',
-            heading: 'Edit example',
-            example: {
-              id,
-              name,
-              value,
-              counter
-            },
-            errorList: errors
-          })
-          .code(statusCodes.badRequest)
+      if (!Object.values(conflictChoices).includes(keep)) {
+        return renderConflict(h, conflict, [
+          { text: 'Select which version to keep', href: '#keep' }
+        ])
       }
 
-      // Update in backend
-      const counterValue =
-        counter && counter.trim() !== '' ? parseInt(counter, 10) : null
+      if (keep === conflictChoices.saved) {
+        clearSessionValue(request, conflictSessionKey)
+        return h.redirect(`/example/${id}`)
+      }
 
       try {
+        // Overwrite only the version the user has just seen
         await exampleApi.update(
           id,
-          {
-            name: name.trim(),
-            value: value.trim(),
-            counter: counterValue
-          },
-          traceId
+          conflict.answers,
+          request,
+          conflict.current.etag
         )
+        clearSessionValue(request, conflictSessionKey)
 
-        // Redirect to view page
         return h.redirect(`/example/${id}`)
       } catch (error) {
+        rethrowForCatchAll(error)
+
+        if (error instanceof NotFoundError) {
+          clearSessionValue(request, conflictSessionKey)
+          return h.redirect('/examples')
+        }
+
+        // Changed again while the user was choosing - compare with the latest
+        if (error instanceof ConflictError) {
+          return showConflict(request, h, id, conflict.answers)
+        }
+
         request.logger.error(
           `Failed to update example ${id}: ${error.message}`,
           error
         )
 
-        return h
-          .view('examples/edit/index', {
-            pageTitle: 'Edit example',
-            heading: 'Edit example',
-            example: {
-              id,
-              name,
-              value,
-              counter
-            },
-            errorList: [
-              {
-                text: 'Unable to update example. Please try again later.',
-                href: '#'
-              }
-            ]
-          })
-          .code(statusCodes.internalServerError)
+        return renderConflict(h, conflict, [
+          { text: 'Unable to update example. Please try again later.' }
+        ]).code(statusCodes.internalServerError)
       }
     }
   }
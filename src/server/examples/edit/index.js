@@ -1,3 +1,4 @@
+import { exampleEditorRouteOptions } from '../access.js'
 import { editController } from './controller.js'
 
 export const edit = {
@@ -11,7 +12,7 @@ export const edit = {
           ...editController.get,
           options: {
             ...editController.get.options,
-            auth: false
+            ...exampleEditorRouteOptions
           }
         },
         {
@@ -20,7 +21,16 @@ export const edit = {
           ...editController.post,
           options: {
             ...editController.post.options,
-            auth: false
+            ...exampleEditorRouteOptions
+          }
+        },
+        {
+          method: 'POST',
+          path: '/example/{id}/edit/conflict',
+          ...editController.conflict,
+          options: {
+            ...editController.conflict.options,
+            ...exampleEditorRouteOptions
           }
         }
       ])
@@ -16,7 +16,10 @@ export const examples = {
           ...examplesController.list,
           options: {
             ...examplesController.list.options,
-            auth: false // Public demo route
+            auth: {
+              strategy: 'session',
+              mode: 'try' // Public demo route, populates user info if authenticated
+            }
           }
         }
       ])
@@ -0,0 +1,39 @@
+/**
+ * Example validation rules
+ *
+ * The one place the name, value and counter rules live. The create journey
+ * validates each page against its field from this schema, and the edit form
+ * validates the whole payload, both through Hapi route validate.payload.
+ * Messages are written for the GOV.UK error summary.
+ */
+
+import Joi from 'joi'
+
+export const exampleSchema = Joi.object({
+  name: Joi.string().trim().max(100).required().messages({
+    'any.required': 'Enter a name',
+    'string.empty': 'Enter a name',
+    'string.max': 'Name must be 100 characters or less'
+  }),
+
+  value: Joi.string().trim().max(500).required().messages({
+    'any.required': 'Enter a value',
+    'string.empty': 'Enter a value',
+    'string.max': 'Value must be 500 characters or less'
+  }),
+
+  // Optional - left blank it is stored as null
+  counter: Joi.number()
+    .integer()
+    .min(0)
+    .max(999)
+    .empty(Joi.string().trim().valid(''))
+    .allow(null)
+    .default(null)
+    .messages({
+      'number.base': 'Counter must be a number',
+      'number.integer': 'Counter must be a whole number',
+      'number.min': 'Counter must be between 0 and 999',
+      'number.max': 'Counter must be between 0 and 999'
+    })
+})
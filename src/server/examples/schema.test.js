@@ -0,0 +1,64 @@
+import { exampleSchema } from './schema.js'
+
+function messages(payload) {
+  const { error } = exampleSchema.validate(payload, { abortEarly: false })
+  return error?.details.map(({ message }) => message) ?? []
+}
+
+describe('#exampleSchema', () => {
+  test('Should trim and convert a valid example', () => {
+    expect(
+      exampleSchema.validate({
+        name: '  Name ',
+        value: ' Value ',
+        counter: '42'
+      })
+    ).toEqual({ value: { name: 'Name', value: 'Value', counter: 42 } })
+  })
+
+  test('Should require a name and value', () => {
+    expect(messages({ name: '   ', counter: '' })).toEqual([
+      'Enter a name',
+      'Enter a value'
+    ])
+  })
+
+  test('Should limit the name to 100 and the value to 500 characters', () => {
+    expect(messages({ name: 'a'.repeat(100), value: 'b'.repeat(500) })).toEqual(
+      []
+    )
+    expect(messages({ name: 'a'.repeat(101), value: 'b'.repeat(501) })).toEqual(
+      [
+        'Name must be 100 characters or less',
+        'Value must be 500 characters or less'
+      ]
+    )
+  })
+
+  test('Should store a blank counter as null', () => {
+    const counter = exampleSchema.extract('counter')
+
+    expect(counter.validate('').value).toBeNull()
+    expect(counter.validate('  ').value).toBeNull()
+    expect(counter.validate(undefined).value).toBeNull()
+  })
+
+  test('Should only accept whole numbers from 0 to 999', () => {
+    const counter = exampleSchema.extract('counter')
+
+    expect(counter.validate('0').value).toBe(0)
+    expect(counter.validate('999').value).toBe(999)
+    expect(counter.validate('abc').error.message).toBe(
+      'Counter must be a number'
+    )
+    expect(counter.validate('1.5').error.message).toBe(
+      'Counter must be a whole number'
+    )
+    expect(counter.validate('-1').error.message).toBe(
+      'Counter must be between 0 and 999'
+    )
+    expect(counter.validate('1000').error.message).toBe(
+      'Counter must be between 0 and 999'
+    )
+  })
+})
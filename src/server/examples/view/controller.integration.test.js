@@ -1,6 +1,7 @@
 import { createServer } from '../../server.js'
 import { statusCodes } from '../../common/constants/status-codes.js'
 import { exampleApi } from '../../common/helpers/api-client.js'
+import { NotFoundError } from '../../common/helpers/api-errors.js'
 import { vi } from 'vitest'
 
 vi.mock('../../common/helpers/api-client.js')
@@ -63,8 +64,7 @@ describe('#viewController', () => {
     })
 
     test('Should show 404 error when example not found', async () => {
-      const error = new Error('Not found')
-      error.statusCode = 404
+      const error = new NotFoundError('Not found', { statusCode: 404 })
 
       vi.mocked(exampleApi.findById).mockRejectedValue(error)
 
@@ -1,13 +1,16 @@
 import { exampleApi } from '../../common/helpers/api-client.js'
+import {
+  NotFoundError,
+  rethrowForCatchAll
+} from '../../common/helpers/api-errors.js'
 import { statusCodes } from '../../common/constants/status-codes.js'
 
 export const viewController = {
   handler: async (request, h) => {
     const { id } = request.params
-    const traceId = request.headers['x-cdp-request-id']
 
     try {
-      const example = await exampleApi.findById(id, traceId)
+      const example = await exampleApi.findById(id, request)
 
       return h.view('examples/view/index', {
         pageTitle: example.name,
@@ -15,12 +18,14 @@ export const viewController = {
         example
       })
     } catch (error) {
+      rethrowForCatchAll(error)
+
       request.logger.error(
         `Failed to fetch example ${id}: ${error.message}`,
         error
       )
 
-      if (error.statusCode === 404) {
+      if (error instanceof NotFoundError) {
         return h
           .view('examples/view/index', {
             pageTitle: 'Example not found',
@@ -11,7 +11,10 @@ export const view = {
           ...viewController,
           options: {
             ...viewController.options,
-            auth: false
+            auth: {
+              strategy: 'session',
+              mode: 'try' // Accessible to all, populates user info if authenticated
+            }
           }
         }
       ])
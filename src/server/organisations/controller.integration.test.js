@@ -0,0 +1,102 @@
+import { createServer } from '../server.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+import { sessionFromUser } from '../../test-helpers/auth-test-helpers.js'
+
+const credentials = {
+  ...sessionFromUser({
+    userId: 'agent-contact-id',
+    email: 'agent@example.com',
+    firstName: 'Agent'
+  }),
+  relationships: [
+    'rel-1:org-1:Green Farm Ltd:1:Employee:0',
+    'rel-2:org-2:Import Agents plc:1:Agent:0'
+  ]
+}
+
+describe('#organisationsController', () => {
+  let server
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  test('Should send signed out users to sign in', async () => {
+    const { statusCode, headers } = await server.inject({
+      method: 'GET',
+      url: '/organisations'
+    })
+
+    expect(statusCode).toBe(statusCodes.movedTemporarily)
+    expect(headers.location).toEqual(expect.stringContaining('/auth/login'))
+  })
+
+  test("Should list the user's organisations", async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'GET',
+      url: '/organisations',
+      auth: { strategy: 'session', credentials }
+    })
+
+    expect(statusCode).toBe(statusCodes.ok)
+    expect(result).toEqual(expect.stringContaining('Green Farm Ltd'))
+    expect(result).toEqual(expect.stringContaining('Import Agents plc'))
+  })
+
+  test('Should ask the user to choose an organisation', async () => {
+    const { result, statusCode } = await server.inject({
+      method: 'POST',
+      url: '/organisations',
+      auth: { strategy: 'session', credentials },
+      payload: {}
+    })
+
+    expect(statusCode).toBe(statusCodes.badRequest)
+    expect(result).toEqual(
+      expect.stringContaining('Select the organisation you want to act for')
+    )
+  })
+
+  test('Should reject organisations the user has no relationship with', async () => {
+    const { statusCode } = await server.inject({
+      method: 'POST',
+      url: '/organisations',
+      auth: { strategy: 'session', credentials },
+      payload: { relationshipId: 'rel-9' }
+    })
+
+    expect(statusCode).toBe(statusCodes.badRequest)
+  })
+
+  test('Should store the chosen organisation and return to the dashboard', async () => {
+    const { statusCode, headers } = await server.inject({
+      method: 'POST',
+      url: '/organisations',
+      auth: { strategy: 'session', credentials },
+      payload: { relationshipId: 'rel-2' }
+    })
+
+    expect(statusCode).toBe(statusCodes.movedTemporarily)
+    expect(headers.location).toBe('/dashboard')
+  })
+
+  test('Should sign in again when the token is for another organisation', async () => {
+    const { statusCode, headers } = await server.inject({
+      method: 'POST',
+      url: '/organisations',
+      auth: {
+        strategy: 'session',
+        credentials: { ...credentials, currentRelationshipId: 'rel-1' }
+      },
+      payload: { relationshipId: 'rel-2' }
+    })
+
+    expect(statusCode).toBe(statusCodes.movedTemporarily)
+    expect(headers.location).toBe('/auth/login?next=%2Fdashboard')
+  })
+})
@@ -0,0 +1,94 @@
+import Joi from 'joi'
+
+import {
+  currentOrganisation,
+  organisationSessionKey,
+  organisationsFor
+} from '../../auth/organisations.js'
+import { rotateSessionId } from '../../auth/session-rotation.js'
+import { joiFieldErrors, toGovukErrors } from '../common/helpers/form-errors.js'
+import { setSessionValue } from '../common/helpers/session-helpers.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+
+const chooseMessage = 'Select the organisation you want to act for'
+
+/**
+ * Render the "act on behalf of" page
+ * @param {object} request - Hapi request object
+ * @param {object} h - Hapi response toolkit
+ * @param {object} [errors] - { errorList, fieldErrors } from form-errors.js
+ * @returns {object} Hapi response
+ */
+function renderOrganisations(request, h, errors = {}) {
+  return h.view('organisations/index', {
+    pageTitle: 'Which organisation are you acting for?',
+    heading: 'Which organisation are you acting for?',
+    organisations: organisationsFor(request.auth.credentials),
+    selected: currentOrganisation(request)?.relationshipId,
+    ...errors
+  })
+}
+
+export const organisationsController = {
+  get: {
+    handler(request, h) {
+      return renderOrganisations(request, h)
+    }
+  },
+
+  post: {
+    options: {
+      validate: {
+        payload: Joi.object({
+          relationshipId: Joi.string().required().messages({
+            'any.required': chooseMessage,
+            'string.empty': chooseMessage
+          })
+        }),
+        options: { stripUnknown: true },
+        failAction: (request, h, error) =>
+          renderOrganisations(request, h, toGovukErrors(joiFieldErrors(error)))
+            .code(statusCodes.badRequest)
+            .takeover()
+      }
+    },
+    async handler(request, h) {
+      const { credentials } = request.auth
+      const { relationshipId } = request.payload
+      const organisation = organisationsFor(credentials).find(
+        (candidate) => candidate.relationshipId === relationshipId
+      )
+
+      if (!organisation) {
+        return renderOrganisations(
+          request,
+          h,
+          toGovukErrors([{ field: 'relationshipId', message: chooseMessage }])
+        ).code(statusCodes.badRequest)
+      }
+
+      setSessionValue(request, organisationSessionKey, relationshipId)
+      request.logger.info(
+        { contactId: credentials.contactId, relationshipId },
+        'Organisation changed'
+      )
+
+      // DEFRA ID issues tokens (and roles) for one relationship at a time - sign
+      // in again so the token matches the organisation now being acted for
+      if (
+        credentials.currentRelationshipId &&
+        credentials.currentRelationshipId !== relationshipId
+      ) {
+        return h.redirect(
+          `/auth/login?next=${encodeURIComponent('/dashboard')}`
+        )
+      }
+
+      // Staying signed in with the same token: new session ID for the change
+      // in organisation (signing in again above gets one in /auth/callback)
+      await rotateSessionId(request, 'organisation', { keepAuth: true })
+
+      return h.redirect('/dashboard')
+    }
+  }
+}
@@ -0,0 +1,33 @@
+import { organisationsController } from './controller.js'
+
+/**
+ * "Act on behalf of" page for users with more than one DEFRA ID relationship.
+ * These routes are registered in src/plugins/router.js.
+ */
+export const organisations = {
+  plugin: {
+    name: 'organisations',
+    register(server) {
+      server.route([
+        {
+          method: 'GET',
+          path: '/organisations',
+          ...organisationsController.get,
+          options: {
+            ...organisationsController.get.options,
+            auth: 'session'
+          }
+        },
+        {
+          method: 'POST',
+          path: '/organisations',
+          ...organisationsController.post,
+          options: {
+            ...organisationsController.post.options,
+            auth: 'session'
+          }
+        }
+      ])
+    }
+  }
+}
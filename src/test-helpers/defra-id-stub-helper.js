@@ -136,7 +136,7 @@ export function createTestUser(params) {
       organisationName: 'Test Organisation',
       relationshipRole: 'Employee',
       roleName: 'Admin',
-      roleStatus: '1'
+      roleStatus: '3'
     }
   ]
 